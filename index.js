@@ -5,13 +5,25 @@ import ActiveRecord from "./src/export/active-record.js";
 import Application from "./src/export/application.js";
 import DomainService from "./src/export/domain-service.js";
 import system from "./src/export/system.js";
+import { StaleRecordError } from "./src/database/abstract-driver.js";
 import TableDataGateway from "./src/export/table-data-gateway.js";
+import {
+  belongsTo,
+  hasMany,
+  hasOne,
+  manyToMany,
+} from "./src/database/associations.js";
 
 export {
   ActionController,
   ActiveRecord,
   Application,
+  belongsTo,
   DomainService,
+  hasMany,
+  hasOne,
+  manyToMany,
+  StaleRecordError,
   system,
   TableDataGateway,
 };
@@ -1,17 +1,117 @@
 // abstract-driver.js
 
+import { AsyncLocalStorage } from "async_hooks";
 import Abstract from "../utility/abstract.js";
+import { normalizeOrderBy } from "./query.js";
+import { requestContext } from "./request-context.js";
+import { redactQuery, rowCount, statementKey } from "./query-log.js";
+
+const DEFAULT_PER_PAGE = 25;
+
+// Rows fetched per round trip when streaming
+export const DEFAULT_BATCH_SIZE = 1000;
+
+// Connection pool settings shared by the pooled drivers (times in ms;
+// a statementTimeout of 0 means no limit)
+const POOL_DEFAULTS = {
+  min: 0,
+  max: 10,
+  idleTimeout: 10000,
+  acquireTimeout: 10000,
+  statementTimeout: 0,
+};
+
+/**
+ * Raised by updateOne() when optimistic locking finds that the row's version
+ * no longer matches: another writer changed or deleted it first.
+ */
+export class StaleRecordError extends Error {
+  constructor(table, id, version) {
+    super(
+      `Stale record in "${table}": id ${id} no longer has version ${version}.`
+    );
+    this.name = "StaleRecordError";
+    this.table = table;
+    this.id = id;
+    this.version = version;
+  }
+}
+
+// Retry policy for transient errors: `retries` further attempts, waiting
+// minDelay * factor^n ms (capped at maxDelay, with jitter) between them
+const RETRY_DEFAULTS = {
+  retries: 3,
+  minDelay: 100,
+  maxDelay: 2000,
+  factor: 2,
+};
+
+// Socket-level failures every networked driver treats as transient
+const NETWORK_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+]);
+
+// Of those, the ones raised before a connection exists to send anything on
+const UNSENT_ERROR_CODES = new Set(["ECONNREFUSED", "EAI_AGAIN"]);
+
+// Query logging: every call is logged at debug level. Calls taking
+// slowQueryThreshold ms or more (0 turns this off) are logged at warn, with
+// their plan when explainSlowQueries is set. A statement run
+// repeatedQueryThreshold times in one request is reported as a possible N+1.
+// Values of columns whose names contain a `redact` entry are masked.
+const QUERY_LOG_DEFAULTS = {
+  slowQueryThreshold: 1000,
+  explainSlowQueries: false,
+  repeatedQueryThreshold: 10,
+  redact: ["password", "secret", "token", "apikey", "api_key"],
+};
+
+// Set while a slow query is being explained, so the EXPLAIN itself is not logged
+const explaining = new AsyncLocalStorage();
 
 export default class AbstractDriver extends Abstract {
-  constructor() {
+  // Transaction handle of the async call chain currently inside transaction()
+  #context = new AsyncLocalStorage();
+
+  /**
+   * @param {object} [config] - Connection settings, for drivers created per
+   *   tenant (see ConnectionManager). Either one defaults to the server's.
+   * @param {string} [config.uri] - In place of database_uri.
+   * @param {object} [config.options] - In place of database_options.
+   */
+  constructor(config = {}) {
     super();
     this._ensuredIndexes = new Set();
+    this._config = config;
   }
 
   static driverName() {
     this.notImplemented("driverName");
   }
 
+  /**
+   * URI schemes this driver connects to, for DriverRegistry.fromURI().
+   * @returns {string[]}
+   */
+  static schemes() {
+    return [this.driverName()];
+  }
+
+  // Connection URI this driver was created for
+  databaseURI() {
+    return this._config.uri ?? system.server.getString("database_uri");
+  }
+
+  databaseOptions() {
+    return (
+      this._config.options ?? system.server.getObject("database_options", {})
+    );
+  }
+
   ensureIndexes(tableName, schema) {
     if (this._ensuredIndexes.has(tableName)) {
       return;
@@ -33,14 +133,359 @@ export default class AbstractDriver extends Abstract {
     return { returnFull, strict };
   }
 
+  /**
+   * Native key column for a model's logical primary key. Methods that address
+   * rows by key accept `options.primaryKey` (the logical name) and resolve
+   * it here.
+   */
+  formatPrimaryKey(logicalKey = "id") {
+    return logicalKey;
+  }
+
+  /**
+   * Converts a key value to the form stored by the database.
+   */
+  formatPrimaryKeyValue(value) {
+    return value;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Connection pool & health
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Pool settings from `database_options.pool`: { min, max, idleTimeout,
+   * acquireTimeout, statementTimeout }. The older top-level
+   * `connectionLimit` still sets max. Each driver maps the result onto its
+   * client library's options; health() reports against it.
+   *
+   * @param {object} options - The database_options object.
+   * @param {object} [defaults] - Driver-specific defaults.
+   * @returns {object}
+   */
+  poolSettings(options = {}, defaults = {}) {
+    const settings = {
+      ...POOL_DEFAULTS,
+      ...defaults,
+      ...(options.connectionLimit ? { max: options.connectionLimit } : {}),
+      ...options.pool,
+    };
+
+    for (const [name, value] of Object.entries(settings)) {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(
+          `database_options.pool.${name} must be a non-negative integer.`
+        );
+      }
+    }
+    if (settings.max < 1 || settings.min > settings.max) {
+      throw new Error("database_options.pool needs 1 <= max and min <= max.");
+    }
+
+    this._poolSettings = settings;
+    return settings;
+  }
+
+  /**
+   * Round-trips to the database and reports pool usage, for a health
+   * endpoint. Never throws; a failed ping reports status "down":
+   *
+   *   { status: "up", driver: "postgres", latency: 1.8,
+   *     pool: { max: 10, size: 3, idle: 2, inUse: 1, waiting: 0 } }
+   *
+   * @returns {Promise<object>}
+   */
+  async health() {
+    const started = performance.now();
+    let error = null;
+
+    try {
+      await this.ping();
+    } catch (err) {
+      error = err;
+    }
+
+    const latency = Math.round((performance.now() - started) * 100) / 100;
+    return {
+      status: error ? "down" : "up",
+      driver: this.constructor.driverName(),
+      latency,
+      pool: this.poolStats(),
+      ...(error ? { error: error.message } : {}),
+    };
+  }
+
+  /**
+   * Cheapest possible round trip to the database.
+   */
+  async ping() {
+    this.notImplemented("ping");
+  }
+
+  /**
+   * Current pool usage as { max, size, idle, inUse, waiting }, or null for
+   * drivers without a pool.
+   */
+  poolStats() {
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Retries
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Retry policy from `database_options.retry`: { retries, minDelay,
+   * maxDelay, factor }. `retries: 0` turns retrying off.
+   * @param {object} [retry]
+   * @returns {object}
+   */
+  retrySettings(retry = {}) {
+    const settings = { ...RETRY_DEFAULTS, ...retry };
+
+    for (const [name, value] of Object.entries(settings)) {
+      if (typeof value !== "number" || !(value >= 0)) {
+        throw new Error(
+          `database_options.retry.${name} must be a non-negative number.`
+        );
+      }
+    }
+
+    this._retrySettings = settings;
+    return settings;
+  }
+
+  /**
+   * Runs `operation`, retrying with exponential backoff while it fails with
+   * an error isTransientError() accepts. A write is only retried on errors
+   * isUnappliedError() accepts: one cut off mid-statement may have been
+   * applied, and sending it again could apply it twice. Never retries
+   * inside a transaction: the failed statement may have aborted it, so the
+   * whole transaction has to be rerun by its owner.
+   *
+   * @param {() => Promise<any>} operation
+   * @param {{ read?: boolean }} [options] - `read` when the operation
+   *   changes nothing, so running it twice is harmless.
+   * @returns {Promise<any>}
+   */
+  async withRetry(operation, { read = false } = {}) {
+    const { retries, minDelay, maxDelay, factor } =
+      this._retrySettings ?? RETRY_DEFAULTS;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation();
+      } catch (err) {
+        if (
+          attempt > retries ||
+          this.currentTransaction() ||
+          !(read ? this.isTransientError(err) : this.isUnappliedError(err))
+        ) {
+          throw err;
+        }
+
+        const backoff = Math.min(maxDelay, minDelay * factor ** (attempt - 1));
+        const delay = Math.round(backoff * (0.5 + Math.random() / 2));
+        system.log.warn(
+          `[${this.constructor.name}] Transient error (${
+            err.code ?? err.message
+          }), retry ${attempt}/${retries} in ${delay}ms.`
+        );
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Whether an error is worth retrying: a dropped connection, a deadlock,
+   * a serialization failure. Drivers add their own error codes.
+   * @param {Error} err
+   * @returns {boolean}
+   */
+  isTransientError(err) {
+    return NETWORK_ERROR_CODES.has(err?.code);
+  }
+
+  /**
+   * Whether a transient error guarantees the operation had no effect: it
+   * never reached the server, or the server rolled it back. Drivers add
+   * their own error codes.
+   * @param {Error} err
+   * @returns {boolean}
+   */
+  isUnappliedError(err) {
+    return UNSENT_ERROR_CODES.has(err?.code);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Query logging
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Logging policy from `database_options.logging`: { slowQueryThreshold,
+   * explainSlowQueries, repeatedQueryThreshold, redact }.
+   * @param {object} [logging]
+   * @returns {object}
+   */
+  queryLogSettings(logging = {}) {
+    const settings = { ...QUERY_LOG_DEFAULTS, ...logging };
+
+    for (const name of ["slowQueryThreshold", "repeatedQueryThreshold"]) {
+      if (typeof settings[name] !== "number" || !(settings[name] >= 0)) {
+        throw new Error(
+          `database_options.logging.${name} must be a non-negative number.`
+        );
+      }
+    }
+    if (
+      !Array.isArray(settings.redact) ||
+      !settings.redact.every(name => typeof name === "string")
+    ) {
+      throw new Error("database_options.logging.redact must be an array.");
+    }
+
+    this._queryLogSettings = settings;
+    return settings;
+  }
+
+  /**
+   * Runs one database call and logs it as a structured event:
+   *
+   *   { driver: "postgres", sql: "SELECT ...", params: [7, "[REDACTED]"],
+   *     duration: 3.2, rows: 1, tenant: "development" }
+   *
+   * MongoDB calls log { collection, operation, filter, ... } in place of
+   * sql and params. Each call also counts towards requestContext().queries.
+   *
+   * @param {{sql: string, params: Array}|object} query - What is being run.
+   * @param {() => Promise<any>} operation
+   * @returns {Promise<any>} The operation's result.
+   */
+  async instrument(query, operation) {
+    if (explaining.getStore()) return operation();
+
+    const started = performance.now();
+    try {
+      const result = await operation();
+      await this.#logQuery(query, started, result, null);
+      return result;
+    } catch (err) {
+      await this.#logQuery(query, started, null, err);
+      throw err;
+    }
+  }
+
+  /**
+   * instrument() for a streamed result: yields the rows and logs the call
+   * once iteration ends, with the time spent fetching rows (not the time
+   * the caller spent on them) and the number of rows yielded.
+   *
+   * @param {{sql: string, params: Array}|object} query - What is being run.
+   * @param {AsyncIterable<object>|Iterable<object>} rows
+   * @returns {AsyncGenerator<object>}
+   */
+  async *instrumentRows(query, rows) {
+    if (explaining.getStore()) return yield* rows;
+
+    const iterator = (rows[Symbol.asyncIterator] ?? rows[Symbol.iterator]).call(
+      rows
+    );
+    let fetching = 0;
+    let count = 0;
+    let error = null;
+    try {
+      for (;;) {
+        const started = performance.now();
+        let next;
+        try {
+          next = await iterator.next();
+        } finally {
+          fetching += performance.now() - started;
+        }
+        if (next.done) break;
+        count++;
+        yield next.value;
+      }
+    } catch (err) {
+      error = err;
+      throw err;
+    } finally {
+      if (!error) await iterator.return?.();
+      await this.#logQuery(
+        query,
+        performance.now() - fetching,
+        error ? null : { rowCount: count },
+        error
+      );
+    }
+  }
+
+  /**
+   * Query plan for a slow call, or null when the driver cannot explain it.
+   * @param {object} query - As passed to instrument().
+   * @returns {Promise<*>}
+   */
+  async explain(query) {
+    return null;
+  }
+
+  async #logQuery(query, started, result, error) {
+    const settings = this._queryLogSettings ?? QUERY_LOG_DEFAULTS;
+    const context = requestContext();
+    const duration = Math.round((performance.now() - started) * 100) / 100;
+    const label = `[${this.constructor.name}]`;
+
+    const event = {
+      driver: this.constructor.driverName(),
+      ...redactQuery(query, settings.redact),
+      duration,
+      rows: error ? null : rowCount(result),
+      tenant: context?.tenant ?? null,
+      ...(error ? { error: error.message } : {}),
+    };
+    system.log.debug(`${label} Query`, event);
+
+    if (
+      !error &&
+      settings.slowQueryThreshold &&
+      duration >= settings.slowQueryThreshold
+    ) {
+      let plan = null;
+      if (settings.explainSlowQueries) {
+        try {
+          plan = await explaining.run(true, () => this.explain(query));
+        } catch (err) {
+          plan = `EXPLAIN failed: ${err.message}`;
+        }
+      }
+      system.log.warn(`${label} Slow query (${duration}ms)`, {
+        ...event,
+        ...(plan ? { plan } : {}),
+      });
+    }
+
+    if (!context) return;
+    context.queries++;
+
+    const key = statementKey(query);
+    const runs = (context.statements.get(key) ?? 0) + 1;
+    context.statements.set(key, runs);
+    if (runs === settings.repeatedQueryThreshold) {
+      system.log.warn(
+        `${label} Possible N+1: the same query ran ${runs} times in one request`,
+        { query: key, tenant: event.tenant }
+      );
+    }
+  }
+
   // ---------------------------------------------------------------------------
   // CRUD stubs
   // ---------------------------------------------------------------------------
-  async findById(table, id) {
+  async findById(table, id, options = {}) {
     this.notImplemented("findById");
   }
 
-  async findMany(table, whereClause = "") {
+  async findMany(table, whereClause = "", options = {}) {
     this.notImplemented("findMany");
   }
 
@@ -84,7 +529,227 @@ export default class AbstractDriver extends Abstract {
     this.notImplemented("exists");
   }
 
-  async aggregate(table, pipeline) {
+  // ---------------------------------------------------------------------------
+  // Pagination (built on findMany/count, so every driver inherits it)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Offset pagination.
+   *
+   * @param {string} table
+   * @param {object|string|Array} whereClause
+   * @param {object} [options] - findMany() options plus:
+   * @param {number} [options.page=1] - 1-based page number.
+   * @param {number} [options.perPage=25]
+   * @returns {Promise<{items, page, perPage, total, pages, hasNext, hasPrev}>}
+   */
+  async paginate(table, whereClause = "", options = {}) {
+    const { page = 1, perPage = DEFAULT_PER_PAGE, ...findOptions } = options;
+
+    if (!Number.isInteger(page) || page < 1) {
+      throw new Error("paginate() page must be an integer >= 1.");
+    }
+    if (!Number.isInteger(perPage) || perPage < 1) {
+      throw new Error("paginate() perPage must be an integer >= 1.");
+    }
+
+    const [items, total] = await Promise.all([
+      this.findMany(table, whereClause, {
+        ...findOptions,
+        limit: perPage,
+        offset: (page - 1) * perPage,
+      }),
+      this.count(table, whereClause, findOptions),
+    ]);
+
+    const pages = Math.ceil(total / perPage);
+    return {
+      items,
+      page,
+      perPage,
+      total,
+      pages,
+      hasNext: page < pages,
+      hasPrev: page > 1,
+    };
+  }
+
+  /**
+   * Keyset (cursor) pagination. The primary key is appended to `orderBy` as
+   * a tie-breaker; ordered fields should not contain nulls.
+   *
+   * @param {string} table
+   * @param {object|string|Array} whereClause
+   * @param {object} [options] - findMany() options plus:
+   * @param {string} [options.after] - A nextCursor or prevCursor from a previous page.
+   * @param {number} [options.limit=25]
+   * @param {string|Array|object} [options.orderBy] - Defaults to the primary key.
+   * @returns {Promise<{items, nextCursor, prevCursor}>}
+   */
+  async cursorPaginate(table, whereClause = "", options = {}) {
+    const {
+      after = null,
+      limit = DEFAULT_PER_PAGE,
+      orderBy,
+      ...findOptions
+    } = options;
+
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error("cursorPaginate() limit must be an integer >= 1.");
+    }
+
+    const pk = this.formatPrimaryKey(options.primaryKey);
+    const order = normalizeOrderBy(orderBy);
+    if (!order.some(o => o.field === pk)) {
+      order.push({ field: pk, direction: "asc" });
+    }
+
+    const cursor = after ? this.decodeCursor(after, order.length) : null;
+    const backwards = cursor?.direction === "before";
+
+    // Walking backwards: flip the ordering, then restore it on the results
+    const fetchOrder = backwards
+      ? order.map(o => ({
+          field: o.field,
+          direction: o.direction === "asc" ? "desc" : "asc",
+        }))
+      : order;
+
+    const where = cursor
+      ? [whereClause, this.#keysetCondition(fetchOrder, cursor.values)]
+      : whereClause;
+
+    const rows = await this.findMany(table, where, {
+      ...findOptions,
+      orderBy: fetchOrder,
+      limit: limit + 1,
+    });
+
+    const hasMore = rows.length > limit;
+    const items = rows.slice(0, limit);
+    if (backwards) items.reverse();
+
+    const encode = (row, direction) =>
+      this.encodeCursor(
+        order.map(o => row[o.field]),
+        direction
+      );
+
+    const first = items[0];
+    const last = items[items.length - 1];
+
+    return {
+      items,
+      nextCursor: last && (backwards || hasMore) ? encode(last, "after") : null,
+      prevCursor:
+        first && (backwards ? hasMore : !!cursor)
+          ? encode(first, "before")
+          : null,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Streaming
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Yields matching rows one at a time, holding at most `options.batchSize`
+   * rows in memory. This fallback walks the table with keyset pagination;
+   * drivers with native cursors override it.
+   *
+   * @param {string} table
+   * @param {object|string|Array} whereClause
+   * @param {object} [options] - findMany() options plus batchSize.
+   * @returns {AsyncGenerator<object>}
+   */
+  async *stream(table, whereClause = "", options = {}) {
+    const {
+      batchSize = DEFAULT_BATCH_SIZE,
+      limit,
+      offset,
+      ...findOptions
+    } = options;
+
+    // offset skips rows before the first batch; later batches follow on
+    // from the last row seen
+    let after = null;
+    let remaining = limit ?? Infinity;
+    do {
+      const page = await this.cursorPaginate(table, whereClause, {
+        ...findOptions,
+        ...(after ? {} : { offset }),
+        limit: Math.min(batchSize, remaining),
+        after,
+      });
+      yield* page.items;
+      remaining -= page.items.length;
+      after = page.nextCursor;
+    } while (after && remaining > 0);
+  }
+
+  encodeCursor(values, direction = "after") {
+    const tagged = values.map(value => {
+      if (value instanceof Date) return { $date: value.toISOString() };
+      if (value?._bsontype === "ObjectId") return { $oid: value.toHexString() };
+      return value;
+    });
+    return Buffer.from(JSON.stringify({ d: direction, v: tagged })).toString(
+      "base64url"
+    );
+  }
+
+  decodeCursor(cursor, length) {
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    } catch {
+      throw new Error("Invalid pagination cursor.");
+    }
+
+    if (
+      !payload ||
+      !["after", "before"].includes(payload.d) ||
+      !Array.isArray(payload.v) ||
+      payload.v.length !== length
+    ) {
+      throw new Error("Invalid pagination cursor.");
+    }
+
+    const values = payload.v.map(value => {
+      if (value?.$date) return new Date(value.$date);
+      if (value?.$oid) {
+        return typeof this.toObjectId === "function"
+          ? this.toObjectId(value.$oid)
+          : value.$oid;
+      }
+      return value;
+    });
+
+    return { direction: payload.d, values };
+  }
+
+  // (f1 > v1) OR (f1 = v1 AND f2 > v2) OR ... in portable where form
+  #keysetCondition(order, values) {
+    const branches = order.map((o, i) => {
+      const branch = {};
+      for (let j = 0; j < i; j++) {
+        branch[order[j].field] = { $eq: values[j] };
+      }
+      branch[o.field] = { [o.direction === "desc" ? "$lt" : "$gt"]: values[i] };
+      return branch;
+    });
+    return { $or: branches };
+  }
+
+  /**
+   * Groups and summarizes rows. `spec` is a portable aggregation, see
+   * normalizeAggregation() in aggregation.js.
+   * @param {string} table
+   * @param {object} spec
+   * @param {object} [options]
+   * @returns {Promise<object[]>} One row per group.
+   */
+  async aggregate(table, spec, options) {
     this.notImplemented("aggregate");
   }
 
@@ -92,19 +757,137 @@ export default class AbstractDriver extends Abstract {
     this.notImplemented("query");
   }
 
+  /**
+   * Reads the current structure of the database, so tooling can compare a
+   * model Schema against it:
+   *
+   *   { tables: [{
+   *       name: "posts",
+   *       columns: [{ name: "id", type: "integer", maxLength: null,
+   *                   nullable: false, default: null, primaryKey: true,
+   *                   autoIncrement: true }, ...],
+   *       indexes: [{ name: "posts_slug_idx", columns: ["slug"],
+   *                   unique: true, primary: false }, ...],
+   *       foreignKeys: [{ name: "posts_author_fk", columns: ["authorId"],
+   *                       references: { table: "users", columns: ["id"] },
+   *                       onUpdate: "NO ACTION", onDelete: "CASCADE" }, ...],
+   *   }, ...] }
+   *
+   * Types are as the database names them. Schemaless stores infer columns
+   * from sampled documents.
+   *
+   * @param {object} [options]
+   * @param {string[]} [options.tables] - Only these tables (default: all).
+   * @param {number} [options.sampleSize] - Documents sampled per collection.
+   * @returns {Promise<{tables: object[]}>}
+   */
+  async introspect(options = {}) {
+    this.notImplemented("introspect");
+  }
+
+  // ---------------------------------------------------------------------------
+  // Transactions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * The transaction handle a call should run in: `options.transaction` when
+   * given, otherwise the one of the enclosing transaction() callback.
+   * @param {object} [options]
+   * @returns {object|null}
+   */
+  currentTransaction(options = {}) {
+    return options.transaction ?? this.#context.getStore() ?? null;
+  }
+
+  /**
+   * Runs `fn` with `tx` as the current transaction of its async call chain.
+   */
+  withTransaction(tx, fn) {
+    return this.#context.run(tx, fn);
+  }
+
+  /**
+   * Runs `callback(tx)` in a transaction, committing when it resolves and
+   * rolling back when it throws. Every driver call made from the callback
+   * (however deep, including concurrent ones) joins the transaction.
+   * Inside another transaction, the callback runs under a savepoint instead.
+   *
+   * @param {(tx: object) => Promise<any>} callback
+   * @returns {Promise<any>} The callback's result.
+   */
   async transaction(callback) {
-    this.notImplemented("transaction");
+    const parent = this.currentTransaction();
+    if (parent) return this.#nested(parent, callback);
+
+    const tx = await this.startTransaction();
+    try {
+      const result = await this.withTransaction(tx, () => callback(tx));
+      await this.commitTransaction(tx);
+      return result;
+    } catch (err) {
+      await this.rollbackTransaction(tx);
+      throw err;
+    }
+  }
+
+  async #nested(tx, callback) {
+    const name = `sp_${++tx.savepoints}`;
+    await this.createSavepoint(tx, name);
+    try {
+      const result = await callback(tx);
+      await this.releaseSavepoint(tx, name);
+      return result;
+    } catch (err) {
+      await this.rollbackToSavepoint(tx, name);
+      throw err;
+    }
   }
 
+  /**
+   * Begins a transaction and returns its handle. Pass the handle to
+   * commitTransaction()/rollbackTransaction(), and as `options.transaction`
+   * to run individual calls in it, or run them in withTransaction(tx, fn).
+   * Calls without it run outside the transaction; on a single-connection
+   * database they wait for it to end, so the code holding the handle must
+   * not make them. Prefer transaction(), which binds the handle itself.
+   * @returns {Promise<object>}
+   */
   async startTransaction() {
     this.notImplemented("startTransaction");
   }
 
-  async commitTransaction(session) {
+  /**
+   * Throws unless `tx` is a transaction handle; commitTransaction() and
+   * rollbackTransaction() check theirs with it, as ending no transaction
+   * means the caller lost track of the one it started.
+   * @param {?object} tx
+   * @param {string} method - The calling method, for the message.
+   */
+  requireTransaction(tx, method) {
+    if (!tx) {
+      throw new Error(
+        `${this.constructor.name}: ${method}() needs the handle returned by startTransaction().`
+      );
+    }
+  }
+
+  async commitTransaction(tx) {
     this.notImplemented("commitTransaction");
   }
 
-  async rollbackTransaction(session) {
+  async rollbackTransaction(tx) {
     this.notImplemented("rollbackTransaction");
   }
+
+  async createSavepoint(tx, name) {
+    this.notImplemented("createSavepoint");
+  }
+
+  async releaseSavepoint(tx, name) {
+    this.notImplemented("releaseSavepoint");
+  }
+
+  async rollbackToSavepoint(tx, name) {
+    this.notImplemented("rollbackToSavepoint");
+  }
 }
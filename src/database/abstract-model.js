@@ -1,7 +1,10 @@
 // abstractModel.js:
 
+import { randomUUID } from "crypto";
 import Abstract from "../utility/abstract.js";
 import Schema from "../utility/schema.js";
+import Query, { normalizeOrderBy } from "./query.js";
+import { defaultTableName, eagerLoad, targetClass } from "./associations.js";
 
 export class ValidationError extends Error {
   constructor(model, method, errors = []) {
@@ -15,12 +18,62 @@ export class ValidationError extends Error {
   }
 }
 
+export class HookAbortedError extends Error {
+  constructor(model, hook) {
+    super(`${model}.${hook}() aborted the operation.`);
+    this.name = "HookAbortedError";
+    this.model = model;
+    this.hook = hook;
+  }
+}
+
+/**
+ * Lifecycle hooks, in the order save() and delete() run them.
+ */
+export const HOOKS = [
+  "beforeValidate",
+  "beforeSave",
+  "beforeCreate",
+  "beforeUpdate",
+  "afterCreate",
+  "afterUpdate",
+  "afterSave",
+  "beforeDelete",
+  "afterDelete",
+];
+
+// Dates compare by time, other objects (ObjectIds, JSON) by serialized form
+function sameValue(a, b) {
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  if (a && b && typeof a === "object" && typeof b === "object") {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+function isEmptyWhere(where) {
+  if (where === undefined || where === null || where === "") return true;
+  if (Array.isArray(where)) return where.length === 0;
+  return (
+    Object.getPrototypeOf(where) === Object.prototype &&
+    Object.keys(where).length === 0
+  );
+}
+
 export default class AbstractModel extends Abstract {
+  // Observer objects per model class
+  static #observers = new Map();
+
   _driver;
   _tableName;
   _schema;
   _data = {};
+  _original = {}; // last persisted values, for dirty tracking
   _name;
+  _relations = {};
+  _relatedModels = new Map();
 
   constructor(driver, tableName, schema) {
     super();
@@ -45,6 +98,9 @@ export default class AbstractModel extends Abstract {
       "deleteMany",
       "count",
       "exists",
+      "paginate",
+      "cursorPaginate",
+      "stream",
       "aggregate",
       "query",
       "transaction",
@@ -94,6 +150,8 @@ export default class AbstractModel extends Abstract {
     this._schema = schema;
 
     this._definePropertiesFromSchema();
+    this._defineAssociationMethods();
+    this._defineScopeMethods();
 
     // Auto-ensure indexes
     this._driver.ensureIndexes(this._tableName, this._schema);
@@ -107,6 +165,40 @@ export default class AbstractModel extends Abstract {
     this.notImplemented("modelName");
   }
 
+  // ============================================================
+  // STATIC DEFINITION (used by create() and associations)
+  // ============================================================
+
+  /**
+   * Table or collection name; defaults to the snake_case plural of
+   * modelName() ("BlogPost" → "blog_posts").
+   */
+  static tableName() {
+    return defaultTableName(this.modelName());
+  }
+
+  /**
+   * Schema instance for the model. Override, or pass one to the constructor.
+   */
+  static schema() {
+    return null;
+  }
+
+  /**
+   * Association definitions keyed by name, built with belongsTo(),
+   * hasMany(), hasOne() and manyToMany().
+   */
+  static associations() {
+    return {};
+  }
+
+  /**
+   * Creates a model bound to `driver` from the static definition.
+   */
+  static create(driver) {
+    return new this(driver, this.tableName(), this.schema());
+  }
+
   // ============================================================
   // INSTANCE ACCESSORS
   // ============================================================
@@ -131,6 +223,135 @@ export default class AbstractModel extends Abstract {
     return { ...this._data };
   }
 
+  // Logical primary key, as declared with Schema.addPrimary()
+  get primaryKey() {
+    return this._schema.getPrimaryKeyField() ?? "id";
+  }
+
+  // ============================================================
+  // QUERY BUILDER
+  // ============================================================
+
+  newQuery() {
+    return new Query(this);
+  }
+
+  where(...args) {
+    return this.newQuery().where(...args);
+  }
+
+  orderBy(...args) {
+    return this.newQuery().orderBy(...args);
+  }
+
+  select(...fields) {
+    return this.newQuery().select(...fields);
+  }
+
+  limit(n) {
+    return this.newQuery().limit(n);
+  }
+
+  /**
+   * Starts a query that eager-loads the named associations:
+   *   await posts.with("author", "comments.author").all();
+   */
+  with(...names) {
+    return this.newQuery().with(...names);
+  }
+
+  // ============================================================
+  // STREAMING
+  // ============================================================
+
+  /**
+   * Async iterator over matching records with bounded memory:
+   *   for await (const user of users.stream({ active: true })) { ... }
+   *
+   * @param {object|string|Array} [where]
+   * @param {object} [options] - findMany() options plus batchSize.
+   */
+  async *stream(where = {}, options = {}) {
+    const rows = this._driver.stream(
+      this._tableName,
+      this._driverWhere(where, options),
+      this._keyOptions(options)
+    );
+    for await (const row of rows) {
+      yield this._fromDriver(row);
+    }
+  }
+
+  /**
+   * Calls `callback(record, index)` for every matching record, awaiting each
+   * call. Records are fetched `options.batchSize` at a time.
+   * @returns {Promise<number>} Number of records processed.
+   */
+  async findEach(where = {}, options = {}, callback) {
+    if (typeof options === "function") {
+      [options, callback] = [{}, options];
+    }
+    if (typeof callback !== "function") {
+      throw new Error("findEach() requires a callback.");
+    }
+
+    let count = 0;
+    for await (const record of this.stream(where, options)) {
+      await callback(record, count++);
+    }
+    return count;
+  }
+
+  // ============================================================
+  // ASSOCIATIONS
+  // ============================================================
+
+  /**
+   * Model instance for an association's target, sharing this model's driver.
+   * @param {string} name - Association name.
+   */
+  relatedModel(name) {
+    if (!this._relatedModels.has(name)) {
+      const definition = this.constructor.associations()[name];
+      if (!definition) {
+        throw new Error(`${this._name} has no association named "${name}".`);
+      }
+      const TargetClass = targetClass(definition.target);
+      this._relatedModels.set(name, TargetClass.create(this._driver));
+    }
+    return this._relatedModels.get(name);
+  }
+
+  /**
+   * Eager-loads associations onto plain rows of this model.
+   */
+  async loadRelations(rows, names = []) {
+    return eagerLoad(this, rows, names);
+  }
+
+  // Each association becomes a lazy loader on the record:
+  //   const author = await post.author();
+  // The result is cached until the record data changes or { reload: true }.
+  _defineAssociationMethods() {
+    for (const name of Object.keys(this.constructor.associations())) {
+      if (name in this) {
+        continue;
+      }
+
+      Object.defineProperty(this, name, {
+        enumerable: false,
+        configurable: true,
+        value: async ({ reload = false } = {}) => {
+          if (reload || !(name in this._relations)) {
+            const [row] = await eagerLoad(this, [{ ...this._data }], [name]);
+            this._relations[name] = row[name];
+          }
+          return this._relations[name];
+        },
+      });
+    }
+  }
+
   // ============================================================
   // SCHEMA-DRIVEN FIELD GETTERS/SETTERS
   // ============================================================
@@ -157,8 +378,349 @@ export default class AbstractModel extends Abstract {
     }
   }
 
+  // Replaces the record data with persisted values (clean state)
   _setData(record) {
     this._data = { ...record };
+    this._original = { ...record };
+    this._relations = {};
+  }
+
+  // ============================================================
+  // PRIMARY KEY MAPPING
+  // ============================================================
+  //
+  // Records always carry the logical key (e.g. "id"); the driver may store
+  // it under another name (MongoDB "_id") and in another form (ObjectId).
+
+  get _nativeKey() {
+    return this._driver.formatPrimaryKey(this.primaryKey);
+  }
+
+  // Driver options, telling SQL drivers which column is the key
+  _keyOptions(options = {}) {
+    const mapped = { ...options, primaryKey: this.primaryKey };
+    if (options.orderBy !== undefined) {
+      mapped.orderBy = normalizeOrderBy(options.orderBy).map(o => ({
+        ...o,
+        field: this._nativeField(o.field),
+      }));
+    }
+    for (const name of ["select", "conflict", "merge"]) {
+      if (Array.isArray(options[name])) {
+        mapped[name] = options[name].map(f => this._nativeField(f));
+      } else if (typeof options[name] === "string") {
+        mapped[name] = this._nativeField(options[name]);
+      }
+    }
+    return mapped;
+  }
+
+  _nativeField(field) {
+    return field === this.primaryKey ? this._nativeKey : field;
+  }
+
+  // Fills in keys the model generates itself (uuid)
+  _withGeneratedKey(record = {}) {
+    const key = this._schema.getPrimaryKey();
+    if (key?.generate === "uuid" && record[key.name] == null) {
+      return { ...record, [key.name]: randomUUID() };
+    }
+    return record;
+  }
+
+  // Record → driver document
+  _toDriver(record) {
+    if (!record || typeof record !== "object") return record;
+
+    const { [this.primaryKey]: id, ...rest } = record;
+    if (id === undefined) return rest;
+    return {
+      [this._nativeKey]: this._driver.formatPrimaryKeyValue(id),
+      ...rest,
+    };
+  }
+
+  // Driver row → record; non-object results (counts, ids) pass through
+  _fromDriver(row) {
+    if (Array.isArray(row)) return row.map(r => this._fromDriver(r));
+    if (!row || Object.getPrototypeOf(row) !== Object.prototype) return row;
+    if (this._nativeKey === this.primaryKey || !(this._nativeKey in row)) {
+      return row;
+    }
+
+    const { [this._nativeKey]: id, ...rest } = row;
+    return { [this.primaryKey]: id, ...rest };
+  }
+
+  // Renames the logical key in portable where objects; raw SQL passes through
+  _toDriverWhere(where) {
+    if (Array.isArray(where)) return where.map(w => this._toDriverWhere(w));
+    if (!where || Object.getPrototypeOf(where) !== Object.prototype) {
+      return where;
+    }
+
+    const mapped = {};
+    for (const [field, value] of Object.entries(where)) {
+      if (field === "$and" || field === "$or" || field === "$not") {
+        mapped[field] = this._toDriverWhere(value);
+      } else if (field === this.primaryKey) {
+        mapped[this._nativeKey] = this.#keyCondition(value);
+      } else {
+        mapped[field] = value;
+      }
+    }
+    return mapped;
+  }
+
+  #keyCondition(value) {
+    const convert = v => this._driver.formatPrimaryKeyValue(v);
+    if (!value || Object.getPrototypeOf(value) !== Object.prototype) {
+      return convert(value);
+    }
+
+    const mapped = {};
+    for (const [op, operand] of Object.entries(value)) {
+      mapped[op] = Array.isArray(operand)
+        ? operand.map(convert)
+        : op === "$exists"
+        ? operand
+        : convert(operand);
+    }
+    return mapped;
+  }
+
+  // ============================================================
+  // OPTIMISTIC LOCKING
+  // ============================================================
+
+  // Adds options.version when the schema has a version field and the record
+  // carries the version it was read at
+  _versionOptions(record, options = {}) {
+    const field = this._schema.getVersionField();
+    if (!field || options.version || record?.[field] == null) {
+      return options;
+    }
+    return { ...options, version: { field, value: record[field] } };
+  }
+
+  // ============================================================
+  // SCOPES
+  // ============================================================
+  //
+  // Named conditions declared on the model class:
+  //
+  //   static scopes() {
+  //     return {
+  //       active: { status: "active" },
+  //       olderThan: age => ({ age: { $gt: age } }),
+  //     };
+  //   }
+  //   static defaultScopes() {
+  //     return { visible: { hidden: false } };
+  //   }
+  //
+  //   await users.active().olderThan(18).count();
+  //   await users.findMany({}, { scopes: ["active", ["olderThan", 18]] });
+  //   await users.withoutDefaultScopes().all();
+
+  static scopes() {
+    return {};
+  }
+
+  static defaultScopes() {
+    return {};
+  }
+
+  scope(name, ...args) {
+    return this.newQuery().scope(name, ...args);
+  }
+
+  /**
+   * Starts a query without the given default scopes (all when none named).
+   */
+  withoutDefaultScopes(...names) {
+    return this.newQuery().withoutDefaultScopes(...names);
+  }
+
+  // The where clause a named scope stands for
+  _namedScope(name, args = []) {
+    const scope = this.constructor.scopes()[name];
+    if (scope === undefined) {
+      throw new Error(`${this._name} has no scope named "${name}".`);
+    }
+    return typeof scope === "function" ? scope(...args) : scope;
+  }
+
+  /**
+   * Adds to a where clause the default scopes (unless bypassed with
+   * `options.withoutDefaultScopes`: true or a list of names), the scopes in
+   * `options.scopes` (names or [name, ...args]) and the soft-delete filter.
+   */
+  _scopeWhere(where, options = {}) {
+    const skip = options.withoutDefaultScopes;
+    const conditions = [];
+
+    if (skip !== true) {
+      for (const [name, scope] of Object.entries(
+        this.constructor.defaultScopes()
+      )) {
+        if (Array.isArray(skip) && skip.includes(name)) continue;
+        conditions.push(typeof scope === "function" ? scope() : scope);
+      }
+    }
+
+    for (const entry of options.scopes ?? []) {
+      const [name, ...args] = [].concat(entry);
+      conditions.push(this._namedScope(name, args));
+    }
+
+    const trashed = this._trashedCondition(options);
+    if (trashed) conditions.push(trashed);
+
+    if (!conditions.length) return where;
+    return isEmptyWhere(where) ? conditions : [].concat(where, conditions);
+  }
+
+  // Scoped where clause in the driver's terms
+  _driverWhere(where, options = {}) {
+    return this._toDriverWhere(this._scopeWhere(where, options));
+  }
+
+  // Each scope becomes a query starter on the model: users.active()
+  _defineScopeMethods() {
+    for (const name of Object.keys(this.constructor.scopes())) {
+      if (name in this) {
+        continue;
+      }
+
+      Object.defineProperty(this, name, {
+        enumerable: false,
+        configurable: true,
+        value: (...args) => this.scope(name, ...args),
+      });
+    }
+  }
+
+  // ============================================================
+  // SOFT DELETES
+  // ============================================================
+
+  // Timestamp field marking deleted rows, or null when disabled
+  get softDeleteField() {
+    return this._schema.getSoftDeleteField();
+  }
+
+  withTrashed() {
+    return this.newQuery().withTrashed();
+  }
+
+  onlyTrashed() {
+    return this.newQuery().onlyTrashed();
+  }
+
+  // Trashed rows are excluded unless `options.withTrashed`, and are the only
+  // rows with `options.onlyTrashed`
+  _trashedCondition(options = {}) {
+    const field = this.softDeleteField;
+    if (!field || options.withTrashed) {
+      return null;
+    }
+    return options.onlyTrashed ? { [field]: { $ne: null } } : { [field]: null };
+  }
+
+  // Sets the soft-delete timestamp to `deletedAt` on matching live rows, or
+  // clears it on matching trashed rows when null. Returns the rows changed.
+  async _setTrashed(where, deletedAt, options = {}) {
+    const result = await this._driver.updateMany(
+      this._tableName,
+      { [this.softDeleteField]: deletedAt },
+      this._driverWhere(where, { onlyTrashed: deletedAt === null }),
+      this._keyOptions(options)
+    );
+    return result.affectedRows ?? result.modifiedCount ?? 0;
+  }
+
+  // deleteOne()/deleteMany() body: soft when enabled, unless options.force
+  async _delete(where, many, options = {}) {
+    if (!this.softDeleteField || options.force) {
+      const method = many ? "deleteMany" : "deleteOne";
+      return this._driver[method](
+        this._tableName,
+        this._driverWhere(where, { withTrashed: true }),
+        this._keyOptions(options)
+      );
+    }
+
+    if (!many) {
+      const [row] = await this._driver.findMany(
+        this._tableName,
+        this._driverWhere(where),
+        this._keyOptions({ ...options, limit: 1 })
+      );
+      if (!row) return { deletedCount: 0 };
+      where = { [this.primaryKey]: row[this._nativeKey] };
+    }
+
+    return {
+      deletedCount: await this._setTrashed(where, new Date(), options),
+    };
+  }
+
+  // Accepts a key value or a where clause
+  _whereFor(idOrWhere) {
+    return idOrWhere !== null && typeof idOrWhere === "object"
+      ? idOrWhere
+      : { [this.primaryKey]: idOrWhere };
+  }
+
+  // ============================================================
+  // DIRTY TRACKING
+  // ============================================================
+
+  /**
+   * True if any field (or the given field) differs from its persisted value.
+   * @param {string} [field]
+   */
+  isDirty(field) {
+    if (field !== undefined) {
+      return !sameValue(this._data[field], this._original[field]);
+    }
+    return Object.keys(this.changes()).length > 0;
+  }
+
+  /**
+   * Modified fields as { field: [originalValue, currentValue] }.
+   */
+  changes() {
+    const changes = {};
+    const fields = new Set([
+      ...Object.keys(this._data),
+      ...Object.keys(this._original),
+    ]);
+
+    for (const field of fields) {
+      if (!sameValue(this._data[field], this._original[field])) {
+        changes[field] = [this._original[field], this._data[field]];
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Persisted value of a field, or a copy of all persisted values.
+   * @param {string} [field]
+   */
+  original(field) {
+    return field === undefined ? { ...this._original } : this._original[field];
+  }
+
+  /**
+   * Discards unsaved changes.
+   */
+  revert() {
+    this._data = { ...this._original };
+    this._relations = {};
+    return this;
   }
 
   toObject() {
@@ -174,6 +736,10 @@ export default class AbstractModel extends Abstract {
   // ============================================================
 
   async _handleValidationAndExecute(method, entity, action, options = {}) {
+    return action(this._validate(method, entity, options));
+  }
+
+  _validate(method, entity, options = {}) {
     const results = this._schema.validate(this._tableName, entity, options);
 
     if (!results.valid) {
@@ -181,7 +747,132 @@ export default class AbstractModel extends Abstract {
       throw new ValidationError(this._name, method, results.errors);
     }
 
-    return action(results.value);
+    return results.value;
+  }
+
+  // ============================================================
+  // LIFECYCLE HOOKS & OBSERVERS
+  // ============================================================
+
+  /**
+   * Registers an observer for this model class and its subclasses. An
+   * observer is any object with hook methods, called as
+   * `observer.beforeSave(record, options)`.
+   */
+  static observe(observer) {
+    if (!observer || !HOOKS.some(h => typeof observer[h] === "function")) {
+      throw new Error(
+        `Observer must implement at least one of: ${HOOKS.join(", ")}`
+      );
+    }
+
+    const list = AbstractModel.#observers.get(this) ?? [];
+    AbstractModel.#observers.set(this, [...list, observer]);
+    return this;
+  }
+
+  static unobserve(observer) {
+    const list = AbstractModel.#observers.get(this) ?? [];
+    AbstractModel.#observers.set(
+      this,
+      list.filter(o => o !== observer)
+    );
+    return this;
+  }
+
+  // Observers registered on this class and its ancestors, base class first
+  static _observers() {
+    const chain = [];
+    for (let cls = this; cls && cls !== Function.prototype; ) {
+      chain.unshift(...(AbstractModel.#observers.get(cls) ?? []));
+      cls = Object.getPrototypeOf(cls);
+    }
+    return chain;
+  }
+
+  /**
+   * Runs the model's own hook method, then each observer's. A hook that
+   * returns false aborts the operation with HookAbortedError; a hook that
+   * throws aborts it with that error. Hooks receive the caller's options,
+   * so writes made with them join the caller's transaction.
+   */
+  async _runHook(hook, options = {}) {
+    const handlers = [];
+    if (typeof this[hook] === "function") {
+      handlers.push(() => this[hook](options));
+    }
+    for (const observer of this.constructor._observers()) {
+      if (typeof observer[hook] === "function") {
+        handlers.push(() => observer[hook](this, options));
+      }
+    }
+
+    for (const handler of handlers) {
+      if ((await handler()) === false) {
+        throw new HookAbortedError(this._name, hook);
+      }
+    }
+  }
+
+  // ============================================================
+  // UPSERT CONFLICT TARGET
+  // ============================================================
+
+  /**
+   * Fills in `options.conflict` from the schema when the caller did not
+   * choose one: the primary key, else the first unique index whose fields
+   * are all present in the record.
+   */
+  _upsertOptions(record = {}, options = {}) {
+    if (options.conflict) {
+      return options;
+    }
+
+    const target = this._schema
+      .getUniqueKeys()
+      .find(fields =>
+        fields.every(f => record[f] !== undefined && record[f] !== null)
+      );
+
+    return target ? { ...options, conflict: target } : options;
+  }
+
+  /**
+   * Upserts validated records on the conflict target _upsertOptions() picks
+   * for each one, a statement per target, so rows that fill different unique
+   * keys are not matched on one of them. Several statements run in one
+   * transaction. Results keep the order of `records`.
+   */
+  async _upsertRecords(records, options = {}) {
+    const groups = new Map(); // conflict target → { options, positions, rows }
+    records.forEach((record, position) => {
+      const upsertOptions = this._upsertOptions(record, options);
+      const key = JSON.stringify(upsertOptions.conflict ?? null);
+      if (!groups.has(key)) {
+        groups.set(key, { options: upsertOptions, positions: [], rows: [] });
+      }
+      groups.get(key).positions.push(position);
+      groups.get(key).rows.push(this._toDriver(record));
+    });
+
+    const upsertAll = async () => {
+      const results = new Array(records.length);
+      for (const group of groups.values()) {
+        const upserted = await this._driver.upsertMany(
+          this._tableName,
+          group.rows,
+          this._keyOptions(group.options)
+        );
+        group.positions.forEach((p, i) => (results[p] = upserted[i]));
+      }
+      return results;
+    };
+
+    if (groups.size <= 1) return upsertAll();
+    const inTransaction = () => this._driver.transaction(upsertAll);
+    return options.transaction
+      ? this._driver.withTransaction(options.transaction, inTransaction)
+      : inTransaction();
   }
 
   _logValidationErrors(method, errors = []) {
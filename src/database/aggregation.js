@@ -0,0 +1,80 @@
+// aggregation.js
+
+import { normalizeOrderBy } from "./query.js";
+
+// Aggregate functions a portable aggregation may use
+export const AGGREGATE_FUNCTIONS = ["$count", "$sum", "$avg", "$min", "$max"];
+
+/**
+ * Validates a portable aggregation and fills in its defaults. Drivers compile
+ * the result to GROUP BY SQL or to a MongoDB `$group` pipeline:
+ *
+ *   driver.aggregate("orders", {
+ *     where: { status: "paid" },
+ *     groupBy: ["customerId"],
+ *     aggregates: {
+ *       orders: { $count: "*" },          // rows per group
+ *       revenue: { $sum: "amount" },
+ *       average: { $avg: "amount" },
+ *       largest: { $max: "amount" },
+ *     },
+ *     having: { revenue: { $gt: 1000 } }, // over group fields and aliases
+ *     orderBy: "-revenue",
+ *     limit: 10,
+ *   });
+ *   // → [{ customerId: 7, orders: 12, revenue: 4200, average: 350, largest: 900 }, ...]
+ *
+ * `$count` takes "*" for every row or a field name to count its non-null
+ * values. Without groupBy the whole match is one group.
+ *
+ * @param {object} spec
+ * @returns {{where: *, groupBy: string[], aggregates: Array<{alias: string, fn: string, field: string}>, having: object, orderBy: Array, limit: ?number, offset: ?number}}
+ */
+export function normalizeAggregation(spec) {
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+    throw new Error("aggregate() expects an aggregation object.");
+  }
+
+  const {
+    where = {},
+    groupBy = [],
+    aggregates = {},
+    having = {},
+    orderBy = [],
+    limit = null,
+    offset = null,
+  } = spec;
+
+  const groups = [].concat(groupBy);
+  const measures = Object.entries(aggregates).map(([alias, definition]) => {
+    const [fn, ...extra] = Object.keys(definition ?? {});
+    if (!AGGREGATE_FUNCTIONS.includes(fn) || extra.length) {
+      throw new Error(
+        `Aggregate "${alias}" must use one of ${AGGREGATE_FUNCTIONS.join(
+          ", "
+        )}.`
+      );
+    }
+    if (groups.includes(alias)) {
+      throw new Error(`Aggregate "${alias}" clashes with a groupBy field.`);
+    }
+    return { alias, fn, field: definition[fn] };
+  });
+
+  if (!groups.length && !measures.length) {
+    throw new Error("aggregate() needs groupBy fields or aggregates.");
+  }
+  if (typeof having !== "object" || having === null) {
+    throw new Error("having must be a where object.");
+  }
+
+  return {
+    where,
+    groupBy: groups,
+    aggregates: measures,
+    having,
+    orderBy: normalizeOrderBy(orderBy),
+    limit,
+    offset,
+  };
+}
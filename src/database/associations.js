@@ -0,0 +1,235 @@
+// associations.js
+
+import pluralize from "pluralize";
+import ModelRegistry from "./model-registry.js";
+
+/**
+ * Association builders, used from a model's static associations():
+ *
+ *   class Post extends ActiveRecord {
+ *     static modelName() { return "Post"; }
+ *     static associations() {
+ *       return {
+ *         author: belongsTo("User"),                      // posts.authorId → users.id
+ *         comments: hasMany("Comment"),                   // comments.postId → posts.id
+ *         cover: hasOne("Image", { foreignKey: "ownerId" }),
+ *         tags: manyToMany("Tag"),                        // posts_tags(postId, tagId)
+ *       };
+ *     }
+ *   }
+ *
+ * Targets are model names resolved through ModelRegistry (or model classes).
+ * Unless given, keys follow the conventions shown above.
+ */
+export function belongsTo(target, options = {}) {
+  return { type: "belongsTo", target, ...options };
+}
+
+export function hasMany(target, options = {}) {
+  return { type: "hasMany", target, ...options };
+}
+
+export function hasOne(target, options = {}) {
+  return { type: "hasOne", target, ...options };
+}
+
+/**
+ * @param {string|Function} target
+ * @param {object} [options]
+ * @param {string} [options.through] - Join table (default: both table names, sorted, joined by "_").
+ * @param {string} [options.foreignKey] - Join-table column pointing at the owner.
+ * @param {string} [options.relatedKey] - Join-table column pointing at the target.
+ */
+export function manyToMany(target, options = {}) {
+  return { type: "manyToMany", target, ...options };
+}
+
+// -----------------------------------------------------------------------------
+// Loading
+// -----------------------------------------------------------------------------
+
+/**
+ * Batch-loads associations onto plain rows of `model`, one IN query per
+ * association (two for manyToMany). Nested paths such as "comments.author"
+ * load level by level. Each row gets a property named after the association.
+ *
+ * @param {AbstractModel} model - The model the rows belong to.
+ * @param {object[]} rows
+ * @param {string[]} includes - Association names or dotted paths.
+ * @returns {Promise<object[]>} The same rows.
+ */
+export async function eagerLoad(model, rows, includes = []) {
+  if (!rows.length || !includes.length) return rows;
+
+  // "comments.author" → { comments: ["author"] }
+  const tree = new Map();
+  for (const path of includes) {
+    const [head, ...rest] = path.split(".");
+    if (!tree.has(head)) tree.set(head, []);
+    if (rest.length) tree.get(head).push(rest.join("."));
+  }
+
+  for (const [name, nested] of tree) {
+    const association = resolveAssociation(model, name);
+    const related = model.relatedModel(name);
+    const loaded = await LOADERS[association.type](
+      model,
+      related,
+      association,
+      rows
+    );
+
+    for (const row of rows) row[name] = loaded(row);
+
+    if (nested.length) {
+      const children = rows.flatMap(row => [].concat(row[name] ?? []));
+      await eagerLoad(related, children, nested);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Returns the association definition with every key filled in.
+ * @param {AbstractModel} model
+ * @param {string} name
+ * @returns {object}
+ */
+export function resolveAssociation(model, name) {
+  const definition = model.constructor.associations()[name];
+  if (!definition) {
+    throw new Error(`${model.name} has no association named "${name}".`);
+  }
+
+  const related = model.relatedModel(name);
+  const ownerName = lowerFirst(model.name);
+  const targetName = lowerFirst(related.name);
+
+  switch (definition.type) {
+    case "belongsTo":
+      return { foreignKey: `${name}Id`, ownerKey: null, ...definition };
+    case "hasMany":
+    case "hasOne":
+      return { foreignKey: `${ownerName}Id`, localKey: null, ...definition };
+    case "manyToMany":
+      return {
+        through: [model.tableName, related.tableName].sort().join("_"),
+        foreignKey: `${ownerName}Id`,
+        relatedKey: `${targetName}Id`,
+        localKey: null,
+        relatedPrimaryKey: null,
+        ...definition,
+      };
+    default:
+      throw new Error(`Unknown association type: ${definition.type}`);
+  }
+}
+
+export function targetClass(target) {
+  return typeof target === "string" ? ModelRegistry.get(target) : target;
+}
+
+function lowerFirst(name) {
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+// ObjectIds, numbers and strings compare by their string form
+function keyOf(value) {
+  return value === null || value === undefined ? null : String(value);
+}
+
+function uniqueValues(rows, field) {
+  const seen = new Map();
+  for (const row of rows) {
+    const key = keyOf(row[field]);
+    if (key !== null && !seen.has(key)) seen.set(key, row[field]);
+  }
+  return [...seen.values()];
+}
+
+function groupBy(rows, field) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row[field]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return groups;
+}
+
+async function findIn(model, field, values) {
+  if (!values.length) return [];
+
+  const rows = await model.driver.findMany(
+    model.tableName,
+    model._driverWhere({ [field]: { $in: values } }),
+    model._keyOptions()
+  );
+  return model._fromDriver(rows);
+}
+
+// Each loader fetches the related rows and returns row → loaded value
+const LOADERS = {
+  async belongsTo(model, related, association, rows) {
+    const ownerKey = association.ownerKey ?? related.primaryKey;
+    const ids = uniqueValues(rows, association.foreignKey);
+    const found = groupBy(await findIn(related, ownerKey, ids), ownerKey);
+
+    return row => found.get(keyOf(row[association.foreignKey]))?.[0] ?? null;
+  },
+
+  async hasMany(model, related, association, rows) {
+    const localKey = association.localKey ?? model.primaryKey;
+    const ids = uniqueValues(rows, localKey);
+    const found = groupBy(
+      await findIn(related, association.foreignKey, ids),
+      association.foreignKey
+    );
+
+    return row => found.get(keyOf(row[localKey])) ?? [];
+  },
+
+  async hasOne(model, related, association, rows) {
+    const many = await LOADERS.hasMany(model, related, association, rows);
+    return row => many(row)[0] ?? null;
+  },
+
+  async manyToMany(model, related, association, rows) {
+    const localKey = association.localKey ?? model.primaryKey;
+    const relatedPrimaryKey =
+      association.relatedPrimaryKey ?? related.primaryKey;
+
+    const ids = uniqueValues(rows, localKey);
+    const pivots = ids.length
+      ? await model.driver.findMany(association.through, {
+          [association.foreignKey]: { $in: ids },
+        })
+      : [];
+
+    const relatedIds = uniqueValues(pivots, association.relatedKey);
+    const found = groupBy(
+      await findIn(related, relatedPrimaryKey, relatedIds),
+      relatedPrimaryKey
+    );
+    const pivotsByOwner = groupBy(pivots, association.foreignKey);
+
+    return row =>
+      (pivotsByOwner.get(keyOf(row[localKey])) ?? [])
+        .map(pivot => found.get(keyOf(pivot[association.relatedKey]))?.[0])
+        .filter(Boolean);
+  },
+};
+
+/**
+ * Default table name for a model name: "BlogPost" → "blog_posts".
+ * @param {string} modelName
+ * @returns {string}
+ */
+export function defaultTableName(modelName) {
+  const snake = modelName
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/[\s-]+/g, "_")
+    .toLowerCase();
+  return pluralize(snake);
+}
@@ -2,6 +2,7 @@
 
 import path from "path";
 import SQLDriver from "./sql-driver.js";
+import DriverRegistry from "./driver-registry.js";
 import Database from "better-sqlite3";
 import parseDatabaseURI from "../utility/parse-database-uri.js";
 
@@ -14,15 +15,18 @@ export default class BetterSqliteDriver extends SQLDriver {
   #uri;
   #dbFile;
   #DB;
+  #configOptions;
 
-  constructor() {
-    super();
+  constructor(config = {}) {
+    super(config);
 
     // ------------------------------------------------------------
-    // Load global config
+    // Load config (the tenant's, or the server's by default)
     // ------------------------------------------------------------
-    this.#uri = system.server.getString("database_uri"); // required
-    const configOptions = system.server.getObject("database_options", {});
+    this.#uri = this.databaseURI(); // required
+    const { logging, createTables, ...configOptions } = this.databaseOptions();
+    this.queryLogSettings(logging);
+    this.createTablesSetting(createTables);
 
     // ------------------------------------------------------------
     // Parse URI
@@ -47,6 +51,10 @@ export default class BetterSqliteDriver extends SQLDriver {
     return "better-sqlite";
   }
 
+  static schemes() {
+    return ["sqlite", "better-sqlite", "better-sqlite3"];
+  }
+
   /* =============================================================
    * Connection Management
    * ============================================================= */
@@ -94,18 +102,20 @@ export default class BetterSqliteDriver extends SQLDriver {
     if (!this.db) throw new Error("SQLiteDriver: Database not connected");
 
     try {
-      const stmt = this.db.prepare(sql);
-      const isSelect = /^\s*SELECT/i.test(sql);
-
-      if (isSelect) {
-        return stmt.all(params);
-      } else {
-        const info = stmt.run(params);
-        return {
-          changes: info.changes ?? 0,
-          lastInsertRowid: info.lastInsertRowid ?? null,
-        };
-      }
+      return await this.instrument({ sql, params }, async () => {
+        const stmt = this.db.prepare(sql);
+
+        // stmt.reader is true for SELECT and for statements with RETURNING
+        if (stmt.reader) {
+          return stmt.all(params);
+        } else {
+          const info = stmt.run(params);
+          return {
+            changes: info.changes ?? 0,
+            lastInsertRowid: info.lastInsertRowid ?? null,
+          };
+        }
+      });
     } catch (err) {
       system.log.error(
         "[SQLiteDriver] SQL Error:",
@@ -116,21 +126,17 @@ export default class BetterSqliteDriver extends SQLDriver {
   }
 
   /* =============================================================
-   * Transaction Management
+   * SQL Dialect
    * ============================================================= */
-  async startTransaction() {
-    if (!this.db) throw new Error("SQLiteDriver: Database not connected");
-    this.db.exec("BEGIN TRANSACTION");
+  toDatabaseValue(value) {
+    // better-sqlite3 only binds numbers, strings, bigints, buffers and null
+    if (typeof value === "boolean") return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    return super.toDatabaseValue(value);
   }
 
-  async commitTransaction() {
-    if (!this.db) throw new Error("SQLiteDriver: Database not connected");
-    this.db.exec("COMMIT");
-  }
-
-  async rollbackTransaction() {
-    if (!this.db) throw new Error("SQLiteDriver: Database not connected");
-    this.db.exec("ROLLBACK");
+  explainPrefix() {
+    return "EXPLAIN QUERY PLAN";
   }
 
   /* =============================================================
@@ -146,3 +152,6 @@ export default class BetterSqliteDriver extends SQLDriver {
     return logicalKey;
   }
 }
+
+// Register globally
+DriverRegistry.add("better-sqlite", BetterSqliteDriver);
@@ -0,0 +1,118 @@
+// connection-manager.js
+
+import DriverRegistry from "./driver-registry.js";
+
+/**
+ * ConnectionManager
+ *
+ * Keeps one driver per tenant. The driver is created from the tenant's
+ * database_uri (and database_options, else the server's) on first use,
+ * connected, and kept until close():
+ *
+ *   const connections = new ConnectionManager(app.tenants);
+ *   const driver = await connections.driverFor(req.tenant);
+ *   await connections.closeAll(); // on shutdown
+ *
+ * Tenants are identified by name and may be passed as the name or as the
+ * `[[tenants]]` config entry.
+ */
+export default class ConnectionManager {
+  #tenants = new Map(); // name → tenant config
+  #drivers = new Map(); // name → Promise<driver>
+
+  /**
+   * @param {object[]} tenants - `[[tenants]]` entries from the config.
+   */
+  constructor(tenants = []) {
+    for (const tenant of tenants) this.#tenants.set(tenant.name, tenant);
+  }
+
+  /**
+   * The tenant's connected driver, created on the first call. Concurrent
+   * first calls share one driver; a failed connect is retried next time.
+   *
+   * @param {string|object} tenant
+   * @returns {Promise<AbstractDriver>}
+   */
+  driverFor(tenant) {
+    const config = this.#resolve(tenant);
+
+    if (!this.#drivers.has(config.name)) {
+      const pending = this.#open(config);
+      this.#drivers.set(config.name, pending);
+      pending.catch(() => {
+        if (this.#drivers.get(config.name) === pending) {
+          this.#drivers.delete(config.name);
+        }
+      });
+    }
+    return this.#drivers.get(config.name);
+  }
+
+  /**
+   * Whether the tenant has a driver open (or opening).
+   * @param {string|object} tenant
+   * @returns {boolean}
+   */
+  has(tenant) {
+    return this.#drivers.has(nameOf(tenant));
+  }
+
+  /**
+   * Disconnects and forgets the tenant's driver; the next driverFor()
+   * creates a new one.
+   *
+   * @param {string|object} tenant
+   * @returns {Promise<boolean>} False when no driver was open.
+   */
+  async close(tenant) {
+    const name = nameOf(tenant);
+    const pending = this.#drivers.get(name);
+    if (!pending) return false;
+
+    this.#drivers.delete(name);
+    const driver = await pending.catch(() => null);
+    await driver?.disconnect();
+    system.log.debug(`[ConnectionManager] Closed tenant "${name}".`);
+    return true;
+  }
+
+  /**
+   * Disconnects every tenant's driver.
+   */
+  async closeAll() {
+    await Promise.all([...this.#drivers.keys()].map(name => this.close(name)));
+  }
+
+  #resolve(tenant) {
+    const name = nameOf(tenant);
+    const config =
+      this.#tenants.get(name) ?? (typeof tenant === "object" ? tenant : null);
+
+    if (!config || !name) throw new Error(`Unknown tenant: ${name}`);
+    if (!config.database_uri) {
+      throw new Error(`Tenant "${name}" has no database_uri.`);
+    }
+    return config;
+  }
+
+  async #open(tenant) {
+    const DriverClass = DriverRegistry.fromURI(tenant.database_uri);
+    const driver = new DriverClass({
+      uri: tenant.database_uri,
+      options: tenant.database_options,
+    });
+
+    await driver.connect();
+    system.log.debug(
+      `[ConnectionManager] Connected tenant "${
+        tenant.name
+      }" (${DriverClass.driverName()}).`
+    );
+    return driver;
+  }
+}
+
+function nameOf(tenant) {
+  return typeof tenant === "string" ? tenant : tenant?.name;
+}
@@ -1,15 +1,24 @@
 // driver-registry.js
 
+import parseDatabaseURI, {
+  splitDatabaseURIs,
+} from "../utility/parse-database-uri.js";
+
 export default class DriverRegistry {
   // Private static Map to hold all registered drivers
   static #drivers = new Map();
 
+  // URI scheme → name of the driver that claimed it
+  static #schemes = new Map();
+
   /**
-   * Registers a driver by name.
-   * If a driver with the same name already exists, it is replaced.
+   * Registers a driver by name, along with the URI schemes its static
+   * schemes() declares. If a driver with the same name already exists, it is
+   * replaced.
    *
    * @param {string} driverName - The unique name for the driver.
    * @param {Function} DriverClass - The driver constructor or class.
+   * @throws {Error} If another driver already claims one of the schemes.
    */
   static add(driverName, DriverClass) {
     if (typeof driverName !== "string") {
@@ -19,8 +28,22 @@ export default class DriverRegistry {
       throw new TypeError("DriverClass must be a constructor or class.");
     }
 
+    const schemes = (DriverClass.schemes?.() ?? [driverName]).map(scheme =>
+      scheme.toLowerCase()
+    );
+    for (const scheme of schemes) {
+      const owner = this.#schemes.get(scheme);
+      if (owner && owner !== driverName) {
+        throw new Error(
+          `Driver "${driverName}" claims the "${scheme}:" scheme, which driver "${owner}" already handles.`
+        );
+      }
+    }
+
     // Replace existing entry (Map handles this automatically)
+    this.#releaseSchemes(driverName);
     this.#drivers.set(driverName, DriverClass);
+    for (const scheme of schemes) this.#schemes.set(scheme, driverName);
   }
 
   /**
@@ -42,6 +65,38 @@ export default class DriverRegistry {
     return this.#drivers.get(driverName);
   }
 
+  /**
+   * Retrieves the driver class for a database URI by its scheme
+   * ("postgresql://..." → the postgres driver). With read replicas listed,
+   * the primary's scheme decides.
+   *
+   * @param {string} uri - A database_uri.
+   * @returns {Function} The registered driver class.
+   * @throws {Error} If no registered driver handles the scheme.
+   */
+  static fromURI(uri) {
+    const { primary } = splitDatabaseURIs(uri);
+    const scheme = parseDatabaseURI(primary).driver;
+
+    if (!this.#schemes.has(scheme)) {
+      throw new Error(
+        `No database driver registered for "${scheme}:" URIs. ` +
+          `Supported schemes: ${this.schemes().join(", ") || "(none)"}.`
+      );
+    }
+
+    return this.#drivers.get(this.#schemes.get(scheme));
+  }
+
+  /**
+   * Lists the URI schemes of all registered drivers.
+   *
+   * @returns {string[]} Sorted array of schemes.
+   */
+  static schemes() {
+    return Array.from(this.#schemes.keys()).sort();
+  }
+
   /**
    * Lists all registered driver names.
    *
@@ -59,6 +114,13 @@ export default class DriverRegistry {
    * @returns {boolean} True if removed, false if not found.
    */
   static remove(driverName) {
+    this.#releaseSchemes(driverName);
     return this.#drivers.delete(driverName);
   }
+
+  static #releaseSchemes(driverName) {
+    for (const [scheme, owner] of this.#schemes) {
+      if (owner === driverName) this.#schemes.delete(scheme);
+    }
+  }
 }
@@ -0,0 +1,130 @@
+// introspection.js
+
+/**
+ * Helpers that turn catalog rows and sampled documents into the structure
+ * driver.introspect() returns (see AbstractDriver.introspect()).
+ */
+
+/**
+ * Column from a catalog row aliased as { name, type, max_length, nullable,
+ * default_value, is_primary, auto_increment }.
+ * @param {object} row
+ * @returns {object}
+ */
+export function catalogColumn(row) {
+  return {
+    name: row.name,
+    type: String(row.type).toLowerCase(),
+    maxLength:
+      row.max_length === null || row.max_length === undefined
+        ? null
+        : Number(row.max_length),
+    nullable: !!row.nullable,
+    default: row.default_value ?? null,
+    primaryKey: row.is_primary === undefined ? undefined : !!row.is_primary,
+    autoIncrement: !!row.auto_increment,
+  };
+}
+
+/**
+ * Indexes from catalog rows, one per indexed column in order, aliased as
+ * { name, column_name, is_unique, is_primary }.
+ * @param {object[]} rows
+ * @returns {object[]}
+ */
+export function catalogIndexes(rows) {
+  const indexes = new Map();
+  for (const row of rows) {
+    if (!indexes.has(row.name)) {
+      indexes.set(row.name, {
+        name: row.name,
+        columns: [],
+        unique: !!row.is_unique,
+        primary: !!row.is_primary,
+      });
+    }
+    indexes.get(row.name).columns.push(row.column_name);
+  }
+  return [...indexes.values()];
+}
+
+/**
+ * Foreign keys from catalog rows, one per column pair in order, aliased as
+ * { name, column_name, ref_table, ref_column, on_update, on_delete }.
+ * @param {object[]} rows
+ * @returns {object[]}
+ */
+export function catalogForeignKeys(rows) {
+  const keys = new Map();
+  for (const row of rows) {
+    if (!keys.has(row.name)) {
+      keys.set(row.name, {
+        name: row.name,
+        columns: [],
+        references: { table: row.ref_table, columns: [] },
+        onUpdate: row.on_update,
+        onDelete: row.on_delete,
+      });
+    }
+    const key = keys.get(row.name);
+    key.columns.push(row.column_name);
+    key.references.columns.push(row.ref_column);
+  }
+  return [...keys.values()];
+}
+
+/**
+ * Columns inferred from documents: every top-level field seen, typed by
+ * the values found ("string", "int|null", ...). A field missing from some
+ * documents, or null in any, is nullable.
+ *
+ * @param {object[]} documents
+ * @param {string} primaryKey
+ * @returns {object[]}
+ */
+export function inferColumns(documents, primaryKey) {
+  const fields = new Map(); // name → { types: Set, seen: number }
+
+  for (const doc of documents) {
+    for (const [name, value] of Object.entries(doc)) {
+      if (!fields.has(name)) fields.set(name, { types: new Set(), seen: 0 });
+      const field = fields.get(name);
+      field.types.add(valueType(value));
+      field.seen++;
+    }
+  }
+
+  return [...fields].map(([name, { types, seen }]) => ({
+    name,
+    type: [...types].filter(t => t !== "null").join("|") || "null",
+    maxLength: null,
+    nullable: types.has("null") || seen < documents.length,
+    default: null,
+    primaryKey: name === primaryKey,
+    autoIncrement: false,
+  }));
+}
+
+// BSON type names, so MongoDB and in-memory documents read alike
+function valueType(value) {
+  if (value === null || value === undefined) return "null";
+  if (Array.isArray(value)) return "array";
+  if (value instanceof Date) return "date";
+  if (value._bsontype) {
+    const type = value._bsontype;
+    return type.charAt(0).toLowerCase() + type.slice(1); // ObjectId → objectId
+  }
+
+  switch (typeof value) {
+    case "number":
+      return Number.isInteger(value) ? "int" : "double";
+    case "bigint":
+      return "long";
+    case "boolean":
+      return "bool";
+    case "object":
+      return "object";
+    default:
+      return typeof value;
+  }
+}
@@ -1,6 +1,7 @@
 // libsql-driver.js
 
 import SQLDriver from "./sql-driver.js";
+import DriverRegistry from "./driver-registry.js";
 import parseDatabaseURI from "../utility/parse-database-uri.js";
 
 /**
@@ -13,14 +14,16 @@ export default class LibSqlDriver extends SQLDriver {
   #clientModule = null;
   #config = {};
 
-  constructor() {
-    super();
+  constructor(config = {}) {
+    super(config);
 
     // ------------------------------------------------------------
-    // Load global config
+    // Load config (the tenant's, or the server's by default)
     // ------------------------------------------------------------
-    const uri = system.server.getString("database_uri"); // required
-    const options = system.server.getObject("database_options", {});
+    const uri = this.databaseURI(); // required
+    const { logging, createTables, ...options } = this.databaseOptions();
+    this.queryLogSettings(logging);
+    this.createTablesSetting(createTables);
 
     // ------------------------------------------------------------
     // Parse URI
@@ -96,16 +99,17 @@ export default class LibSqlDriver extends SQLDriver {
       : params;
 
     try {
-      const result = await this.#db.execute(sql, boundParams);
+      return await this.instrument({ sql, params }, async () => {
+        const result = await this.#db.execute(sql, boundParams);
 
-      // Normalize the result
-      const isSelect = /^\s*SELECT/i.test(sql);
-      if (isSelect) return result.rows || [];
+        // Normalize the result (SELECT and RETURNING statements yield columns)
+        if (result.columns?.length) return result.rows || [];
 
-      return {
-        changes: result.changes ?? 0,
-        lastInsertRowid: result.lastInsertRowid ?? null,
-      };
+        return {
+          changes: result.rowsAffected ?? result.changes ?? 0,
+          lastInsertRowid: result.lastInsertRowid ?? null,
+        };
+      });
     } catch (err) {
       system.log.error(
         "[LibSqlDriver] SQL Error:",
@@ -118,18 +122,10 @@ export default class LibSqlDriver extends SQLDriver {
   }
 
   /* =============================================================
-   * Transaction Management
+   * SQL Dialect
    * ============================================================= */
-  async startTransaction() {
-    await this.execute("BEGIN TRANSACTION");
-  }
-
-  async commitTransaction() {
-    await this.execute("COMMIT");
-  }
-
-  async rollbackTransaction() {
-    await this.execute("ROLLBACK");
+  explainPrefix() {
+    return "EXPLAIN QUERY PLAN";
   }
 
   /* =============================================================
@@ -143,3 +139,6 @@ export default class LibSqlDriver extends SQLDriver {
     return logicalKey;
   }
 }
+
+// Register globally
+DriverRegistry.add("libsql", LibSqlDriver);
@@ -2,7 +2,26 @@
 
 import SQLDriver from "./sql-driver.js";
 import DriverRegistry from "./driver-registry.js";
-import parseDatabaseURI from "../utility/parse-database-uri.js";
+import parseDatabaseURI, {
+  splitDatabaseURIs,
+} from "../utility/parse-database-uri.js";
+
+// Server errors worth retrying: deadlocks, lock timeouts, shutdowns, a full
+// server, and a connection lost mid-query
+const TRANSIENT_ERRORS = new Set([
+  "ER_LOCK_DEADLOCK",
+  "ER_LOCK_WAIT_TIMEOUT",
+  "ER_SERVER_SHUTDOWN",
+  "ER_CON_COUNT_ERROR",
+  "PROTOCOL_CONNECTION_LOST",
+]);
+
+// Transient errors after which the statement is known to have no effect
+const UNAPPLIED_ERRORS = new Set([
+  "ER_LOCK_DEADLOCK",
+  "ER_LOCK_WAIT_TIMEOUT",
+  "ER_CON_COUNT_ERROR",
+]);
 
 /**
  * MariaDBDriver
@@ -12,11 +31,12 @@ import parseDatabaseURI from "../utility/parse-database-uri.js";
  */
 export default class MariaDBDriver extends SQLDriver {
   pool = null;
-  connection = null;
+  replicas = []; // pools for the read replicas
+  #nextReplica = 0;
   mariadbModule = null;
 
-  constructor() {
-    super();
+  constructor(config = {}) {
+    super(config);
   }
 
   /* =============================================================
@@ -38,10 +58,17 @@ export default class MariaDBDriver extends SQLDriver {
     // ------------------------------------------------------------
     // Parse URI + load additional options
     // ------------------------------------------------------------
-    const uri = system.server.getString("database_uri"); // required
-    const options = system.server.getObject("database_options", {});
+    const { primary, replicas } = splitDatabaseURIs(
+      this.databaseURI() // required
+    );
+    const { pool, connectionLimit, retry, logging, createTables, ...options } =
+      this.databaseOptions();
+    const settings = this.poolSettings({ pool, connectionLimit }, { max: 5 });
+    this.retrySettings(retry);
+    this.queryLogSettings(logging);
+    this.createTablesSetting(createTables);
 
-    const parsed = parseDatabaseURI(uri);
+    const parsed = parseDatabaseURI(primary);
 
     if (!parsed.host || !parsed.database) {
       throw new Error(
@@ -55,7 +82,11 @@ export default class MariaDBDriver extends SQLDriver {
       user: parsed.username,
       password: parsed.password,
       database: parsed.database,
-      connectionLimit: options.connectionLimit || 5,
+      connectionLimit: settings.max,
+      minimumIdle: settings.min,
+      idleTimeout: Math.ceil(settings.idleTimeout / 1000), // seconds
+      acquireTimeout: settings.acquireTimeout,
+      queryTimeout: settings.statementTimeout,
       supportBigNumbers: true,
       bigNumberStrings: false,
       ...options, // allow any other custom pool options
@@ -63,19 +94,34 @@ export default class MariaDBDriver extends SQLDriver {
 
     this.pool = mariadb.createPool(poolOptions);
 
+    // Replicas share the primary's settings and, unless given, credentials
+    this.replicas = replicas.map(replicaURI => {
+      const replica = parseDatabaseURI(replicaURI);
+      return mariadb.createPool({
+        ...poolOptions,
+        host: replica.host,
+        port: replica.port || 3306,
+        user: replica.username ?? poolOptions.user,
+        password: replica.password ?? poolOptions.password,
+        database: replica.database ?? poolOptions.database,
+      });
+    });
+
     // Test connection
     const conn = await this.pool.getConnection();
     conn.release();
 
     system.log.debug(
-      `[MariaDBDriver] Connected to ${poolOptions.database}@${poolOptions.host}:${poolOptions.port}`
+      `[MariaDBDriver] Connected to ${poolOptions.database}@${poolOptions.host}:${poolOptions.port}` +
+        (this.replicas.length ? ` (+${this.replicas.length} replicas)` : "")
     );
   }
 
   async disconnect() {
     if (this.pool) {
-      await this.pool.end();
+      await Promise.all([this.pool, ...this.replicas].map(p => p.end()));
       this.pool = null;
+      this.replicas = [];
       system.log.debug("[MariaDBDriver] Disconnected.");
     }
   }
@@ -84,30 +130,67 @@ export default class MariaDBDriver extends SQLDriver {
     await this.disconnect();
   }
 
+  poolStats() {
+    if (!this.pool) return null;
+    return {
+      max: this._poolSettings.max,
+      size: this.pool.totalConnections(),
+      idle: this.pool.idleConnections(),
+      inUse: this.pool.activeConnections(),
+      waiting: this.pool.taskQueueSize(),
+    };
+  }
+
   /* =============================================================
    * SQL Execution
    * ============================================================= */
   async execute(sql, params = []) {
     if (!this.pool) throw new Error("MariaDBDriver: Database not connected.");
 
-    const conn = this.connection || (await this.pool.getConnection());
-    let result;
+    return this.#run(this.pool, sql, params);
+  }
+
+  hasReplicas() {
+    return this.replicas.length > 0;
+  }
+
+  // Replicas take turns
+  async executeOnReplica(sql, params = []) {
+    if (!this.pool) throw new Error("MariaDBDriver: Database not connected.");
+
+    const replica = this.replicas[this.#nextReplica++ % this.replicas.length];
+    return this.#run(replica, sql, params);
+  }
+
+  // Each attempt takes a fresh connection from `pool`
+  async #run(pool, sql, params) {
+    const tx = this.currentTransaction();
+    const retry = { read: this.isReadStatement(sql) };
 
     try {
-      result = await conn.query(sql, params);
-
-      // Normalize rowCount
-      if (Array.isArray(result)) {
-        result.rowCount = result.affectedRows ?? result.length;
-      } else if (
-        result &&
-        typeof result === "object" &&
-        "affectedRows" in result
-      ) {
-        result.rowCount = result.affectedRows;
-      }
+      return await this.instrument({ sql, params }, () =>
+        this.withRetry(async () => {
+          const conn = tx?.connection || (await pool.getConnection());
+          try {
+            const result = await conn.query(sql, params);
 
-      return result;
+            // Normalize rowCount
+            if (Array.isArray(result)) {
+              result.rowCount = result.affectedRows ?? result.length;
+            } else if (
+              result &&
+              typeof result === "object" &&
+              "affectedRows" in result
+            ) {
+              result.rowCount = result.affectedRows;
+            }
+
+            return result;
+          } finally {
+            if (!tx) conn.release();
+          }
+        }, retry)
+      );
     } catch (err) {
       system.log.error(
         "[MariaDBDriver] SQL Error:",
@@ -116,42 +199,193 @@ export default class MariaDBDriver extends SQLDriver {
         sql
       );
       throw err;
+    }
+  }
+
+  // mariadb queryStream (backpressured row stream)
+  async *streamRows(sql, params, { transaction, replica }) {
+    if (!this.pool) throw new Error("MariaDBDriver: Database not connected.");
+
+    const owned = !transaction;
+    const pool = replica
+      ? this.replicas[this.#nextReplica++ % this.replicas.length]
+      : this.pool;
+    const conn = transaction?.connection || (await pool.getConnection());
+    const rows = conn.queryStream(sql, params);
+    let done = false;
+
+    try {
+      for await (const row of rows) yield row;
+      done = true;
     } finally {
-      if (!this.connection) conn.release();
+      // Commands queue per connection, so a transaction connection finishes
+      // reading an abandoned result by itself; a pooled one is dropped.
+      if (owned) {
+        if (done) conn.release();
+        else conn.destroy();
+      }
     }
   }
 
   /* =============================================================
    * Transaction Management
    * ============================================================= */
+  // Each transaction holds its own pooled connection until it ends
   async startTransaction() {
     if (!this.pool) throw new Error("MariaDBDriver: Not connected.");
-    if (this.connection) throw new Error("Transaction already started.");
 
-    this.connection = await this.pool.getConnection();
-    await this.connection.beginTransaction();
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.beginTransaction();
+    } catch (err) {
+      connection.release();
+      throw err;
+    }
+    return { connection, savepoints: 0 };
   }
 
-  async commitTransaction() {
-    if (!this.connection) return;
+  async commitTransaction(tx = this.currentTransaction()) {
+    this.requireTransaction(tx, "commitTransaction");
     try {
-      await this.connection.commit();
+      await tx.connection.commit();
     } finally {
-      this.connection.release();
-      this.connection = null;
+      tx.connection.release();
     }
   }
 
-  async rollbackTransaction() {
-    if (!this.connection) return;
+  async rollbackTransaction(tx = this.currentTransaction()) {
+    this.requireTransaction(tx, "rollbackTransaction");
     try {
-      await this.connection.rollback();
+      await tx.connection.rollback();
     } finally {
-      this.connection.release();
-      this.connection = null;
+      tx.connection.release();
     }
   }
 
+  isTransientError(err) {
+    return super.isTransientError(err) || TRANSIENT_ERRORS.has(err?.code);
+  }
+
+  isUnappliedError(err) {
+    return super.isUnappliedError(err) || UNAPPLIED_ERRORS.has(err?.code);
+  }
+
+  /* =============================================================
+   * Introspection (current database)
+   * ============================================================= */
+  async introspectTables() {
+    const rows = await this.execute(
+      `SELECT table_name AS name FROM information_schema.tables
+       WHERE table_schema = DATABASE() AND table_type = 'BASE TABLE'
+       ORDER BY table_name`
+    );
+    return rows.map(row => row.name);
+  }
+
+  async introspectColumns(table) {
+    return this.execute(
+      `SELECT column_name AS name, data_type AS type,
+         character_maximum_length AS max_length,
+         is_nullable = 'YES' AS nullable,
+         column_default AS default_value,
+         column_key = 'PRI' AS is_primary,
+         extra LIKE '%auto_increment%' AS auto_increment
+       FROM information_schema.columns
+       WHERE table_schema = DATABASE() AND table_name = ?
+       ORDER BY ordinal_position`,
+      [table]
+    );
+  }
+
+  async introspectIndexes(table) {
+    return this.execute(
+      `SELECT index_name AS name, column_name AS column_name,
+         non_unique = 0 AS is_unique, index_name = 'PRIMARY' AS is_primary
+       FROM information_schema.statistics
+       WHERE table_schema = DATABASE() AND table_name = ?
+       ORDER BY index_name, seq_in_index`,
+      [table]
+    );
+  }
+
+  async introspectForeignKeys(table) {
+    return this.execute(
+      `SELECT k.constraint_name AS name, k.column_name AS column_name,
+         k.referenced_table_name AS ref_table,
+         k.referenced_column_name AS ref_column,
+         r.update_rule AS on_update, r.delete_rule AS on_delete
+       FROM information_schema.key_column_usage k
+       JOIN information_schema.referential_constraints r
+         ON r.constraint_schema = k.constraint_schema
+         AND r.constraint_name = k.constraint_name
+         AND r.table_name = k.table_name
+       WHERE k.table_schema = DATABASE() AND k.table_name = ?
+         AND k.referenced_table_name IS NOT NULL
+       ORDER BY k.constraint_name, k.ordinal_position`,
+      [table]
+    );
+  }
+
+  /* =============================================================
+   * SQL Dialect
+   * ============================================================= */
+  quoteIdentifier(name) {
+    return String(name)
+      .split(".")
+      .map(part => `\`${part.replace(/`/g, "``")}\``)
+      .join(".");
+  }
+
+  limitClause(limit, offset) {
+    if (limit === null && offset === null) return "";
+    if (offset === null) return ` LIMIT ${limit}`;
+    // MySQL has no "no limit" value; the documented idiom is the max BIGINT
+    return ` LIMIT ${limit ?? "18446744073709551615"} OFFSET ${offset}`;
+  }
+
+  supportsReturning() {
+    return false;
+  }
+
+  supportsDeleteLimit() {
+    return true;
+  }
+
+  upsertClause(conflict, merge) {
+    // The conflict target is implied: any PRIMARY or UNIQUE key may trigger it
+    const updates = (merge.length ? merge : conflict.slice(0, 1)).map(
+      c => `${this.quoteIdentifier(c)} = VALUES(${this.quoteIdentifier(c)})`
+    );
+    return ` ON DUPLICATE KEY UPDATE ${updates.join(", ")}`;
+  }
+
+  /* =============================================================
+   * Column Types (see SQLDriver.createTableSQL())
+   * ============================================================= */
+  columnType(field) {
+    switch (field.type) {
+      // TEXT columns take no DEFAULT and need a prefix length to be indexed
+      case "string":
+        return `VARCHAR(${field.maxLength ?? 255})`;
+      // TIMESTAMP ends in 2038
+      case "timestamp":
+        return "DATETIME(3)";
+      default:
+        return super.columnType(field);
+    }
+  }
+
+  autoIncrementType() {
+    return "INTEGER AUTO_INCREMENT";
+  }
+
+  sqlLiteral(value) {
+    // A backslash starts an escape in MySQL strings (unless NO_BACKSLASH_ESCAPES)
+    return super.sqlLiteral(
+      typeof value === "string" ? value.replace(/\\/g, "\\\\") : value
+    );
+  }
+
   /* =============================================================
    * Table Name / Primary Key Formatting
    * ============================================================= */
@@ -0,0 +1,760 @@
+// memory-driver.js
+
+import AbstractDriver, { StaleRecordError } from "./abstract-driver.js";
+import DriverRegistry from "./driver-registry.js";
+import { RawCondition, normalizeOrderBy } from "./query.js";
+import { normalizeAggregation } from "./aggregation.js";
+import { inferColumns } from "./introspection.js";
+import parseSQLWhere from "../utility/parse-sql-where.js";
+import { likeToRegex } from "../utility/sql-to-mongodb.js";
+
+/**
+ * MemoryDriver
+ *
+ * Keeps every table as an array of plain objects inside the process, so test
+ * suites run without a database server or files. Where clauses take the same
+ * portable forms as the SQL drivers (raw strings are parsed by
+ * parseSQLWhere()) and follow SQL semantics, NULL comparisons included.
+ * Integer keys auto-increment per table. Transactions take turns and roll
+ * back by restoring a snapshot.
+ */
+export default class MemoryDriver extends AbstractDriver {
+  #tables = new Map(); // table name → { rows: object[], nextId: number }
+  #transactionQueue = Promise.resolve();
+
+  static driverName() {
+    return "memory";
+  }
+
+  // ---------------------------------------------------------------------------
+  // Connection management
+  // ---------------------------------------------------------------------------
+  async connect() {}
+
+  async disconnect() {}
+
+  async ping() {}
+
+  // ---------------------------------------------------------------------------
+  // CRUD operations
+  // ---------------------------------------------------------------------------
+  async findById(table, id, options = {}) {
+    await this.#ready(options);
+    const pk = this.formatPrimaryKey(options.primaryKey);
+    const row = this.#table(table).rows.find(r => sameKey(r[pk], id));
+    return row ? structuredClone(row) : null;
+  }
+
+  /**
+   * Supports the SQL drivers' options: select, orderBy, limit, offset,
+   * joins (columns of joined rows are merged in, as with SELECT *) and
+   * params for a raw where string.
+   */
+  async findMany(table, whereClause = {}, options = {}) {
+    await this.#ready(options);
+    const { select = [], limit = null, offset = null } = options;
+
+    let records = this.#filter(
+      this.#joined(table, options.joins ?? []),
+      whereClause,
+      options.params
+    );
+
+    const orderBy = normalizeOrderBy(options.orderBy);
+    if (orderBy.length) records = sortBy(records, orderBy);
+    if (offset !== null) records = records.slice(offset);
+    if (limit !== null) records = records.slice(0, limit);
+
+    return records.map(record => {
+      if (!select.length) return structuredClone(record.row);
+      const picked = {};
+      for (const field of select) {
+        picked[field.split(".").pop()] = structuredClone(
+          record.get(field) ?? null
+        );
+      }
+      return picked;
+    });
+  }
+
+  async insertOne(table, data, options = {}) {
+    const [row] = await this.insertMany(table, [data], options);
+    return row;
+  }
+
+  async insertMany(table, data = [], options = {}) {
+    await this.#ready(options);
+    const { returnFull = false } = this.normalizeOptions(options);
+    const pk = this.formatPrimaryKey(options.primaryKey);
+
+    return this.#allOrNothing(table, data, row => {
+      const stored = this.#insert(table, row, pk);
+      return returnFull ? structuredClone(stored) : { [pk]: stored[pk] };
+    });
+  }
+
+  /**
+   * Updates the row identified by the primary key in `data`. Honours
+   * `options.version` like the SQL drivers.
+   */
+  async updateOne(table, data, options = {}) {
+    await this.#ready(options);
+    const { returnFull = false } = this.normalizeOptions(options);
+    const pk = this.formatPrimaryKey(options.primaryKey);
+    const version = options.version ?? null;
+
+    const { [pk]: id, ...updateData } = data;
+    if (id === undefined || id === null) {
+      throw new Error(`updateOne requires a '${pk}' field.`);
+    }
+    if (version) delete updateData[version.field];
+
+    const row = this.#table(table).rows.find(r => sameKey(r[pk], id));
+    if (version && row?.[version.field] !== version.value) {
+      throw new StaleRecordError(table, id, version.value);
+    }
+
+    if (row) {
+      Object.assign(row, structuredClone(updateData));
+      if (version) row[version.field] = version.value + 1;
+    }
+
+    if (returnFull) return row ? structuredClone(row) : null;
+    return version
+      ? { [pk]: id, [version.field]: version.value + 1 }
+      : { [pk]: id };
+  }
+
+  async updateMany(table, data, whereClause = {}, options = {}) {
+    await this.#ready(options);
+    const pk = this.formatPrimaryKey(options.primaryKey);
+    const { [pk]: _ignored, ...updateData } = data; // never rewrite keys in bulk
+    if (!Object.keys(updateData).length) return { affectedRows: 0 };
+
+    const matched = this.#filter(
+      this.#joined(table, []),
+      whereClause,
+      options.params
+    );
+    for (const { row } of matched) {
+      Object.assign(row, structuredClone(updateData));
+    }
+    return { affectedRows: matched.length };
+  }
+
+  /**
+   * Inserts a row or merges it into the row it conflicts with.
+   * Takes the same `conflict` and `merge` options as the SQL drivers.
+   */
+  async upsert(table, data, options = {}) {
+    const [row] = await this.upsertMany(table, [data], options);
+    return row;
+  }
+
+  async upsertMany(table, data = [], options = {}) {
+    await this.#ready(options);
+    const { returnFull = false } = this.normalizeOptions(options);
+    const pk = this.formatPrimaryKey(options.primaryKey);
+    const conflict = [].concat(options.conflict ?? pk);
+    const { rows } = this.#table(table);
+
+    return this.#allOrNothing(table, data, (row, save) => {
+      const merge = options.merge
+        ? [].concat(options.merge)
+        : Object.keys(row).filter(c => !conflict.includes(c));
+
+      const existing = conflict.every(
+        c => row[c] !== undefined && row[c] !== null
+      )
+        ? rows.find(r => conflict.every(c => sameKey(r[c], row[c])))
+        : null;
+
+      let stored;
+      if (existing) {
+        for (const column of merge) {
+          if (!(column in row)) {
+            throw new Error(
+              `upsert() merge columns not present in the data: ${column}`
+            );
+          }
+          save(existing);
+          existing[column] = structuredClone(row[column]);
+        }
+        stored = existing;
+      } else {
+        stored = this.#insert(table, row, pk);
+      }
+
+      return returnFull ? structuredClone(stored) : { [pk]: stored[pk] };
+    });
+  }
+
+  async deleteOne(table, whereClause = {}, options = {}) {
+    if (isEmptyWhere(whereClause)) {
+      throw new Error(
+        "deleteOne requires a whereClause (empty would delete an arbitrary row)."
+      );
+    }
+    return this.#delete(table, whereClause, options, 1);
+  }
+
+  async deleteMany(table, whereClause = {}, options = {}) {
+    if (isEmptyWhere(whereClause)) {
+      throw new Error(
+        "deleteMany requires a whereClause to avoid accidental full-table deletion."
+      );
+    }
+    return this.#delete(table, whereClause, options, Infinity);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Utility operations
+  // ---------------------------------------------------------------------------
+  async count(table, whereClause = {}, options = {}) {
+    await this.#ready(options);
+    return this.#filter(
+      this.#joined(table, options.joins ?? []),
+      whereClause,
+      options.params
+    ).length;
+  }
+
+  async exists(table, whereClause = {}, options = {}) {
+    return (await this.count(table, whereClause, options)) > 0;
+  }
+
+  /**
+   * Runs a portable aggregation (see normalizeAggregation()).
+   * @returns {Promise<object[]>} One row per group.
+   */
+  async aggregate(table, spec, options = {}) {
+    await this.#ready(options);
+    const aggregation = normalizeAggregation(spec);
+
+    const groups = new Map();
+    for (const record of this.#filter(
+      this.#joined(table, []),
+      aggregation.where,
+      options.params
+    )) {
+      const values = aggregation.groupBy.map(field => record.get(field));
+      const key = JSON.stringify(values.map(comparable));
+      if (!groups.has(key)) groups.set(key, { values, rows: [] });
+      groups.get(key).rows.push(record);
+    }
+
+    // Without groupBy an empty match still yields one row (COUNT(*) = 0)
+    if (!aggregation.groupBy.length && !groups.size) {
+      groups.set("[]", { values: [], rows: [] });
+    }
+
+    let results = [...groups.values()].map(({ values, rows }) => {
+      const result = {};
+      aggregation.groupBy.forEach((field, i) => {
+        result[field] = values[i];
+      });
+      for (const { alias, fn, field } of aggregation.aggregates) {
+        result[alias] = aggregate(fn, field, rows);
+      }
+      return result;
+    });
+
+    results = this.#filter(
+      results.map(row => record(row, "")),
+      aggregation.having
+    ).map(r => r.row);
+
+    if (aggregation.orderBy.length) {
+      results = sortBy(
+        results.map(row => record(row, "")),
+        aggregation.orderBy
+      ).map(r => r.row);
+    }
+    if (aggregation.offset !== null)
+      results = results.slice(aggregation.offset);
+    if (aggregation.limit !== null)
+      results = results.slice(0, aggregation.limit);
+    return results;
+  }
+
+  /**
+   * Calls `rawQuery(rows, options)` with the live rows of `options.table`.
+   */
+  async query(rawQuery, options = {}) {
+    if (!options.table) throw new Error("query() requires options.table");
+    if (typeof rawQuery !== "function") {
+      throw new Error("MemoryDriver.query() expects a function.");
+    }
+
+    await this.#ready(options);
+    return rawQuery(this.#table(options.table).rows, options);
+  }
+
+  /**
+   * Describes the tables created so far, with columns inferred from their
+   * rows (see AbstractDriver.introspect()). There are no indexes or
+   * foreign keys to report.
+   */
+  async introspect(options = {}) {
+    await this.#ready(options);
+    const pk = this.formatPrimaryKey(options.primaryKey);
+    const names = options.tables ?? [...this.#tables.keys()].sort();
+
+    return {
+      tables: names.map(name => ({
+        name,
+        columns: inferColumns(this.#tables.get(name)?.rows ?? [], pk),
+        indexes: [],
+        foreignKeys: [],
+      })),
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Transactions
+  // ---------------------------------------------------------------------------
+
+  // Transactions take turns; calls outside them wait for the open one, so
+  // uncommitted changes are never seen from outside.
+  async startTransaction() {
+    const previous = this.#transactionQueue;
+    let release;
+    this.#transactionQueue = new Promise(resolve => (release = resolve));
+    await previous;
+
+    return {
+      savepoints: 0,
+      snapshot: this.#snapshot(),
+      marks: new Map(),
+      release,
+    };
+  }
+
+  async commitTransaction(tx = this.currentTransaction()) {
+    this.requireTransaction(tx, "commitTransaction");
+    tx.release();
+  }
+
+  async rollbackTransaction(tx = this.currentTransaction()) {
+    this.requireTransaction(tx, "rollbackTransaction");
+    this.#tables = tx.snapshot;
+    tx.release();
+  }
+
+  async createSavepoint(tx, name) {
+    tx.marks.set(name, this.#snapshot());
+  }
+
+  async releaseSavepoint(tx, name) {
+    tx.marks.delete(name);
+  }
+
+  async rollbackToSavepoint(tx, name) {
+    this.#tables = tx.marks.get(name);
+    tx.marks.delete(name);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internals
+  // ---------------------------------------------------------------------------
+  async #ready(options) {
+    if (!this.currentTransaction(options)) await this.#transactionQueue;
+  }
+
+  #table(name) {
+    if (!this.#tables.has(name)) {
+      this.#tables.set(name, { rows: [], nextId: 1 });
+    }
+    return this.#tables.get(name);
+  }
+
+  #snapshot() {
+    const copy = new Map();
+    for (const [name, { rows, nextId }] of this.#tables) {
+      copy.set(name, { rows: structuredClone(rows), nextId });
+    }
+    return copy;
+  }
+
+  // data.map(write) for a bulk write that applies all or nothing: when a row
+  // fails, the rows added before it are removed and the rows passed to
+  // save() before being changed are restored
+  #allOrNothing(table, data, write) {
+    const target = this.#table(table);
+    const { rows, nextId } = target;
+    const added = rows.length;
+    const saved = new Map();
+    const save = row => {
+      if (!saved.has(row)) saved.set(row, structuredClone(row));
+    };
+
+    try {
+      return data.map(row => write(row, save));
+    } catch (err) {
+      rows.length = added;
+      target.nextId = nextId;
+      for (const [row, before] of saved) {
+        for (const column of Object.keys(row)) delete row[column];
+        Object.assign(row, before);
+      }
+      throw err;
+    }
+  }
+
+  #insert(table, data, pk) {
+    const target = this.#table(table);
+    const row = { [pk]: null, ...structuredClone(data) };
+
+    if (row[pk] === undefined || row[pk] === null) {
+      row[pk] = target.nextId++;
+    } else {
+      if (target.rows.some(r => sameKey(r[pk], row[pk]))) {
+        throw new Error(`Duplicate key ${row[pk]} for "${pk}" in "${table}".`);
+      }
+      if (Number.isInteger(row[pk]) && row[pk] >= target.nextId) {
+        target.nextId = row[pk] + 1;
+      }
+    }
+
+    target.rows.push(row);
+    return row;
+  }
+
+  async #delete(table, whereClause, options, max) {
+    await this.#ready(options);
+    const target = this.#table(table);
+    const doomed = new Set(
+      this.#filter(this.#joined(table, []), whereClause, options.params)
+        .slice(0, max)
+        .map(r => r.row)
+    );
+    target.rows = target.rows.filter(row => !doomed.has(row));
+    return { deletedCount: doomed.size };
+  }
+
+  // Rows of `table` (joined with `joins`) wrapped for field lookups
+  #joined(table, joins) {
+    let records = this.#table(table).rows.map(row => record(row, table));
+
+    for (const join of joins) {
+      const joinedRows = this.#table(join.table).rows;
+      records = records.flatMap(left => {
+        const matches = joinedRows
+          .map(row => record(row, join.table))
+          .filter(right => {
+            const both = combine(left, right);
+            return evaluateCompare(
+              both.get(join.left),
+              "=",
+              both.get(join.right)
+            );
+          });
+
+        if (matches.length) return matches.map(right => combine(left, right));
+        return join.type === "left" ? [left] : [];
+      });
+    }
+
+    return records;
+  }
+
+  #filter(records, whereClause, bindings) {
+    if (isEmptyWhere(whereClause)) return records;
+    return records.filter(
+      record => matches(record, whereClause, bindings) === true
+    );
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Rows and values
+// -----------------------------------------------------------------------------
+
+// A row plus a field accessor that understands "table.column" names
+function record(row, table, qualified = {}) {
+  return {
+    row,
+    qualified,
+    table,
+    get(field) {
+      if (field in this.qualified) return this.qualified[field];
+      const dot = field.lastIndexOf(".");
+      return dot === -1 ? row[field] : row[field.slice(dot + 1)];
+    },
+  };
+}
+
+// Joined columns overwrite same-named ones, as with SELECT * in SQL
+function combine(left, right) {
+  const qualified = { ...left.qualified };
+  for (const side of [left, right]) {
+    if (!side.table) continue;
+    for (const [column, value] of Object.entries(side.row)) {
+      qualified[`${side.table}.${column}`] ??= value;
+    }
+  }
+  return record({ ...left.row, ...right.row }, "", qualified);
+}
+
+// Keys match across types ("7" finds 7), as SQL column affinity does
+function sameKey(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return false;
+  }
+  return String(comparable(a)) === String(comparable(b));
+}
+
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function isEmptyWhere(where) {
+  if (!where) return true;
+  if (typeof where === "string") return !where.trim();
+  if (Array.isArray(where)) return where.every(isEmptyWhere);
+  if (where instanceof RawCondition) return !where.sql.trim();
+  return typeof where === "object" && !Object.keys(where).length;
+}
+
+// NULLs first, then ascending values, as in SQLite and MySQL
+function sortBy(records, orderBy) {
+  return [...records].sort((a, b) => {
+    for (const { field, direction } of orderBy) {
+      const x = comparable(a.get(field));
+      const y = comparable(b.get(field));
+      let order = 0;
+      if (x === y) order = 0;
+      else if (x === null || x === undefined) order = -1;
+      else if (y === null || y === undefined) order = 1;
+      else order = x < y ? -1 : x > y ? 1 : 0;
+      if (order) return direction === "desc" ? -order : order;
+    }
+    return 0;
+  });
+}
+
+function aggregate(fn, field, records) {
+  if (fn === "$count" && (field === "*" || field === true)) {
+    return records.length;
+  }
+
+  const values = records
+    .map(r => r.get(field))
+    .filter(v => v !== null && v !== undefined);
+
+  switch (fn) {
+    case "$count":
+      return values.length;
+    case "$sum":
+      return values.length
+        ? values.reduce((sum, v) => sum + Number(v), 0)
+        : null;
+    case "$avg":
+      return values.length
+        ? values.reduce((sum, v) => sum + Number(v), 0) / values.length
+        : null;
+    case "$min":
+    case "$max": {
+      if (!values.length) return null;
+      return values.reduce((best, v) => {
+        const better =
+          fn === "$min"
+            ? comparable(v) < comparable(best)
+            : comparable(v) > comparable(best);
+        return better ? v : best;
+      });
+    }
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Where evaluation (three-valued: true, false or null for unknown)
+// -----------------------------------------------------------------------------
+
+const OPERATOR_SYMBOLS = {
+  $eq: "=",
+  $ne: "<>",
+  $gt: ">",
+  $gte: ">=",
+  $lt: "<",
+  $lte: "<=",
+};
+
+function and(results) {
+  if (results.includes(false)) return false;
+  return results.includes(null) ? null : true;
+}
+
+function or(results) {
+  if (results.includes(true)) return true;
+  return results.includes(null) ? null : false;
+}
+
+function not(result) {
+  return result === null ? null : !result;
+}
+
+function matches(record, where, bindings) {
+  if (isEmptyWhere(where)) return true;
+
+  if (typeof where === "string") {
+    return evaluateNode(record, parseSQLWhere(where, bindings));
+  }
+  if (where instanceof RawCondition) {
+    return evaluateNode(record, parseSQLWhere(where.sql, where.params));
+  }
+  if (Array.isArray(where)) {
+    return and(where.map(w => matches(record, w, bindings)));
+  }
+  if (typeof where !== "object") {
+    throw new Error("whereClause must be a string, object or array.");
+  }
+
+  return and(
+    Object.entries(where).map(([key, value]) => {
+      switch (key) {
+        case "$and":
+          return and([].concat(value).map(w => matches(record, w, bindings)));
+        case "$or":
+          return or([].concat(value).map(w => matches(record, w, bindings)));
+        case "$not":
+          return not(matches(record, value, bindings));
+        default:
+          return matchesField(record.get(key), value, key);
+      }
+    })
+  );
+}
+
+function matchesField(actual, condition, field) {
+  if (condition === null || condition === undefined) return isNull(actual);
+  if (Array.isArray(condition)) return evaluateIn(actual, condition);
+  if (
+    typeof condition !== "object" ||
+    condition instanceof Date ||
+    Object.getPrototypeOf(condition) !== Object.prototype
+  ) {
+    return evaluateCompare(actual, "=", condition);
+  }
+
+  return and(
+    Object.entries(condition).map(([op, operand]) => {
+      switch (op) {
+        case "$in":
+          return evaluateIn(actual, operand);
+        case "$nin":
+          return not(evaluateIn(actual, operand));
+        case "$exists":
+          return operand ? !isNull(actual) : isNull(actual);
+        case "$like":
+          return evaluateLike(actual, operand);
+        case "$eq":
+        case "$ne":
+          if (operand === null) {
+            return op === "$ne" ? !isNull(actual) : isNull(actual);
+          }
+        // falls through
+        default:
+          if (!OPERATOR_SYMBOLS[op]) {
+            throw new Error(
+              `Unsupported where operator "${op}" on "${field}".`
+            );
+          }
+          return evaluateCompare(actual, OPERATOR_SYMBOLS[op], operand);
+      }
+    })
+  );
+}
+
+// parseSQLWhere() nodes
+function evaluateNode(record, node) {
+  switch (node.type) {
+    case "and":
+      return and(node.conditions.map(c => evaluateNode(record, c)));
+    case "or":
+      return or(node.conditions.map(c => evaluateNode(record, c)));
+    case "not":
+      return not(evaluateNode(record, node.condition));
+    case "compare": {
+      const right =
+        "column" in node.value
+          ? record.get(node.value.column)
+          : node.value.value;
+      return evaluateCompare(record.get(node.column), node.op, right);
+    }
+    case "in": {
+      const result = evaluateIn(record.get(node.column), node.values);
+      return node.negated ? not(result) : result;
+    }
+    case "like": {
+      const result = evaluateLike(
+        record.get(node.column),
+        node.pattern,
+        node.escape
+      );
+      return node.negated ? not(result) : result;
+    }
+    case "between": {
+      const value = record.get(node.column);
+      const result = and([
+        evaluateCompare(value, ">=", node.low),
+        evaluateCompare(value, "<=", node.high),
+      ]);
+      return node.negated ? not(result) : result;
+    }
+    case "null": {
+      const result = isNull(record.get(node.column));
+      return node.negated ? !result : result;
+    }
+    default:
+      throw new Error(`Unsupported where node type: ${node.type}`);
+  }
+}
+
+function isNull(value) {
+  return value === null || value === undefined;
+}
+
+function evaluateCompare(left, op, right) {
+  if (isNull(left) || isNull(right)) return null;
+
+  // Dates compare with each other and with date strings by instant
+  let a = left;
+  let b = right;
+  if (left instanceof Date || right instanceof Date) {
+    a = new Date(left).getTime();
+    b = new Date(right).getTime();
+  }
+
+  switch (op) {
+    case "=":
+      return a === b;
+    case "!=":
+    case "<>":
+      return a !== b;
+    case ">":
+      return a > b;
+    case ">=":
+      return a >= b;
+    case "<":
+      return a < b;
+    case "<=":
+      return a <= b;
+    default:
+      throw new Error(`Unsupported comparison operator "${op}".`);
+  }
+}
+
+function evaluateIn(value, list) {
+  if (!Array.isArray(list)) throw new Error("IN conditions require an array.");
+  if (!list.length) return false;
+  return or(list.map(item => evaluateCompare(value, "=", item)));
+}
+
+function evaluateLike(value, pattern, escape) {
+  if (isNull(value) || isNull(pattern)) return null;
+  return likeToRegex(pattern, escape).test(String(value));
+}
+
+// Register driver globally
+DriverRegistry.add("memory", MemoryDriver);
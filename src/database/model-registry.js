@@ -0,0 +1,62 @@
+// model-registry.js
+
+export default class ModelRegistry {
+  // Private static Map to hold all registered model classes
+  static #models = new Map();
+
+  /**
+   * Registers a model class by its modelName().
+   * If a model with the same name already exists, it is replaced.
+   *
+   * @param {string} modelName - The unique model name.
+   * @param {Function} ModelClass - The model class.
+   */
+  static add(modelName, ModelClass) {
+    if (typeof modelName !== "string") {
+      throw new TypeError("modelName must be a string.");
+    }
+    if (typeof ModelClass !== "function") {
+      throw new TypeError("ModelClass must be a constructor or class.");
+    }
+
+    this.#models.set(modelName, ModelClass);
+  }
+
+  /**
+   * Retrieves a registered model class by name.
+   *
+   * @param {string} modelName - The name of the model to retrieve.
+   * @returns {Function} The registered model class.
+   * @throws {Error} If no model is registered under the given name.
+   */
+  static get(modelName) {
+    if (typeof modelName !== "string") {
+      throw new TypeError("modelName must be a string.");
+    }
+
+    if (!this.#models.has(modelName)) {
+      throw new Error(`No model registered with name: ${modelName}`);
+    }
+
+    return this.#models.get(modelName);
+  }
+
+  /**
+   * Lists all registered model names.
+   *
+   * @returns {string[]} Array of model names.
+   */
+  static list() {
+    return Array.from(this.#models.keys());
+  }
+
+  /**
+   * Removes a model from the registry.
+   *
+   * @param {string} modelName - The model name to remove.
+   * @returns {boolean} True if removed, false if not found.
+   */
+  static remove(modelName) {
+    return this.#models.delete(modelName);
+  }
+}
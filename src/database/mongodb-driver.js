@@ -1,23 +1,51 @@
 // mongodb-driver.js
 
-import AbstractDriver from "./abstract-driver.js";
+import AbstractDriver, {
+  DEFAULT_BATCH_SIZE,
+  StaleRecordError,
+} from "./abstract-driver.js";
+import DriverRegistry from "./driver-registry.js";
 import parseDatabaseURI from "../utility/parse-database-uri.js";
-import sqlToMongoDB from "../utility/sql-to-mongodb.js";
+import sqlToMongoDB, { likeToRegex } from "../utility/sql-to-mongodb.js";
+import { RawCondition, normalizeOrderBy } from "./query.js";
+import { normalizeAggregation } from "./aggregation.js";
+import { inferColumns } from "./introspection.js";
 import { MongoClient, ObjectId } from "mongodb";
 
+// Server codes for a primary that stepped down or a node shutting down
+const RETRYABLE_CODES = new Set([
+  6, 7, 89, 91, 189, 262, 9001, 10107, 11600, 11602, 13435, 13436,
+]);
+
+// NotWritablePrimary and NotPrimaryNoSecondaryOk: refused before running
+const UNAPPLIED_CODES = new Set([10107, 13435]);
+
+// Operations that change nothing, so withRetry() may rerun them
+const READ_OPERATIONS = new Set([
+  "find",
+  "findOne",
+  "countDocuments",
+  "aggregate",
+]);
+
 export default class MongoDBDriver extends AbstractDriver {
   _client = null;
   _db = null;
   _ensuredIndexes = new Set();
+  #connections = { size: 0, inUse: 0, waiting: 0 };
 
-  constructor() {
-    super();
+  constructor(config = {}) {
+    super(config);
 
     // ------------------------------------------------------------
-    // Load global config (system is injected globally)
+    // Load config (the tenant's, or the server's by default)
     // ------------------------------------------------------------
-    const uri = system.server.getString("database_uri"); // required
-    const configOptions = system.server.getObject("database_options", {});
+    const uri = this.databaseURI(); // required
+    const { pool, connectionLimit, retry, logging, ...configOptions } =
+      this.databaseOptions();
+    const settings = this.poolSettings({ pool, connectionLimit }, { max: 100 });
+    this.retrySettings(retry);
+    this.queryLogSettings(logging);
 
     // ------------------------------------------------------------
     // Parse URI
@@ -30,14 +58,28 @@ export default class MongoDBDriver extends AbstractDriver {
     // ------------------------------------------------------------
     // Create client + DB accessor
     // ------------------------------------------------------------
-    this._client = new MongoClient(uri, configOptions);
+    this._client = new MongoClient(uri, {
+      maxPoolSize: settings.max,
+      minPoolSize: settings.min,
+      maxIdleTimeMS: settings.idleTimeout,
+      waitQueueTimeoutMS: settings.acquireTimeout,
+      ...(settings.statementTimeout
+        ? { timeoutMS: settings.statementTimeout }
+        : {}),
+      ...configOptions,
+    });
     this._db = this._client.db(parsed.database);
+    this.#trackConnections();
   }
 
   static driverName() {
     return "mongodb";
   }
 
+  static schemes() {
+    return ["mongodb", "mongodb+srv"];
+  }
+
   // ---------------------------------------------------------------------------
   // Connection management
   // ---------------------------------------------------------------------------
@@ -55,6 +97,38 @@ export default class MongoDBDriver extends AbstractDriver {
     }
   }
 
+  async ping() {
+    await this._db.command({ ping: 1 });
+  }
+
+  // Summed over every server's pool; max is per server
+  poolStats() {
+    const { size, inUse, waiting } = this.#connections;
+    return {
+      max: this._poolSettings.max,
+      size,
+      idle: size - inUse,
+      inUse,
+      waiting,
+    };
+  }
+
+  // The driver exposes pool usage only through its connection pool events
+  #trackConnections() {
+    const counts = this.#connections;
+    const on = (event, update) => this._client.on(event, update);
+
+    on("connectionCreated", () => counts.size++);
+    on("connectionClosed", () => counts.size--);
+    on("connectionCheckOutStarted", () => counts.waiting++);
+    on("connectionCheckOutFailed", () => counts.waiting--);
+    on("connectionCheckedOut", () => {
+      counts.waiting--;
+      counts.inUse++;
+    });
+    on("connectionCheckedIn", () => counts.inUse--);
+  }
+
   collection(name) {
     if (!name)
       throw new Error("MongoDBDriver.collection() requires a collection name.");
@@ -68,10 +142,18 @@ export default class MongoDBDriver extends AbstractDriver {
     if (this._ensuredIndexes.has(table)) return;
 
     const indexes = schema?.getIndexes?.() || [];
+    const primaryKey = schema?.getPrimaryKeyField?.();
     const col = this.collection(table);
 
     for (const idx of indexes) {
-      const { fields, options } = idx;
+      // The primary key is stored as _id, which is always unique
+      const { primary, ...options } = idx.options;
+      if (primary) continue;
+
+      const fields = {};
+      for (const [field, order] of Object.entries(idx.fields)) {
+        fields[field === primaryKey ? this.formatPrimaryKey() : field] = order;
+      }
       try {
         await col.createIndex(fields, { background: true, ...options });
       } catch (err) {
@@ -84,6 +166,18 @@ export default class MongoDBDriver extends AbstractDriver {
     this._ensuredIndexes.add(table);
   }
 
+  formatPrimaryKey() {
+    return "_id";
+  }
+
+  // ObjectId strings become ObjectIds; UUIDs and other custom keys pass through
+  formatPrimaryKeyValue(value) {
+    if (typeof value === "string" && /^[0-9a-f]{24}$/i.test(value)) {
+      return new ObjectId(value);
+    }
+    return value;
+  }
+
   // ---------------------------------------------------------------------------
   // Utility: safe ObjectId conversion
   // ---------------------------------------------------------------------------
@@ -93,17 +187,218 @@ export default class MongoDBDriver extends AbstractDriver {
     throw new Error(`Invalid ObjectId: ${id}`);
   }
 
+  // ---------------------------------------------------------------------------
+  // Utility: portable where clause → MongoDB filter
+  // ---------------------------------------------------------------------------
+  toFilter(whereClause, params) {
+    if (Array.isArray(whereClause)) {
+      const parts = whereClause
+        .map(w => this.toFilter(w, params))
+        .filter(f => Object.keys(f).length);
+      if (parts.length <= 1) return parts[0] || {};
+      return { $and: parts };
+    }
+
+    if (whereClause instanceof RawCondition) {
+      return sqlToMongoDB(whereClause.sql, whereClause.params);
+    }
+
+    if (!whereClause || typeof whereClause === "string") {
+      return sqlToMongoDB(whereClause, params);
+    }
+
+    return this.#translateOperators(whereClause);
+  }
+
+  // Portable conditions are native MongoDB except for a top-level $not
+  // (MongoDB spells it $nor) and the $like field operator.
+  #translateOperators(condition) {
+    const out = {};
+    for (const [key, value] of Object.entries(condition)) {
+      if (key === "$and" || key === "$or" || key === "$nor") {
+        out[key] = [].concat(value).map(c => this.toFilter(c));
+      } else if (key === "$not") {
+        out.$nor = [this.toFilter(value)];
+      } else {
+        out[key] = this.#translateFieldValue(value);
+      }
+    }
+    return out;
+  }
+
+  #translateFieldValue(value) {
+    if (!value || Object.getPrototypeOf(value) !== Object.prototype) {
+      return value;
+    }
+
+    const out = {};
+    for (const [op, operand] of Object.entries(value)) {
+      if (op === "$like") out.$regex = likeToRegex(operand);
+      else if (op === "$not") out.$not = this.#translateFieldValue(operand);
+      else out[op] = operand;
+    }
+    return out;
+  }
+
+  // Field name without a "table." prefix
+  #localField(table, field) {
+    return field.startsWith(`${table}.`)
+      ? field.slice(table.length + 1)
+      : field;
+  }
+
   // ---------------------------------------------------------------------------
   // CRUD operations
   // ---------------------------------------------------------------------------
-  async findById(table, id) {
-    const oid = this.toObjectId(id);
-    return this.collection(table).findOne({ _id: oid });
+
+  // Logs the call (see instrument()) and retries transient failures, except
+  // for calls made in a transaction
+  #run(session, query, operation) {
+    return this.instrument(query, () =>
+      session?.inTransaction()
+        ? operation()
+        : this.withRetry(operation, { read: isRead(query) })
+    );
   }
 
-  async findMany(table, whereClause = "") {
-    const filter = sqlToMongoDB(whereClause);
-    return this.collection(table).find(filter).toArray();
+  // Network errors, primary elections and shutdowns, and whatever the
+  // driver labels retryable
+  isTransientError(err) {
+    return (
+      super.isTransientError(err) ||
+      err?.hasErrorLabel?.("RetryableWriteError") ||
+      err?.name === "MongoNetworkError" ||
+      err?.name === "MongoServerSelectionError" ||
+      RETRYABLE_CODES.has(err?.code)
+    );
+  }
+
+  // No server selected, or the server refused the write. Our resend is a new
+  // operation, so RetryableWriteError alone does not make it safe.
+  isUnappliedError(err) {
+    return (
+      super.isUnappliedError(err) ||
+      err?.name === "MongoServerSelectionError" ||
+      UNAPPLIED_CODES.has(err?.code)
+    );
+  }
+
+  // Fetches written documents back for returnFull
+  #readBack(table, filter, many = false) {
+    const col = this.collection(table);
+    return this.instrument(
+      { collection: table, operation: many ? "find" : "findOne", filter },
+      () => (many ? col.find(filter).toArray() : col.findOne(filter))
+    );
+  }
+
+  // Winning plan of a slow read; writes are not explained
+  async explain({ collection, operation, filter, pipeline }) {
+    const col = this.collection(collection);
+    let explained;
+    if (operation === "aggregate") {
+      explained = await col.aggregate(pipeline).explain("queryPlanner");
+    } else if (["find", "findOne", "countDocuments"].includes(operation)) {
+      explained = await col.find(filter).explain("queryPlanner");
+    } else {
+      return null;
+    }
+    return explained.queryPlanner?.winningPlan ?? explained;
+  }
+
+  async findById(table, id, options = {}) {
+    const { session } = this.normalizeOptions(options);
+    const filter = { _id: this.formatPrimaryKeyValue(id) };
+    return this.#run(
+      session,
+      { collection: table, operation: "findOne", filter },
+      () => this.collection(table).findOne(filter, { session })
+    );
+  }
+
+  async findMany(table, whereClause = "", options = {}) {
+    const { session } = this.normalizeOptions(options);
+    const filter = this.toFilter(whereClause, options.params);
+    return this.#run(
+      session,
+      { collection: table, operation: "find", filter },
+      () => this.#cursor(table, filter, options).toArray()
+    );
+  }
+
+  /**
+   * Yields matching documents from a cursor fetching batchSize at a time.
+   */
+  async *stream(table, whereClause = "", options = {}) {
+    const cursor = this.#cursor(
+      table,
+      this.toFilter(whereClause, options.params),
+      options
+    );
+    cursor.batchSize(options.batchSize ?? DEFAULT_BATCH_SIZE);
+
+    try {
+      for await (const doc of cursor) yield doc;
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  // find() cursor, or an aggregation cursor when the query has joins
+  #cursor(table, filter, options) {
+    const { select = [], joins = [], limit = null, offset = null } = options;
+    const { session } = this.normalizeOptions(options);
+
+    const sort = {};
+    for (const { field, direction } of normalizeOrderBy(options.orderBy)) {
+      sort[this.#localField(table, field)] = direction === "desc" ? -1 : 1;
+    }
+
+    const projection = select.length ? {} : null;
+    for (const field of select) {
+      projection[this.#localField(table, field)] = 1;
+    }
+
+    if (!joins.length) {
+      const cursor = this.collection(table).find(filter, { session });
+      if (Object.keys(sort).length) cursor.sort(sort);
+      if (offset !== null) cursor.skip(offset);
+      if (limit !== null) cursor.limit(limit);
+      if (projection) cursor.project(projection);
+      return cursor;
+    }
+
+    const pipeline = [{ $match: filter }, ...this.#lookups(table, joins)];
+    if (Object.keys(sort).length) pipeline.push({ $sort: sort });
+    if (offset !== null) pipeline.push({ $skip: offset });
+    if (limit !== null) pipeline.push({ $limit: limit });
+    if (projection) pipeline.push({ $project: projection });
+
+    return this.collection(table).aggregate(pipeline, { session });
+  }
+
+  // Joins: $lookup nests the matched documents under the joined table name
+  #lookups(table, joins = []) {
+    const pipeline = [];
+    for (const join of joins) {
+      const [foreign, local] = join.left.startsWith(`${join.table}.`)
+        ? [join.left, join.right]
+        : [join.right, join.left];
+
+      pipeline.push({
+        $lookup: {
+          from: join.table,
+          localField: this.#localField(table, local),
+          foreignField: this.#localField(join.table, foreign),
+          as: join.table,
+        },
+      });
+
+      if (join.type !== "left") {
+        pipeline.push({ $match: { [join.table]: { $ne: [] } } });
+      }
+    }
+    return pipeline;
   }
 
   async insertOne(table, data, options = {}) {
@@ -111,10 +406,14 @@ export default class MongoDBDriver extends AbstractDriver {
       this.normalizeOptions(options);
 
     const col = this.collection(table);
-    const result = await col.insertOne(data, { session });
+    const result = await this.#run(
+      session,
+      { collection: table, operation: "insertOne", document: data },
+      () => col.insertOne(data, { session })
+    );
 
     return returnFull
-      ? await col.findOne({ _id: result.insertedId })
+      ? await this.#readBack(table, { _id: result.insertedId })
       : { _id: result.insertedId };
   }
 
@@ -123,10 +422,16 @@ export default class MongoDBDriver extends AbstractDriver {
       this.normalizeOptions(options);
 
     const col = this.collection(table);
-    const result = await col.insertMany(data, { session });
+    const result = await this.#run(
+      session,
+      { collection: table, operation: "insertMany", documents: data },
+      () => col.insertMany(data, { session })
+    );
 
     const ids = Object.values(result.insertedIds);
-    return returnFull ? await col.find({ _id: { $in: ids } }).toArray() : ids;
+    return returnFull
+      ? await this.#readBack(table, { _id: { $in: ids } }, true)
+      : ids;
   }
 
   async updateOne(table, data, options = {}) {
@@ -135,29 +440,52 @@ export default class MongoDBDriver extends AbstractDriver {
 
     if (!data._id) throw new Error("updateOne requires an '_id' field.");
 
-    const oid = this.toObjectId(data._id);
+    const oid = this.formatPrimaryKeyValue(data._id);
+    const version = options.version ?? null;
 
     const { _id, ...updateData } = data;
 
+    // Optimistic locking: match the expected version and bump it atomically
+    const filter = { _id: oid };
+    const update = {};
+    if (version) {
+      delete updateData[version.field];
+      filter[version.field] = version.value;
+      update.$inc = { [version.field]: 1 };
+    }
+    if (Object.keys(updateData).length) update.$set = updateData;
+
     const col = this.collection(table);
-    await col.updateOne({ _id: oid }, { $set: updateData }, { session });
+    if (Object.keys(update).length) {
+      const result = await this.#run(
+        session,
+        { collection: table, operation: "updateOne", filter, update },
+        () => col.updateOne(filter, update, { session })
+      );
+      if (version && result.matchedCount === 0) {
+        throw new StaleRecordError(table, oid, version.value);
+      }
+    }
 
-    return returnFull ? await col.findOne({ _id: oid }) : { _id: oid };
+    if (returnFull) return await this.#readBack(table, { _id: oid });
+    return version
+      ? { _id: oid, [version.field]: version.value + 1 }
+      : { _id: oid };
   }
 
   async updateMany(table, data, whereClause = "", options = {}) {
     const { session = null } = this.normalizeOptions(options);
 
-    const filter = sqlToMongoDB(whereClause);
+    const filter = this.toFilter(whereClause, options.params);
 
     // Prevent accidental _id mutation
     const { _id, ...updateData } = data;
 
-    const col = this.collection(table);
-    const result = await col.updateMany(
-      filter,
-      { $set: updateData },
-      { session }
+    const update = { $set: updateData };
+    const result = await this.#run(
+      session,
+      { collection: table, operation: "updateMany", filter, update },
+      () => this.collection(table).updateMany(filter, update, { session })
     );
 
     return {
@@ -170,14 +498,56 @@ export default class MongoDBDriver extends AbstractDriver {
     const { returnFull = false, session = null } =
       this.normalizeOptions(options);
 
-    const id = data._id ? this.toObjectId(data._id) : new ObjectId();
+    const conflict = [].concat(options.conflict ?? "_id");
     const { _id, ...doc } = data;
-
     const col = this.collection(table);
 
-    await col.updateOne({ _id: id }, { $set: doc }, { upsert: true, session });
+    // Default target: the document id. Otherwise match on the given fields.
+    let filter;
+    if (conflict.length === 1 && conflict[0] === "_id") {
+      filter = { _id: _id ? this.formatPrimaryKeyValue(_id) : new ObjectId() };
+    } else {
+      filter = {};
+      for (const field of conflict) {
+        if (data[field] === undefined) {
+          throw new Error(`upsert() conflict field "${field}" is missing.`);
+        }
+        filter[field] = data[field];
+      }
+    }
+
+    // Only the merge fields are overwritten on a match; the rest are insert-only
+    const mergeFields = options.merge
+      ? [].concat(options.merge)
+      : Object.keys(doc).filter(f => !conflict.includes(f));
+    const $set = {};
+    const $setOnInsert = {};
+    for (const [field, value] of Object.entries(doc)) {
+      if (mergeFields.includes(field)) $set[field] = value;
+      else if (!(field in filter)) $setOnInsert[field] = value;
+    }
+
+    const update = {};
+    if (Object.keys($set).length) update.$set = $set;
+    if (Object.keys($setOnInsert).length) update.$setOnInsert = $setOnInsert;
+    if (!Object.keys(update).length) update.$setOnInsert = { ...filter };
+
+    const query = {
+      collection: table,
+      operation: "findOneAndUpdate",
+      filter,
+      update,
+    };
+    const result = await this.#run(session, query, () =>
+      col.findOneAndUpdate(filter, update, {
+        upsert: true,
+        returnDocument: "after",
+        includeResultMetadata: false,
+        session,
+      })
+    );
 
-    return returnFull ? await col.findOne({ _id: id }) : { _id: id };
+    return returnFull ? result : { _id: result._id };
   }
 
   async upsertMany(table, data = [], options = {}) {
@@ -195,9 +565,13 @@ export default class MongoDBDriver extends AbstractDriver {
       );
 
     const { session = null } = this.normalizeOptions(options);
-    const filter = sqlToMongoDB(whereClause);
+    const filter = this.toFilter(whereClause, options.params);
 
-    const result = await this.collection(table).deleteOne(filter, { session });
+    const result = await this.#run(
+      session,
+      { collection: table, operation: "deleteOne", filter },
+      () => this.collection(table).deleteOne(filter, { session })
+    );
     return { deletedCount: result.deletedCount };
   }
 
@@ -208,27 +582,124 @@ export default class MongoDBDriver extends AbstractDriver {
       );
 
     const { session = null } = this.normalizeOptions(options);
-    const filter = sqlToMongoDB(whereClause);
+    const filter = this.toFilter(whereClause, options.params);
 
-    const result = await this.collection(table).deleteMany(filter, { session });
+    const result = await this.#run(
+      session,
+      { collection: table, operation: "deleteMany", filter },
+      () => this.collection(table).deleteMany(filter, { session })
+    );
     return { deletedCount: result.deletedCount };
   }
 
-  async count(table, whereClause = "") {
-    const filter = sqlToMongoDB(whereClause);
-    return this.collection(table).countDocuments(filter);
+  // With joins, counts the documents that find() returns for them
+  async count(table, whereClause = "", options = {}) {
+    const { session } = this.normalizeOptions(options);
+    const filter = this.toFilter(whereClause, options.params);
+
+    if (options.joins?.length) {
+      const pipeline = [
+        { $match: filter },
+        ...this.#lookups(table, options.joins),
+        { $count: "count" },
+      ];
+      const [row] = await this.#run(
+        session,
+        { collection: table, operation: "aggregate", pipeline },
+        () => this.collection(table).aggregate(pipeline, { session }).toArray()
+      );
+      return row?.count ?? 0;
+    }
+
+    return this.#run(
+      session,
+      { collection: table, operation: "countDocuments", filter },
+      () => this.collection(table).countDocuments(filter, { session })
+    );
   }
 
-  async exists(table, whereClause = "") {
-    const filter = sqlToMongoDB(whereClause);
-    const doc = await this.collection(table).findOne(filter, {
-      projection: { _id: 1 },
-    });
+  async exists(table, whereClause = "", options = {}) {
+    if (options.joins?.length) {
+      return (await this.count(table, whereClause, options)) > 0;
+    }
+
+    const filter = this.toFilter(whereClause, options.params);
+    const { session } = this.normalizeOptions(options);
+    const query = { collection: table, operation: "findOne", filter };
+    const doc = await this.#run(session, query, () =>
+      this.collection(table).findOne(filter, {
+        projection: { _id: 1 },
+        session,
+      })
+    );
     return !!doc;
   }
 
-  async aggregate(table, pipeline = []) {
-    return this.collection(table).aggregate(pipeline).toArray();
+  /**
+   * Runs a portable aggregation (see normalizeAggregation()) as a `$group`
+   * pipeline. A raw pipeline array is passed to MongoDB unchanged.
+   * @returns {Promise<object[]>} One document per group.
+   */
+  async aggregate(table, spec = [], options = {}) {
+    const { session } = this.normalizeOptions(options);
+    const pipeline = Array.isArray(spec)
+      ? spec
+      : this.#groupPipeline(normalizeAggregation(spec), options);
+
+    return this.#run(
+      session,
+      { collection: table, operation: "aggregate", pipeline },
+      () => this.collection(table).aggregate(pipeline, { session }).toArray()
+    );
+  }
+
+  // Groups under _id, then flattens the group fields back to the top level
+  #groupPipeline(aggregation, options) {
+    const { groupBy, aggregates, having, orderBy, limit, offset } = aggregation;
+
+    const group = {
+      _id: groupBy.length
+        ? Object.fromEntries(groupBy.map(field => [field, `$${field}`]))
+        : null,
+    };
+    const project = { _id: 0 };
+    for (const field of groupBy) project[field] = `$_id.${field}`;
+    for (const { alias, fn, field } of aggregates) {
+      group[alias] = this.#accumulator(fn, field);
+      project[alias] = 1;
+    }
+
+    const pipeline = [
+      { $match: this.toFilter(aggregation.where, options.params) },
+      { $group: group },
+      { $project: project },
+    ];
+    if (Object.keys(having).length) {
+      pipeline.push({ $match: this.toFilter(having) });
+    }
+    if (orderBy.length) {
+      pipeline.push({
+        $sort: Object.fromEntries(
+          orderBy.map(o => [o.field, o.direction === "desc" ? -1 : 1])
+        ),
+      });
+    }
+    if (offset !== null) pipeline.push({ $skip: offset });
+    if (limit !== null) pipeline.push({ $limit: limit });
+
+    return pipeline;
+  }
+
+  #accumulator(fn, field) {
+    if (fn !== "$count") return { [fn]: `$${field}` };
+    if (field === "*" || field === true) return { $sum: 1 };
+
+    // Non-null values only, as COUNT(field) in SQL
+    return {
+      $sum: {
+        $cond: [{ $eq: [{ $ifNull: [`$${field}`, null] }, null] }, 0, 1],
+      },
+    };
   }
 
   async query(rawQuery, options = {}) {
@@ -237,32 +708,102 @@ export default class MongoDBDriver extends AbstractDriver {
     return rawQuery(this.collection(options.table), options);
   }
 
+  // ---------------------------------------------------------------------------
+  // Introspection
+  // ---------------------------------------------------------------------------
+
+  // Collections declare no columns, so they are inferred from a random sample
+  // of `options.sampleSize` documents (default 100)
+  async introspect(options = {}) {
+    const { sampleSize = 100 } = options;
+    const names =
+      options.tables ??
+      (
+        await this._db
+          .listCollections({ type: "collection" }, { nameOnly: true })
+          .toArray()
+      )
+        .map(collection => collection.name)
+        .filter(name => !name.startsWith("system."))
+        .sort();
+
+    const tables = [];
+    for (const name of names) {
+      const col = this.collection(name);
+      const [indexes, sample] = await Promise.all([
+        // A collection that does not exist yet has no indexes
+        col
+          .listIndexes()
+          .toArray()
+          .catch(err => {
+            if (err.codeName === "NamespaceNotFound") return [];
+            throw err;
+          }),
+        col.aggregate([{ $sample: { size: sampleSize } }]).toArray(),
+      ]);
+
+      tables.push({
+        name,
+        columns: inferColumns(sample, "_id"),
+        indexes: indexes.map(index => ({
+          name: index.name,
+          columns: Object.keys(index.key),
+          unique: !!index.unique || index.name === "_id_",
+          primary: index.name === "_id_",
+        })),
+        foreignKeys: [],
+      });
+    }
+
+    return { tables };
+  }
+
   // ---------------------------------------------------------------------------
   // Transactions
   // ---------------------------------------------------------------------------
+  // A transaction handle is { session }. Calls find it through
+  // currentTransaction(), or take `options.session` / `options.transaction`.
+  normalizeOptions(options = {}) {
+    return {
+      ...super.normalizeOptions(options),
+      session:
+        options.session ?? this.currentTransaction(options)?.session ?? null,
+    };
+  }
+
   async startTransaction() {
     const session = this._client.startSession();
     session.startTransaction();
-    return session;
+    return { session };
   }
 
-  async commitTransaction(session) {
+  // Accepts the handle or, as before, the bare session
+  async commitTransaction(tx = this.currentTransaction()) {
+    this.requireTransaction(tx, "commitTransaction");
+    const session = tx.session ?? tx;
     await session.commitTransaction();
     session.endSession();
   }
 
-  async rollbackTransaction(session) {
+  async rollbackTransaction(tx = this.currentTransaction()) {
+    this.requireTransaction(tx, "rollbackTransaction");
+    const session = tx.session ?? tx;
     await session.abortTransaction();
     session.endSession();
   }
 
+  // MongoDB has no savepoints: a nested transaction() joins the outer one
   async transaction(callback) {
+    const parent = this.currentTransaction();
+    if (parent) return callback(parent);
+
     const session = this._client.startSession();
+    const tx = { session };
     let result;
 
     try {
       await session.withTransaction(async () => {
-        result = await callback({ session });
+        result = await this.withTransaction(tx, () => callback(tx));
       });
     } finally {
       session.endSession();
@@ -271,3 +812,15 @@ export default class MongoDBDriver extends AbstractDriver {
     return result;
   }
 }
+
+// Register globally
+DriverRegistry.add("mongodb", MongoDBDriver);
+
+// Whether a logged call only reads: aggregations writing through $out or
+// $merge count as writes
+function isRead({ operation, pipeline = [] }) {
+  return (
+    READ_OPERATIONS.has(operation) &&
+    !pipeline.some(stage => "$out" in stage || "$merge" in stage)
+  );
+}
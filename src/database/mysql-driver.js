@@ -2,7 +2,26 @@
 
 import SQLDriver from "./sql-driver.js";
 import DriverRegistry from "./driver-registry.js";
-import parseDatabaseURI from "../utility/parse-database-uri.js";
+import parseDatabaseURI, {
+  splitDatabaseURIs,
+} from "../utility/parse-database-uri.js";
+
+// Server errors worth retrying: deadlocks, lock timeouts, shutdowns, a full
+// server, and a connection lost mid-query
+const TRANSIENT_ERRORS = new Set([
+  "ER_LOCK_DEADLOCK",
+  "ER_LOCK_WAIT_TIMEOUT",
+  "ER_SERVER_SHUTDOWN",
+  "ER_CON_COUNT_ERROR",
+  "PROTOCOL_CONNECTION_LOST",
+]);
+
+// Transient errors after which the statement is known to have no effect
+const UNAPPLIED_ERRORS = new Set([
+  "ER_LOCK_DEADLOCK",
+  "ER_LOCK_WAIT_TIMEOUT",
+  "ER_CON_COUNT_ERROR",
+]);
 
 /**
  * MySQLDriver
@@ -12,11 +31,12 @@ import parseDatabaseURI from "../utility/parse-database-uri.js";
  */
 export default class MySQLDriver extends SQLDriver {
   pool = null;
-  connection = null;
+  replicas = []; // pools for the read replicas
   mysqlModule = null;
+  #nextReplica = 0;
 
-  constructor() {
-    super();
+  constructor(config = {}) {
+    super(config);
   }
 
   /* =============================================================
@@ -40,10 +60,17 @@ export default class MySQLDriver extends SQLDriver {
     // ------------------------------------------------------------
     // Parse URI + additional options
     // ------------------------------------------------------------
-    const uri = system.server.getString("database_uri"); // required
-    const options = system.server.getObject("database_options", {});
+    const { primary, replicas } = splitDatabaseURIs(
+      this.databaseURI() // required
+    );
+    const { pool, connectionLimit, retry, logging, createTables, ...options } =
+      this.databaseOptions();
+    const settings = this.poolSettings({ pool, connectionLimit }, { max: 5 });
+    this.retrySettings(retry);
+    this.queryLogSettings(logging);
+    this.createTablesSetting(createTables);
 
-    const parsed = parseDatabaseURI(uri);
+    const parsed = parseDatabaseURI(primary);
 
     if (!parsed.host || !parsed.database) {
       throw new Error(
@@ -57,28 +84,59 @@ export default class MySQLDriver extends SQLDriver {
       user: parsed.username,
       password: parsed.password,
       database: parsed.database,
-      connectionLimit: options.connectionLimit || 5,
+      connectionLimit: settings.max,
+      maxIdle: settings.min, // idle connections beyond this close after idleTimeout
+      idleTimeout: settings.idleTimeout,
       supportBigNumbers: true,
       bigNumberStrings: false,
       multipleStatements: false,
       ...options, // any other custom options
     };
 
-    this.pool = mysql.createPool(poolOptions);
+    const createPool = config => {
+      const created = mysql.createPool(config);
+
+      // max_execution_time applies to SELECT statements only
+      if (settings.statementTimeout) {
+        created.on("connection", conn =>
+          conn.query(
+            `SET SESSION max_execution_time = ${settings.statementTimeout}`
+          )
+        );
+      }
+      return created;
+    };
+
+    this.pool = createPool(poolOptions);
+
+    // Replicas share the primary's settings and, unless given, credentials
+    this.replicas = replicas.map(replicaURI => {
+      const replica = parseDatabaseURI(replicaURI);
+      return createPool({
+        ...poolOptions,
+        host: replica.host,
+        port: replica.port || 3306,
+        user: replica.username ?? poolOptions.user,
+        password: replica.password ?? poolOptions.password,
+        database: replica.database ?? poolOptions.database,
+      });
+    });
 
     // Test connection
-    const conn = await this.pool.getConnection();
+    const conn = await this.#acquire();
     conn.release();
 
     system.log.info(
-      `[MySQLDriver] Connected to ${poolOptions.database}@${poolOptions.host}:${poolOptions.port}`
+      `[MySQLDriver] Connected to ${poolOptions.database}@${poolOptions.host}:${poolOptions.port}` +
+        (this.replicas.length ? ` (+${this.replicas.length} replicas)` : "")
     );
   }
 
   async disconnect() {
     if (this.pool) {
-      await this.pool.end();
+      await Promise.all([this.pool, ...this.replicas].map(p => p.end()));
       this.pool = null;
+      this.replicas = [];
       system.log.info("[MySQLDriver] Disconnected.");
     }
   }
@@ -87,53 +145,296 @@ export default class MySQLDriver extends SQLDriver {
     await this.disconnect();
   }
 
+  poolStats() {
+    if (!this.pool) return null;
+    const core = this.pool.pool; // mysql2 keeps its counters on the core pool
+    const size = core._allConnections.length;
+    const idle = core._freeConnections.length;
+    return {
+      max: this._poolSettings.max,
+      size,
+      idle,
+      inUse: size - idle,
+      waiting: core._connectionQueue.length,
+    };
+  }
+
+  // mysql2 queues getConnection() without a deadline, so enforce
+  // acquireTimeout here. A connection that turns up late goes back.
+  async #acquire(pool = this.pool) {
+    const pending = pool.getConnection();
+    const { acquireTimeout } = this._poolSettings;
+    if (!acquireTimeout) return pending;
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () =>
+          reject(
+            new Error(
+              `MySQLDriver: no pooled connection within ${acquireTimeout}ms.`
+            )
+          ),
+        acquireTimeout
+      );
+    });
+
+    try {
+      return await Promise.race([pending, timeout]);
+    } catch (err) {
+      pending.then(
+        conn => conn.release(),
+        () => {}
+      );
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
   /* =============================================================
    * SQL Execution
    * ============================================================= */
   async execute(sql, params = []) {
     if (!this.pool) throw new Error("MySQLDriver: Database not connected.");
 
-    const conn = this.connection || (await this.pool.getConnection());
+    return this.#run(this.pool, sql, params);
+  }
+
+  hasReplicas() {
+    return this.replicas.length > 0;
+  }
+
+  // Replicas take turns
+  async executeOnReplica(sql, params = []) {
+    if (!this.pool) throw new Error("MySQLDriver: Database not connected.");
+
+    const replica = this.replicas[this.#nextReplica++ % this.replicas.length];
+    return this.#run(replica, sql, params);
+  }
+
+  // Each attempt takes a fresh connection from `pool`
+  async #run(pool, sql, params) {
+    const tx = this.currentTransaction();
+    const retry = { read: this.isReadStatement(sql) };
+    return this.instrument({ sql, params }, () =>
+      this.withRetry(async () => {
+        const conn = tx?.connection || (await this.#acquire(pool));
+        try {
+          const [rows] = await conn.execute(sql, params);
+          rows.rowCount = Array.isArray(rows)
+            ? rows.length
+            : rows.affectedRows ?? 0;
+          return rows;
+        } finally {
+          if (!tx) conn.release();
+        }
+      }, retry)
+    );
+  }
+
+  // mysql2 row stream (backpressured, batchSize rows buffered)
+  async *streamRows(sql, params, { batchSize, transaction, replica }) {
+    if (!this.pool) throw new Error("MySQLDriver: Database not connected.");
+
+    const owned = !transaction;
+    const conn =
+      transaction?.connection ||
+      (await this.#acquire(
+        replica
+          ? this.replicas[this.#nextReplica++ % this.replicas.length]
+          : this.pool
+      ));
+    const rows = conn.connection
+      .query(sql, params)
+      .stream({ highWaterMark: batchSize });
+    let done = false;
+
     try {
-      const [rows] = await conn.execute(sql, params);
-      rows.rowCount = Array.isArray(rows) ? rows.length : 0;
-      return rows;
+      for await (const row of rows) yield row;
+      done = true;
     } finally {
-      if (!this.connection) conn.release();
+      // Commands queue per connection, so a transaction connection finishes
+      // reading an abandoned result by itself; a pooled one is dropped.
+      if (owned) {
+        if (done) conn.release();
+        else conn.destroy();
+      }
     }
   }
 
   /* =============================================================
    * Transaction Management
    * ============================================================= */
+  // Each transaction holds its own pooled connection until it ends
   async startTransaction() {
     if (!this.pool) throw new Error("MySQLDriver: Not connected.");
-    if (this.connection) throw new Error("Transaction already started.");
 
-    this.connection = await this.pool.getConnection();
-    await this.connection.beginTransaction();
+    const connection = await this.#acquire();
+    try {
+      await connection.beginTransaction();
+    } catch (err) {
+      connection.release();
+      throw err;
+    }
+    return { connection, savepoints: 0 };
   }
 
-  async commitTransaction() {
-    if (!this.connection) return;
+  async commitTransaction(tx = this.currentTransaction()) {
+    this.requireTransaction(tx, "commitTransaction");
     try {
-      await this.connection.commit();
+      await tx.connection.commit();
     } finally {
-      this.connection.release();
-      this.connection = null;
+      tx.connection.release();
     }
   }
 
-  async rollbackTransaction() {
-    if (!this.connection) return;
+  async rollbackTransaction(tx = this.currentTransaction()) {
+    this.requireTransaction(tx, "rollbackTransaction");
     try {
-      await this.connection.rollback();
+      await tx.connection.rollback();
     } finally {
-      this.connection.release();
-      this.connection = null;
+      tx.connection.release();
+    }
+  }
+
+  // Savepoint statements are not preparable, so skip execute()
+  async createSavepoint(tx, name) {
+    await tx.connection.query(`SAVEPOINT ${name}`);
+  }
+
+  async releaseSavepoint(tx, name) {
+    await tx.connection.query(`RELEASE SAVEPOINT ${name}`);
+  }
+
+  async rollbackToSavepoint(tx, name) {
+    await tx.connection.query(`ROLLBACK TO SAVEPOINT ${name}`);
+  }
+
+  isTransientError(err) {
+    return super.isTransientError(err) || TRANSIENT_ERRORS.has(err?.code);
+  }
+
+  isUnappliedError(err) {
+    return super.isUnappliedError(err) || UNAPPLIED_ERRORS.has(err?.code);
+  }
+
+  /* =============================================================
+   * Introspection (current database)
+   * ============================================================= */
+  async introspectTables() {
+    const rows = await this.execute(
+      `SELECT table_name AS name FROM information_schema.tables
+       WHERE table_schema = DATABASE() AND table_type = 'BASE TABLE'
+       ORDER BY table_name`
+    );
+    return rows.map(row => row.name);
+  }
+
+  async introspectColumns(table) {
+    return this.execute(
+      `SELECT column_name AS name, data_type AS type,
+         character_maximum_length AS max_length,
+         is_nullable = 'YES' AS nullable,
+         column_default AS default_value,
+         column_key = 'PRI' AS is_primary,
+         extra LIKE '%auto_increment%' AS auto_increment
+       FROM information_schema.columns
+       WHERE table_schema = DATABASE() AND table_name = ?
+       ORDER BY ordinal_position`,
+      [table]
+    );
+  }
+
+  async introspectIndexes(table) {
+    return this.execute(
+      `SELECT index_name AS name, column_name AS column_name,
+         non_unique = 0 AS is_unique, index_name = 'PRIMARY' AS is_primary
+       FROM information_schema.statistics
+       WHERE table_schema = DATABASE() AND table_name = ?
+       ORDER BY index_name, seq_in_index`,
+      [table]
+    );
+  }
+
+  async introspectForeignKeys(table) {
+    return this.execute(
+      `SELECT k.constraint_name AS name, k.column_name AS column_name,
+         k.referenced_table_name AS ref_table,
+         k.referenced_column_name AS ref_column,
+         r.update_rule AS on_update, r.delete_rule AS on_delete
+       FROM information_schema.key_column_usage k
+       JOIN information_schema.referential_constraints r
+         ON r.constraint_schema = k.constraint_schema
+         AND r.constraint_name = k.constraint_name
+         AND r.table_name = k.table_name
+       WHERE k.table_schema = DATABASE() AND k.table_name = ?
+         AND k.referenced_table_name IS NOT NULL
+       ORDER BY k.constraint_name, k.ordinal_position`,
+      [table]
+    );
+  }
+
+  /* =============================================================
+   * SQL Dialect
+   * ============================================================= */
+  quoteIdentifier(name) {
+    return String(name)
+      .split(".")
+      .map(part => `\`${part.replace(/`/g, "``")}\``)
+      .join(".");
+  }
+
+  limitClause(limit, offset) {
+    if (limit === null && offset === null) return "";
+    if (offset === null) return ` LIMIT ${limit}`;
+    // MySQL has no "no limit" value; the documented idiom is the max BIGINT
+    return ` LIMIT ${limit ?? "18446744073709551615"} OFFSET ${offset}`;
+  }
+
+  supportsReturning() {
+    return false;
+  }
+
+  supportsDeleteLimit() {
+    return true;
+  }
+
+  upsertClause(conflict, merge) {
+    // The conflict target is implied: any PRIMARY or UNIQUE key may trigger it
+    const updates = (merge.length ? merge : conflict.slice(0, 1)).map(
+      c => `${this.quoteIdentifier(c)} = VALUES(${this.quoteIdentifier(c)})`
+    );
+    return ` ON DUPLICATE KEY UPDATE ${updates.join(", ")}`;
+  }
+
+  /* =============================================================
+   * Column Types (see SQLDriver.createTableSQL())
+   * ============================================================= */
+  columnType(field) {
+    switch (field.type) {
+      // TEXT columns take no DEFAULT and need a prefix length to be indexed
+      case "string":
+        return `VARCHAR(${field.maxLength ?? 255})`;
+      // TIMESTAMP ends in 2038
+      case "timestamp":
+        return "DATETIME(3)";
+      default:
+        return super.columnType(field);
     }
   }
 
+  autoIncrementType() {
+    return "INTEGER AUTO_INCREMENT";
+  }
+
+  sqlLiteral(value) {
+    // A backslash starts an escape in MySQL strings (unless NO_BACKSLASH_ESCAPES)
+    return super.sqlLiteral(
+      typeof value === "string" ? value.replace(/\\/g, "\\\\") : value
+    );
+  }
+
   /* =============================================================
    * Table & Primary Key Formatting
    * ============================================================= */
@@ -2,7 +2,14 @@
 
 import SQLDriver from "./sql-driver.js";
 import DriverRegistry from "./driver-registry.js";
-import parseDatabaseURI from "../utility/parse-database-uri.js";
+import parseDatabaseURI, {
+  splitDatabaseURIs,
+} from "../utility/parse-database-uri.js";
+
+// pg_constraint stores referential actions as one-letter codes
+const FK_ACTION = column =>
+  `CASE ${column} WHEN 'c' THEN 'CASCADE' WHEN 'n' THEN 'SET NULL' ` +
+  `WHEN 'd' THEN 'SET DEFAULT' WHEN 'r' THEN 'RESTRICT' ELSE 'NO ACTION' END`;
 
 /**
  * PostgresDriver
@@ -11,11 +18,13 @@ import parseDatabaseURI from "../utility/parse-database-uri.js";
  */
 export default class PostgresDriver extends SQLDriver {
   pool = null;
-  client = null; // used for transactions
+  replicas = []; // pools for the read replicas
   pgModule = null;
+  #cursorCount = 0;
+  #nextReplica = 0;
 
-  constructor() {
-    super();
+  constructor(config = {}) {
+    super(config);
   }
 
   /* =============================================================
@@ -25,6 +34,10 @@ export default class PostgresDriver extends SQLDriver {
     return "postgres";
   }
 
+  static schemes() {
+    return ["postgres", "postgresql"];
+  }
+
   /* =============================================================
    * Connection Management
    * ============================================================= */
@@ -39,10 +52,17 @@ export default class PostgresDriver extends SQLDriver {
     // ------------------------------------------------------------
     // Parse URI + optional options
     // ------------------------------------------------------------
-    const uri = system.server.getString("database_uri"); // required
-    const options = system.server.getObject("database_options", {});
+    const { primary, replicas } = splitDatabaseURIs(
+      this.databaseURI() // required
+    );
+    const { pool, connectionLimit, retry, logging, createTables, ...options } =
+      this.databaseOptions();
+    const settings = this.poolSettings({ pool, connectionLimit });
+    this.retrySettings(retry);
+    this.queryLogSettings(logging);
+    this.createTablesSetting(createTables);
 
-    const parsed = parseDatabaseURI(uri);
+    const parsed = parseDatabaseURI(primary);
 
     if (!parsed.host || !parsed.database || !parsed.username) {
       throw new Error(
@@ -56,26 +76,52 @@ export default class PostgresDriver extends SQLDriver {
       user: parsed.username,
       password: parsed.password,
       database: parsed.database,
-      max: options.connectionLimit ?? 10,
+      min: settings.min,
+      max: settings.max,
+      idleTimeoutMillis: settings.idleTimeout,
+      connectionTimeoutMillis: settings.acquireTimeout,
+      statement_timeout: settings.statementTimeout,
       ssl: options.ssl ?? false,
       ...options, // any other pg Pool options
     };
 
-    this.pool = new Pool(poolConfig);
+    // An idle client lost to a server restart: the pool drops it and opens a
+    // fresh one on demand. Without a listener the error would crash the app.
+    const createPool = config =>
+      new Pool(config).on("error", err =>
+        system.log.warn("[PostgresDriver] Idle client error:", err.message)
+      );
+
+    this.pool = createPool(poolConfig);
+
+    // Replicas share the primary's settings and, unless given, credentials
+    this.replicas = replicas.map(replicaURI => {
+      const replica = parseDatabaseURI(replicaURI);
+      return createPool({
+        ...poolConfig,
+        host: replica.host,
+        port: replica.port || 5432,
+        user: replica.username ?? poolConfig.user,
+        password: replica.password ?? poolConfig.password,
+        database: replica.database ?? poolConfig.database,
+      });
+    });
 
     // Test connection
     const client = await this.pool.connect();
     client.release();
 
     system.log.info(
-      `[PostgresDriver] Connected to ${poolConfig.database}@${poolConfig.host}:${poolConfig.port}`
+      `[PostgresDriver] Connected to ${poolConfig.database}@${poolConfig.host}:${poolConfig.port}` +
+        (this.replicas.length ? ` (+${this.replicas.length} replicas)` : "")
     );
   }
 
   async disconnect() {
     if (this.pool) {
-      await this.pool.end();
+      await Promise.all([this.pool, ...this.replicas].map(p => p.end()));
       this.pool = null;
+      this.replicas = [];
       system.log.info("[PostgresDriver] Disconnected.");
     }
   }
@@ -84,16 +130,47 @@ export default class PostgresDriver extends SQLDriver {
     await this.disconnect();
   }
 
+  poolStats() {
+    if (!this.pool) return null;
+    const { totalCount, idleCount, waitingCount } = this.pool;
+    return {
+      max: this._poolSettings.max,
+      size: totalCount,
+      idle: idleCount,
+      inUse: totalCount - idleCount,
+      waiting: waitingCount,
+    };
+  }
+
   /* =============================================================
    * SQL Execution
    * ============================================================= */
   async execute(sql, params = []) {
     if (!this.pool) throw new Error("PostgresDriver: Database not connected.");
 
-    const executor = this.client || this.pool;
+    const executor = this.currentTransaction()?.connection || this.pool;
+    return this.#query(executor, sql, params);
+  }
+
+  hasReplicas() {
+    return this.replicas.length > 0;
+  }
+
+  // Replicas take turns
+  async executeOnReplica(sql, params = []) {
+    if (!this.pool) throw new Error("PostgresDriver: Database not connected.");
+
+    const replica = this.replicas[this.#nextReplica++ % this.replicas.length];
+    return this.#query(replica, sql, params);
+  }
 
+  async #query(executor, sql, params) {
     try {
-      const result = await executor.query(sql, params);
+      const result = await this.instrument({ sql, params }, () =>
+        this.withRetry(() => executor.query(sql, params), {
+          read: this.isReadStatement(sql),
+        })
+      );
 
       // Normalize rowCount
       result.rows.rowCount =
@@ -112,37 +189,204 @@ export default class PostgresDriver extends SQLDriver {
     }
   }
 
+  // Server-side cursor, FETCHing batchSize rows per round trip. Runs on the
+  // transaction client when one is open, otherwise in its own transaction
+  // on the primary or, for a replica read, the next replica.
+  async *streamRows(sql, params, { batchSize, transaction, replica }) {
+    if (!this.pool) throw new Error("PostgresDriver: Database not connected.");
+
+    const owned = !transaction;
+    const pool = replica
+      ? this.replicas[this.#nextReplica++ % this.replicas.length]
+      : this.pool;
+    const client = transaction?.connection || (await pool.connect());
+    const cursor = `daytona_stream_${++this.#cursorCount}`;
+    let open = false;
+
+    try {
+      if (owned) {
+        await client.query("BEGIN");
+        open = true;
+      }
+      await client.query(
+        `DECLARE ${cursor} NO SCROLL CURSOR FOR ${sql}`,
+        params
+      );
+
+      for (;;) {
+        const { rows } = await client.query(
+          `FETCH FORWARD ${batchSize} FROM ${cursor}`
+        );
+        yield* rows;
+        if (rows.length < batchSize) break;
+      }
+
+      await client.query(`CLOSE ${cursor}`);
+      if (owned) {
+        await client.query("COMMIT");
+        open = false;
+      }
+    } finally {
+      // Early exit or error: discard the cursor with its transaction
+      if (open) await client.query("ROLLBACK").catch(() => {});
+      if (owned) client.release();
+    }
+  }
+
   /* =============================================================
    * Transaction Management
    * ============================================================= */
+  // Each transaction holds its own pooled client until it ends
   async startTransaction() {
     if (!this.pool) throw new Error("PostgresDriver: Not connected.");
-    if (this.client) throw new Error("Transaction already in progress.");
 
-    this.client = await this.pool.connect();
-    await this.client.query("BEGIN");
+    const connection = await this.pool.connect();
+    try {
+      await connection.query("BEGIN");
+    } catch (err) {
+      connection.release();
+      throw err;
+    }
+    return { connection, savepoints: 0 };
   }
 
-  async commitTransaction() {
-    if (!this.client) return;
+  async commitTransaction(tx = this.currentTransaction()) {
+    this.requireTransaction(tx, "commitTransaction");
     try {
-      await this.client.query("COMMIT");
+      await tx.connection.query("COMMIT");
     } finally {
-      this.client.release();
-      this.client = null;
+      tx.connection.release();
     }
   }
 
-  async rollbackTransaction() {
-    if (!this.client) return;
+  async rollbackTransaction(tx = this.currentTransaction()) {
+    this.requireTransaction(tx, "rollbackTransaction");
     try {
-      await this.client.query("ROLLBACK");
+      await tx.connection.query("ROLLBACK");
     } finally {
-      this.client.release();
-      this.client = null;
+      tx.connection.release();
+    }
+  }
+
+  // SQLSTATE classes 08 (connection) and 57P (shutdown), deadlocks,
+  // serialization failures and a full server
+  isTransientError(err) {
+    if (super.isTransientError(err)) return true;
+    if (typeof err?.code === "string") {
+      return (
+        err.code.startsWith("08") ||
+        err.code.startsWith("57P") ||
+        ["40001", "40P01", "53300"].includes(err.code)
+      );
+    }
+    // pg reports a dropped socket without a code
+    return /Connection terminated/i.test(err?.message ?? "");
+  }
+
+  // Connections refused at startup, a full server, and statements rolled
+  // back by a serialization failure or deadlock
+  isUnappliedError(err) {
+    return (
+      super.isUnappliedError(err) ||
+      ["08001", "08004", "53300", "57P03", "40001", "40P01"].includes(err?.code)
+    );
+  }
+
+  /* =============================================================
+   * Introspection (current schema)
+   * ============================================================= */
+  async introspectTables() {
+    const rows = await this.execute(
+      `SELECT table_name AS name FROM information_schema.tables
+       WHERE table_schema = current_schema() AND table_type = 'BASE TABLE'
+       ORDER BY table_name`
+    );
+    return rows.map(row => row.name);
+  }
+
+  async introspectColumns(table) {
+    return this.execute(
+      `SELECT column_name AS name,
+         CASE WHEN data_type = 'USER-DEFINED' THEN udt_name ELSE data_type END AS type,
+         character_maximum_length AS max_length,
+         is_nullable = 'YES' AS nullable,
+         column_default AS default_value,
+         (is_identity = 'YES' OR coalesce(column_default LIKE 'nextval(%', false)) AS auto_increment
+       FROM information_schema.columns
+       WHERE table_schema = current_schema() AND table_name = $1
+       ORDER BY ordinal_position`,
+      [table]
+    );
+  }
+
+  // Expression indexes have no column to report
+  async introspectIndexes(table) {
+    return this.execute(
+      `SELECT i.relname AS name, a.attname AS column_name,
+         ix.indisunique AS is_unique, ix.indisprimary AS is_primary
+       FROM pg_index ix
+       JOIN pg_class t ON t.oid = ix.indrelid
+       JOIN pg_class i ON i.oid = ix.indexrelid
+       JOIN pg_namespace n ON n.oid = t.relnamespace
+       CROSS JOIN LATERAL unnest(ix.indkey::int2[]) WITH ORDINALITY AS k(attnum, ord)
+       JOIN pg_attribute a ON a.attrelid = t.oid AND a.attnum = k.attnum
+       WHERE n.nspname = current_schema() AND t.relname = $1
+       ORDER BY i.relname, k.ord`,
+      [table]
+    );
+  }
+
+  async introspectForeignKeys(table) {
+    return this.execute(
+      `SELECT c.conname AS name, a.attname AS column_name,
+         rt.relname AS ref_table, ra.attname AS ref_column,
+         ${FK_ACTION("c.confupdtype")} AS on_update,
+         ${FK_ACTION("c.confdeltype")} AS on_delete
+       FROM pg_constraint c
+       JOIN pg_class t ON t.oid = c.conrelid
+       JOIN pg_namespace n ON n.oid = t.relnamespace
+       JOIN pg_class rt ON rt.oid = c.confrelid
+       CROSS JOIN LATERAL unnest(c.conkey, c.confkey) WITH ORDINALITY AS k(attnum, refnum, ord)
+       JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = k.attnum
+       JOIN pg_attribute ra ON ra.attrelid = c.confrelid AND ra.attnum = k.refnum
+       WHERE c.contype = 'f' AND n.nspname = current_schema() AND t.relname = $1
+       ORDER BY c.conname, k.ord`,
+      [table]
+    );
+  }
+
+  /* =============================================================
+   * SQL Dialect
+   * ============================================================= */
+  placeholder(index) {
+    return `$${index}`;
+  }
+
+  limitClause(limit, offset) {
+    return (
+      (limit !== null ? ` LIMIT ${limit}` : "") +
+      (offset !== null ? ` OFFSET ${offset}` : "")
+    );
+  }
+
+  /* =============================================================
+   * Column Types (see SQLDriver.createTableSQL())
+   * ============================================================= */
+  columnType(field) {
+    switch (field.type) {
+      case "timestamp":
+        return "TIMESTAMPTZ";
+      case "uuid":
+        return "UUID";
+      default:
+        return super.columnType(field);
     }
   }
 
+  autoIncrementType() {
+    return "INTEGER GENERATED BY DEFAULT AS IDENTITY";
+  }
+
   /* =============================================================
    * Table & Primary Key Formatting
    * ============================================================= */
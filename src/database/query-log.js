@@ -0,0 +1,213 @@
+// query-log.js
+
+const REDACTED = "[REDACTED]";
+
+// Tokens of a SQL statement that matter for mapping placeholders to columns
+const SQL_TOKEN =
+  /'(?:[^']|'')*'|"([^"]*)"|`([^`]*)`|(\?|\$\d+)|([A-Za-z_][\w$.]*)|(<>|!=|<=|>=|=|<|>)|([(),])|(?<![\w$])\d+(?:\.\d+)?/g;
+
+// Words that sit between a column and its placeholder ("age BETWEEN ? AND ?")
+const OPERATOR_WORDS = new Set([
+  "BETWEEN",
+  "ESCAPE",
+  "ILIKE",
+  "IN",
+  "IS",
+  "LIKE",
+  "NOT",
+]);
+
+// Values that may stand in a VALUES tuple instead of a placeholder
+const VALUE_WORDS = new Set(["DEFAULT", "FALSE", "NULL", "TRUE"]);
+
+// Placeholder bound to no column ("LIMIT ?"), as opposed to an unknown one
+const NO_COLUMN = "";
+
+const INSERT_COLUMNS =
+  /^\s*(?:INSERT|REPLACE)\s+(?:INTO\s+)?\S+\s*\(([^)]*)\)\s*VALUES\b/i;
+
+/**
+ * Copy of a query description fit for logging: SQL parameters bound to
+ * secret columns, and secret fields of MongoDB documents, are masked. So
+ * are parameters bound to no clear column when the statement names a
+ * secret one. A column is secret when its name contains one of `secrets`
+ * (any case).
+ *
+ * @param {{sql: string, params: Array}|object} query
+ * @param {string[]} secrets
+ * @returns {object}
+ */
+export function redactQuery(query, secrets) {
+  const isSecret = name =>
+    !!name && secrets.some(s => name.toLowerCase().includes(s.toLowerCase()));
+
+  if (typeof query.sql === "string") {
+    return {
+      sql: query.sql,
+      params: Array.isArray(query.params)
+        ? redactParams(query.sql, query.params, isSecret)
+        : redactDocument(query.params, isSecret),
+    };
+  }
+
+  const redacted = {};
+  for (const [key, value] of Object.entries(query)) {
+    redacted[key] = redactDocument(value, isSecret);
+  }
+  return redacted;
+}
+
+// A placeholder with no clear column ("lower(?)", "THEN ?", "SELECT ?")
+// is masked whenever the statement names a secret column
+function redactParams(sql, params, isSecret) {
+  const { columns, names } = placeholderColumns(sql);
+  const mentionsSecret = names.some(isSecret);
+
+  return params.map((value, i) => {
+    const bound = columns[i] ?? [null];
+    const masked = bound.some(column =>
+      column === null ? mentionsSecret : isSecret(column)
+    );
+    return masked ? REDACTED : value;
+  });
+}
+
+function redactDocument(value, isSecret) {
+  if (Array.isArray(value)) return value.map(v => redactDocument(v, isSecret));
+  if (!value || Object.getPrototypeOf(value) !== Object.prototype) return value;
+
+  const redacted = {};
+  for (const [key, inner] of Object.entries(value)) {
+    redacted[key] = isSecret(key) ? REDACTED : redactDocument(inner, isSecret);
+  }
+  return redacted;
+}
+
+// Columns each parameter is bound to, by parameter index ("$1" may appear
+// more than once), and every identifier in the statement. INSERT values
+// take the column list in order. Elsewhere a placeholder belongs to the
+// column right before its operator ("password = ?", "id IN (?, ?)", "age
+// BETWEEN ? AND ?"); any other placeholder is unknown (null).
+function placeholderColumns(sql) {
+  const insert = INSERT_COLUMNS.exec(sql);
+  const insertColumns = insert?.[1].split(",").map(c => unquote(c.trim()));
+  let valuePosition = insert ? 0 : null;
+
+  const columns = [];
+  const names = insertColumns ? [...insertColumns] : [];
+  let nextIndex = 0;
+  const bind = (placeholder, column) => {
+    const index = placeholderIndex(placeholder, nextIndex++);
+    (columns[index] ??= []).push(column);
+  };
+
+  // `column` is the last identifier, and `state` where a placeholder would
+  // stand: "column" (right after it, so not bound to it), "operator" (after
+  // its operator), "list" (inside its IN (...)), "between" (after its
+  // BETWEEN), "and" (before the AND of its BETWEEN), "limit", or null
+  let column = null;
+  let state = null;
+
+  SQL_TOKEN.lastIndex = insert ? insert[0].length : 0;
+  for (let match; (match = SQL_TOKEN.exec(sql)); ) {
+    const [, doubleQuoted, backQuoted, placeholder, word, operator, punct] =
+      match;
+    const keyword = word?.toUpperCase();
+
+    if (valuePosition !== null) {
+      if (placeholder) {
+        bind(
+          placeholder,
+          insertColumns[valuePosition++ % insertColumns.length]
+        );
+        continue;
+      }
+      if (punct) continue;
+      if (!word || VALUE_WORDS.has(keyword)) {
+        valuePosition++;
+        continue;
+      }
+      valuePosition = null; // ON CONFLICT, RETURNING, lower(?), ...
+    }
+
+    if (placeholder) {
+      if (state === "limit") {
+        bind(placeholder, NO_COLUMN);
+      } else {
+        const bound = ["operator", "list", "between"].includes(state);
+        bind(placeholder, bound ? column : null);
+        state = { list: "list", between: "and" }[state] ?? null;
+      }
+    } else if (keyword === "LIMIT" || keyword === "OFFSET") {
+      state = "limit";
+    } else if (keyword === "BETWEEN") {
+      state = state === "column" ? "between" : null;
+    } else if (keyword === "AND" && state === "and") {
+      state = "operator";
+    } else if (operator || OPERATOR_WORDS.has(keyword)) {
+      state = state === "column" || state === "operator" ? "operator" : null;
+    } else if (punct === "(" && state === "operator") {
+      state = "list";
+    } else if (punct === "," && (state === "list" || state === "limit")) {
+      // next value of IN (?, ?) or LIMIT ?, ?
+    } else if (
+      (word && !VALUE_WORDS.has(keyword)) ||
+      doubleQuoted ||
+      backQuoted
+    ) {
+      column = doubleQuoted ?? backQuoted ?? word.split(".").pop();
+      names.push(column);
+      state = "column";
+    } else {
+      state = null;
+    }
+  }
+
+  return { columns, names };
+}
+
+// "$3" names its parameter; "?" takes the next one
+function placeholderIndex(placeholder, next) {
+  return placeholder === "?" ? next : Number(placeholder.slice(1)) - 1;
+}
+
+function unquote(identifier) {
+  return identifier
+    .split(".")
+    .pop()
+    .replace(/["`[\]]/g, "");
+}
+
+/**
+ * Rows returned or affected by a driver call, when the result says.
+ * @param {*} result
+ * @returns {?number}
+ */
+export function rowCount(result) {
+  if (typeof result?.rowCount === "number") return result.rowCount;
+  if (Array.isArray(result)) return result.length;
+  if (!result || typeof result !== "object") return null;
+
+  for (const field of [
+    "changes",
+    "affectedRows",
+    "insertedCount",
+    "modifiedCount",
+    "deletedCount",
+  ]) {
+    if (typeof result[field] === "number") return result[field];
+  }
+  return "insertedId" in result ? 1 : null;
+}
+
+/**
+ * Identifies a statement independent of its values, for spotting one query
+ * repeated within a request (N+1).
+ * @param {object} query
+ * @returns {string}
+ */
+export function statementKey(query) {
+  if (typeof query.sql === "string") return query.sql;
+  const fields = Object.keys(query.filter ?? {}).sort();
+  return `${query.collection}.${query.operation}(${fields.join(", ")})`;
+}
@@ -0,0 +1,417 @@
+// query.js
+
+/**
+ * RawCondition
+ *
+ * A raw SQL WHERE fragment together with its bound values. SQL drivers bind
+ * it in place; MongoDBDriver translates it through sqlToMongoDB().
+ */
+export class RawCondition {
+  constructor(sql, params = []) {
+    this.sql = sql;
+    this.params = params;
+    Object.freeze(this);
+  }
+}
+
+// Comparison operators accepted by Query.where(field, operator, value)
+const OPERATORS = {
+  "=": "$eq",
+  "!=": "$ne",
+  "<>": "$ne",
+  "<": "$lt",
+  "<=": "$lte",
+  ">": "$gt",
+  ">=": "$gte",
+  in: "$in",
+  "not in": "$nin",
+  like: "$like",
+};
+
+const JOIN_TYPES = ["inner", "left"];
+
+/**
+ * Normalizes the accepted orderBy shapes into [{ field, direction }].
+ *
+ * Accepts "name", "-name" (descending), ["name", "-age"],
+ * { name: "asc", age: "desc" } or [{ field, direction }].
+ *
+ * @param {string|Array|object} orderBy
+ * @returns {Array<{field: string, direction: "asc"|"desc"}>}
+ */
+export function normalizeOrderBy(orderBy) {
+  if (!orderBy) return [];
+
+  if (typeof orderBy === "string") {
+    return orderBy.startsWith("-")
+      ? [{ field: orderBy.slice(1), direction: "desc" }]
+      : [{ field: orderBy, direction: "asc" }];
+  }
+
+  if (Array.isArray(orderBy)) {
+    return orderBy.flatMap(entry =>
+      typeof entry === "string"
+        ? normalizeOrderBy(entry)
+        : [
+            {
+              field: entry.field,
+              direction: normalizeDirection(entry.direction),
+            },
+          ]
+    );
+  }
+
+  return Object.entries(orderBy).map(([field, direction]) => ({
+    field,
+    direction: normalizeDirection(direction),
+  }));
+}
+
+function normalizeDirection(direction = "asc") {
+  if (direction === -1) return "desc";
+  if (direction === 1) return "asc";
+
+  const normalized = String(direction).toLowerCase();
+  if (normalized !== "asc" && normalized !== "desc") {
+    throw new Error(`Invalid sort direction: ${direction}`);
+  }
+  return normalized;
+}
+
+function assertCount(method, n) {
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`Query.${method}() requires a non-negative integer.`);
+  }
+}
+
+/**
+ * Query
+ *
+ * Chainable, driver-neutral query bound to a model. Conditions are kept in a
+ * portable form (plain objects with $-operators, or raw SQL fragments) and
+ * handed to the model's driver through findMany(), count() and exists().
+ *
+ *   await users
+ *     .where({ active: true })
+ *     .where("age", ">=", 18)
+ *     .orderBy("name")
+ *     .limit(10)
+ *     .all();
+ */
+export default class Query {
+  #model;
+  #wheres = [];
+  #select = [];
+  #orderBy = [];
+  #joins = [];
+  #limit = null;
+  #offset = null;
+  #includes = [];
+  #scopeOptions = {};
+  #readFrom = null;
+
+  constructor(model) {
+    if (!model?.driver || typeof model.tableName !== "string") {
+      throw new Error("Query requires a model with a driver and table name.");
+    }
+    this.#model = model;
+
+    // The model's named scopes chain from the query too: .active().recent()
+    for (const name of Object.keys(model.constructor.scopes?.() ?? {})) {
+      if (name in this) continue;
+      Object.defineProperty(this, name, {
+        enumerable: false,
+        value: (...args) => this.scope(name, ...args),
+      });
+    }
+  }
+
+  // ------------------------------------------------------------
+  // BUILDING
+  // ------------------------------------------------------------
+
+  /**
+   * Adds a condition; all conditions are combined with AND.
+   *
+   *   where({ status: "active", age: { $gte: 18 } })
+   *   where("age", ">=", 18)
+   *   where("status", "active")
+   *   where("age > ? OR vip = ?", [18, true])
+   *   where("name LIKE :name", { name: "A%" })
+   */
+  where(condition, operatorOrParams, value) {
+    if (typeof condition === "string" && arguments.length === 3) {
+      const op = OPERATORS[String(operatorOrParams).toLowerCase()];
+      if (!op) {
+        throw new Error(`Unsupported where operator: ${operatorOrParams}`);
+      }
+      this.#wheres.push({ [condition]: { [op]: value } });
+    } else if (typeof condition === "string" && arguments.length === 2) {
+      const isParams =
+        operatorOrParams !== null &&
+        typeof operatorOrParams === "object" &&
+        !(operatorOrParams instanceof Date);
+
+      this.#wheres.push(
+        isParams
+          ? new RawCondition(condition, operatorOrParams)
+          : { [condition]: operatorOrParams }
+      );
+    } else if (typeof condition === "string") {
+      this.#wheres.push(new RawCondition(condition));
+    } else if (condition && typeof condition === "object") {
+      this.#wheres.push(condition);
+    } else {
+      throw new Error("Query.where() requires an object or a string.");
+    }
+    return this;
+  }
+
+  orderBy(field, direction = "asc") {
+    this.#orderBy.push(
+      ...(typeof field === "string" && arguments.length === 2
+        ? normalizeOrderBy([{ field, direction }])
+        : normalizeOrderBy(field))
+    );
+    return this;
+  }
+
+  select(...fields) {
+    this.#select.push(...fields.flat());
+    return this;
+  }
+
+  /**
+   * Joins another table on `left = right` (e.g. "posts.authorId", "users.id").
+   * MongoDB performs a $lookup and nests the matches under the table name.
+   */
+  join(table, left, right, type = "inner") {
+    if (!JOIN_TYPES.includes(type)) {
+      throw new Error(`Unsupported join type: ${type}`);
+    }
+    this.#joins.push({ table, left, right, type });
+    return this;
+  }
+
+  leftJoin(table, left, right) {
+    return this.join(table, left, right, "left");
+  }
+
+  /**
+   * Eager-loads associations on the results, batching one query per
+   * association: with("author", "comments.author").
+   */
+  with(...names) {
+    this.#includes.push(...names.flat());
+    return this;
+  }
+
+  /**
+   * Adds one of the model's named scopes.
+   */
+  scope(name, ...args) {
+    return this.where(this.#model._namedScope(name, args));
+  }
+
+  /**
+   * Skips the given default scopes, or all of them when none are named.
+   */
+  withoutDefaultScopes(...names) {
+    this.#scopeOptions = {
+      ...this.#scopeOptions,
+      withoutDefaultScopes: names.length ? names.flat() : true,
+    };
+    return this;
+  }
+
+  /**
+   * Includes soft-deleted rows.
+   */
+  withTrashed() {
+    this.#scopeOptions = {
+      ...this.#scopeOptions,
+      withTrashed: true,
+      onlyTrashed: false,
+    };
+    return this;
+  }
+
+  /**
+   * Returns only soft-deleted rows.
+   */
+  onlyTrashed() {
+    this.#scopeOptions = {
+      ...this.#scopeOptions,
+      withTrashed: false,
+      onlyTrashed: true,
+    };
+    return this;
+  }
+
+  /**
+   * Reads from "primary" or "replica" instead of the driver's default
+   * routing (replicas, except inside transactions and after a write).
+   */
+  readFrom(target) {
+    if (target !== "primary" && target !== "replica") {
+      throw new Error(`readFrom() expects "primary" or "replica".`);
+    }
+    this.#readFrom = target;
+    return this;
+  }
+
+  limit(n) {
+    assertCount("limit", n);
+    this.#limit = n;
+    return this;
+  }
+
+  offset(n) {
+    assertCount("offset", n);
+    this.#offset = n;
+    return this;
+  }
+
+  /**
+   * Returns the portable description handed to the driver.
+   * @returns {{ where: object|Array, options: object }}
+   */
+  build() {
+    const where =
+      this.#wheres.length === 0
+        ? {}
+        : this.#wheres.length === 1
+        ? this.#wheres[0]
+        : [...this.#wheres];
+
+    return {
+      where,
+      options: {
+        select: [...this.#select],
+        orderBy: [...this.#orderBy],
+        joins: [...this.#joins],
+        limit: this.#limit,
+        offset: this.#offset,
+      },
+    };
+  }
+
+  // ------------------------------------------------------------
+  // EXECUTION
+  // ------------------------------------------------------------
+
+  async all() {
+    const { where, options } = this.#driverQuery();
+    const rows = await this.#model.driver.findMany(
+      this.#model.tableName,
+      where,
+      options
+    );
+    return this.#load(rows);
+  }
+
+  async first() {
+    const { where, options } = this.#driverQuery({ limit: 1 });
+    const rows = await this.#model.driver.findMany(
+      this.#model.tableName,
+      where,
+      options
+    );
+    return (await this.#load(rows))[0] ?? null;
+  }
+
+  /**
+   * Offset pagination over this query: { items, page, perPage, total, pages, ... }.
+   */
+  async paginate({ page = 1, perPage } = {}) {
+    const { where, options } = this.#driverQuery({ page, perPage });
+    const result = await this.#model.driver.paginate(
+      this.#model.tableName,
+      where,
+      options
+    );
+    return { ...result, items: await this.#load(result.items) };
+  }
+
+  /**
+   * Keyset pagination over this query: { items, nextCursor, prevCursor }.
+   * Uses the query's orderBy unless one is given.
+   */
+  async cursorPaginate({ after = null, limit, orderBy } = {}) {
+    const built = this.build().options;
+    const { where, options } = this.#driverQuery({
+      after,
+      limit: limit ?? built.limit ?? undefined, // undefined → driver default
+      orderBy: orderBy ?? built.orderBy,
+      offset: undefined,
+    });
+    const result = await this.#model.driver.cursorPaginate(
+      this.#model.tableName,
+      where,
+      options
+    );
+    return { ...result, items: await this.#load(result.items) };
+  }
+
+  /**
+   * Async iterator over the results, fetching batchSize rows at a time.
+   * Eager loads from with() are not applied.
+   */
+  async *stream({ batchSize } = {}) {
+    const { where, options } = this.#driverQuery({ batchSize });
+    const rows = this.#model.driver.stream(
+      this.#model.tableName,
+      where,
+      options
+    );
+    for await (const row of rows) {
+      yield this.#model._fromDriver(row);
+    }
+  }
+
+  /**
+   * Counts rows matching the conditions and joins (ordering and limits are
+   * ignored).
+   */
+  async count() {
+    const { where, options } = this.#driverQuery();
+    return this.#model.driver.count(this.#model.tableName, where, options);
+  }
+
+  async exists() {
+    const { where, options } = this.#driverQuery();
+    return this.#model.driver.exists(this.#model.tableName, where, options);
+  }
+
+  /**
+   * Runs a portable aggregation over the rows this query matches (see
+   * normalizeAggregation()); `spec.where` narrows them further.
+   */
+  async aggregate(spec = {}) {
+    const { where, options } = this.#driverQuery();
+    const extra = spec.where ? [this.#model._toDriverWhere(spec.where)] : [];
+    return this.#model.driver.aggregate(
+      this.#model.tableName,
+      { ...spec, where: [where, ...extra] },
+      options
+    );
+  }
+
+  // build() with the model's logical primary key mapped to the driver's
+  #driverQuery(overrides = {}) {
+    const { where, options } = this.build();
+    if (this.#readFrom) options.readFrom = this.#readFrom;
+    return {
+      where: this.#model._driverWhere(where, this.#scopeOptions),
+      options: this.#model._keyOptions({ ...options, ...overrides }),
+    };
+  }
+
+  async #load(rows) {
+    const records = this.#model._fromDriver(rows);
+    if (this.#includes.length) {
+      await this.#model.loadRelations(records, this.#includes);
+    }
+    return records;
+  }
+}
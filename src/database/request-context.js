@@ -0,0 +1,34 @@
+// request-context.js
+
+import { AsyncLocalStorage } from "async_hooks";
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` in a fresh request context, state that lives for one HTTP request
+ * (or job) and follows it across awaits. Drivers record writes here so reads
+ * after a write stay on the primary for the rest of the request, and count
+ * the queries the request makes.
+ *
+ * @param {Function} fn
+ * @param {object} [options]
+ * @param {?string} [options.tenant] - Tenant name attached to query logs.
+ * @returns {*} The result of fn.
+ */
+export function runInRequestContext(fn, { tenant = null } = {}) {
+  return storage.run(
+    { wrote: new WeakSet(), tenant, queries: 0, statements: new Map() },
+    fn
+  );
+}
+
+/**
+ * The current request context, or null outside runInRequestContext().
+ * `queries` is the number of database calls made so far; `statements` counts
+ * them per distinct statement.
+ *
+ * @returns {{wrote: WeakSet, tenant: ?string, queries: number, statements: Map<string, number>}|null}
+ */
+export function requestContext() {
+  return storage.getStore() ?? null;
+}
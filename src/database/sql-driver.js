@@ -1,125 +1,1387 @@
 // sql-driver.js:
 
-import AbstractDriver from "./abstract-driver.js";
+import AbstractDriver, {
+  DEFAULT_BATCH_SIZE,
+  StaleRecordError,
+} from "./abstract-driver.js";
+import { RawCondition, normalizeOrderBy } from "./query.js";
+import { normalizeAggregation } from "./aggregation.js";
+import { requestContext } from "./request-context.js";
+import {
+  catalogColumn,
+  catalogForeignKeys,
+  catalogIndexes,
+} from "./introspection.js";
 
+const COMPARISONS = {
+  $eq: "=",
+  $ne: "<>",
+  $gt: ">",
+  $gte: ">=",
+  $lt: "<",
+  $lte: "<=",
+  $like: "LIKE",
+};
+
+function isPlainObject(value) {
+  if (Object.prototype.toString.call(value) !== "[object Object]") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === null || proto === Object.prototype;
+}
+
+/**
+ * SQLDriver
+ *
+ * Shared CRUD implementation for every SQL driver. Statements are generated
+ * here as parameterized SQL and run through the subclass's `execute(sql, params)`.
+ * Subclasses adjust the generated SQL through the dialect hooks below.
+ */
 export default class SQLDriver extends AbstractDriver {
-  constructor(dbClient) {
-    super();
-    this.db = dbClient; // expects a knex-like SQL client
+  #transactionQueue = Promise.resolve();
+  #schemaChanges = null; // pending ensureTable() calls, see ensureIndexes()
+
+  constructor(config = {}, dbClient = null) {
+    super(config);
+    this.db = dbClient; // raw client handle, owned by the subclass
+  }
+
+  // ---------------------------------------------------------------------------
+  // Dialect hooks (override per driver)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Returns the bind placeholder for the parameter at `index` (1-based).
+   * @param {number} index
+   * @returns {string}
+   */
+  placeholder(index) {
+    return "?";
+  }
+
+  /**
+   * Quotes a table or column identifier ("table.column" is quoted per part,
+   * a "*" part is left as is).
+   * @param {string} name
+   * @returns {string}
+   */
+  quoteIdentifier(name) {
+    return String(name)
+      .split(".")
+      .map(part => (part === "*" ? part : `"${part.replace(/"/g, '""')}"`))
+      .join(".");
+  }
+
+  /**
+   * Returns the LIMIT/OFFSET suffix of a SELECT. Values are validated
+   * integers, so they are inlined rather than bound.
+   * @param {number|null} limit
+   * @param {number|null} offset
+   * @returns {string}
+   */
+  limitClause(limit, offset) {
+    if (limit === null && offset === null) return "";
+    if (offset === null) return ` LIMIT ${limit}`;
+    return ` LIMIT ${limit ?? -1} OFFSET ${offset}`;
+  }
+
+  /**
+   * True when INSERT/UPDATE ... RETURNING * is available.
+   * @returns {boolean}
+   */
+  supportsReturning() {
+    return true;
+  }
+
+  /**
+   * True when DELETE accepts a LIMIT clause.
+   * @returns {boolean}
+   */
+  supportsDeleteLimit() {
+    return false;
+  }
+
+  /**
+   * Iterable over the rows of a SELECT that fetches `options.batchSize` rows
+   * at a time, or null when the dialect has no cursor support.
+   * @param {string} sql
+   * @param {Array} params
+   * @param {{ batchSize: number, transaction: ?object, replica: boolean }} options
+   *   `replica` is set when the read may go to a replica (see hasReplicas()).
+   * @returns {AsyncIterable<object>|Iterable<object>|null}
+   */
+  streamRows(sql, params, options) {
+    return null;
+  }
+
+  /**
+   * Whether a statement only reads, so withRetry() may run it again after
+   * any transient error.
+   * @param {string} sql
+   * @returns {boolean}
+   */
+  isReadStatement(sql) {
+    return /^\s*SELECT\b/i.test(sql);
+  }
+
+  /**
+   * Whether read replicas are configured. Dialects that support them list
+   * replica URIs after the primary in database_uri (see splitDatabaseURIs()).
+   * @returns {boolean}
+   */
+  hasReplicas() {
+    return false;
+  }
+
+  /**
+   * Runs a read-only statement on one of the replicas.
+   * @param {string} sql
+   * @param {Array} params
+   * @returns {Promise<*>} Same shape as execute().
+   */
+  async executeOnReplica(sql, params) {
+    return this.execute(sql, params);
+  }
+
+  /**
+   * Returns the conflict clause appended to an upsert INSERT statement.
+   * @param {string[]} conflict - Conflict target columns.
+   * @param {string[]} merge - Columns to overwrite from the proposed row.
+   * @returns {string}
+   */
+  upsertClause(conflict, merge) {
+    const target = conflict.map(c => this.quoteIdentifier(c)).join(", ");
+
+    // With nothing to merge, a no-op assignment keeps RETURNING populated
+    const updates = (merge.length ? merge : conflict.slice(0, 1)).map(
+      c => `${this.quoteIdentifier(c)} = excluded.${this.quoteIdentifier(c)}`
+    );
+
+    return ` ON CONFLICT (${target}) DO UPDATE SET ${updates.join(", ")}`;
+  }
+
+  /**
+   * Converts a JavaScript value into something the client can bind.
+   * @param {*} value
+   * @returns {*}
+   */
+  toDatabaseValue(value) {
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Statement prefix that makes the database describe a query's plan.
+   * @returns {string}
+   */
+  explainPrefix() {
+    return "EXPLAIN";
+  }
+
+  execute(sql, params = []) {
+    this.constructor.notImplemented("execute");
   }
 
   // ---------------------------------------------------------------------------
   // CRUD operations
   // ---------------------------------------------------------------------------
 
-  async findById(table, id) {
-    return (await this.db(table).where("id", id).first()) || null;
+  async findById(table, id, options = {}) {
+    const pk = this.formatPrimaryKey(options.primaryKey);
+    const params = [];
+    const sql =
+      `SELECT * FROM ${this.quoteIdentifier(table)}` +
+      ` WHERE ${this.quoteIdentifier(pk)} = ${this.bind(params, id)} LIMIT 1`;
+
+    const rows = this.rowsOf(await this.#read(options, sql, params));
+    return rows[0] || null;
   }
 
-  async findMany(table, whereClause = {}) {
-    return await this.db(table).where(whereClause);
+  /**
+   * @param {string} table
+   * @param {object|string|Array} whereClause
+   * @param {object} [options]
+   * @param {string[]} [options.select] - Columns to return (default all).
+   * @param {string|Array|object} [options.orderBy]
+   * @param {number} [options.limit]
+   * @param {number} [options.offset]
+   * @param {Array<{table, left, right, type}>} [options.joins]
+   * @param {Array|object} [options.params] - Values for a raw where string.
+   */
+  async findMany(table, whereClause = {}, options = {}) {
+    const { sql, params } = this.#selectSQL(table, whereClause, options);
+    return this.rowsOf(await this.#read(options, sql, params));
+  }
+
+  /**
+   * Yields the rows findMany() would return, one at a time, through the
+   * dialect's streamRows() cursor; dialects without one fall back to keyset
+   * batches.
+   */
+  async *stream(table, whereClause = {}, options = {}) {
+    const { sql, params } = this.#selectSQL(table, whereClause, options);
+    if (this.#schemaChanges) await this.#schemaChanges;
+
+    const transaction = this.currentTransaction(options);
+    if (!transaction) await this.#transactionQueue;
+    const rows = this.streamRows(sql, params, {
+      batchSize: options.batchSize ?? DEFAULT_BATCH_SIZE,
+      transaction,
+      replica: this.#onReplica(options),
+    });
+
+    if (rows) yield* this.instrumentRows({ sql, params }, rows);
+    else yield* super.stream(table, whereClause, options);
   }
 
   async insertOne(table, data, options = {}) {
     const { returnFull = false } = this.normalizeOptions(options);
-    const result = await this.db(table).insert(data).returning("*");
-    return returnFull ? result[0] : { id: result[0].id };
+    const [row] = await this.#insertRows(table, [data], returnFull, options);
+    return row;
   }
 
   async insertMany(table, data = [], options = {}) {
     const { returnFull = false } = this.normalizeOptions(options);
-    const result = await this.db(table).insert(data).returning("*");
-    return returnFull ? result : result.map(r => ({ id: r.id }));
+    if (!data.length) return [];
+    return this.#insertRows(table, data, returnFull, options);
   }
 
+  /**
+   * Updates the row identified by the primary key in `data`.
+   *
+   * With `options.version = { field, value }` the row must still hold that
+   * version; the version is incremented in the same statement and a
+   * StaleRecordError is thrown when no row matches.
+   */
   async updateOne(table, data, options = {}) {
     const { returnFull = false } = this.normalizeOptions(options);
-    const { id, ...updateData } = data;
-    const result = await this.db(table)
-      .where("id", id)
-      .update(updateData)
-      .returning("*");
-    return returnFull ? result[0] : { id };
+    const pk = this.formatPrimaryKey(options.primaryKey);
+    const version = options.version ?? null;
+    const { [pk]: id, ...updateData } = data;
+
+    if (id === undefined || id === null) {
+      throw new Error(`updateOne requires a '${pk}' field.`);
+    }
+    if (version) delete updateData[version.field];
+
+    if (Object.keys(updateData).length || version) {
+      const params = [];
+      const sets = [];
+      if (Object.keys(updateData).length) {
+        sets.push(this.#setClause(updateData, params));
+      }
+      let where = `${this.quoteIdentifier(pk)} = ${this.bind(params, id)}`;
+
+      if (version) {
+        const column = this.quoteIdentifier(version.field);
+        sets.push(`${column} = ${column} + 1`);
+        where += ` AND ${column} = ${this.bind(params, version.value)}`;
+      }
+
+      const returning = returnFull && this.supportsReturning();
+      const sql =
+        `UPDATE ${this.quoteIdentifier(table)} SET ${sets.join(", ")}` +
+        ` WHERE ${where}` +
+        (returning ? " RETURNING *" : "");
+
+      const result = await this.#exec(options, sql, params);
+      const updated = returning
+        ? this.rowsOf(result).length
+        : this.affectedRowsOf(result);
+
+      if (version && updated === 0) {
+        throw new StaleRecordError(table, id, version.value);
+      }
+      if (returning) return this.rowsOf(result)[0] || null;
+    }
+
+    if (returnFull) {
+      return this.findById(table, id, { ...options, readFrom: "primary" });
+    }
+    return version
+      ? { [pk]: id, [version.field]: version.value + 1 }
+      : { [pk]: id };
   }
 
   async updateMany(table, data, whereClause = {}, options = {}) {
-    const result = await this.db(table).where(whereClause).update(data);
-    return { affectedRows: result };
+    const pk = this.formatPrimaryKey(options.primaryKey);
+    const { [pk]: _ignored, ...updateData } = data; // never rewrite keys in bulk
+
+    if (!Object.keys(updateData).length) return { affectedRows: 0 };
+
+    const params = [];
+    const set = this.#setClause(updateData, params);
+    const where = this.compileWhere(whereClause, params, options.params);
+    const sql = `UPDATE ${this.quoteIdentifier(table)} SET ${set}${where}`;
+
+    const result = await this.#exec(options, sql, params);
+    return { affectedRows: this.affectedRowsOf(result) };
   }
 
+  /**
+   * Inserts a row or merges it into the row it conflicts with.
+   *
+   * @param {string} table
+   * @param {object} data
+   * @param {object} [options]
+   * @param {string|string[]} [options.conflict] - Conflict target columns (defaults to the primary key).
+   * @param {string|string[]} [options.merge] - Columns to update on conflict (defaults to every non-target column).
+   * @param {boolean} [options.returnFull=false]
+   */
   async upsert(table, data, options = {}) {
-    const { returnFull = false } = this.normalizeOptions(options);
-    const result = await this.db(table)
-      .insert(data)
-      .onConflict("id")
-      .merge()
-      .returning("*");
-    return returnFull ? result[0] : { id: result[0].id };
+    const [row] = await this.#upsertRows(table, [data], options);
+    return row;
   }
 
   async upsertMany(table, data = [], options = {}) {
-    const { returnFull = false } = this.normalizeOptions(options);
-    const result = await this.db(table)
-      .insert(data)
-      .onConflict("id")
-      .merge()
-      .returning("*");
-    return returnFull ? result : result.map(r => ({ id: r.id }));
+    if (!data.length) return [];
+
+    // One statement per column set, so a missing column never merges as NULL
+    const groups = new Map();
+    data.forEach((row, index) => {
+      const key = Object.keys(row).sort().join(",");
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({ row, index });
+    });
+
+    const results = new Array(data.length);
+    for (const group of groups.values()) {
+      const upserted = await this.#upsertRows(
+        table,
+        group.map(g => g.row),
+        options
+      );
+      group.forEach((g, i) => {
+        results[g.index] = upserted[i];
+      });
+    }
+    return results;
   }
 
-  async deleteOne(table, whereClause = {}) {
-    const result = await this.db(table).where(whereClause).del();
-    return { deletedCount: result };
+  async deleteOne(table, whereClause = {}, options = {}) {
+    if (this.#isEmptyWhere(whereClause)) {
+      throw new Error(
+        "deleteOne requires a whereClause (empty would delete an arbitrary row)."
+      );
+    }
+
+    const quotedTable = this.quoteIdentifier(table);
+    const params = [];
+    const where = this.compileWhere(whereClause, params, options.params);
+    let sql;
+
+    if (this.supportsDeleteLimit()) {
+      sql = `DELETE FROM ${quotedTable}${where} LIMIT 1`;
+    } else {
+      const pk = this.quoteIdentifier(
+        this.formatPrimaryKey(options.primaryKey)
+      );
+      sql =
+        `DELETE FROM ${quotedTable} WHERE ${pk} IN` +
+        ` (SELECT ${pk} FROM ${quotedTable}${where} LIMIT 1)`;
+    }
+
+    const result = await this.#exec(options, sql, params);
+    return { deletedCount: this.affectedRowsOf(result) };
   }
 
-  async deleteMany(table, whereClause = {}) {
-    const result = await this.db(table).where(whereClause).del();
-    return { deletedCount: result };
+  async deleteMany(table, whereClause = {}, options = {}) {
+    if (this.#isEmptyWhere(whereClause)) {
+      throw new Error(
+        "deleteMany requires a whereClause to avoid accidental full-table deletion."
+      );
+    }
+
+    const params = [];
+    const where = this.compileWhere(whereClause, params, options.params);
+    const sql = `DELETE FROM ${this.quoteIdentifier(table)}${where}`;
+
+    const result = await this.#exec(options, sql, params);
+    return { deletedCount: this.affectedRowsOf(result) };
   }
 
   // ---------------------------------------------------------------------------
   // Utility operations
   // ---------------------------------------------------------------------------
 
-  async count(table, whereClause = {}) {
-    const [{ count }] = await this.db(table)
-      .where(whereClause)
-      .count("* as count");
-    return parseInt(count, 10);
+  // Joins count like findMany() returns them: one per joined row
+  async count(table, whereClause = {}, options = {}) {
+    const params = [];
+    const where = this.compileWhere(whereClause, params, options.params);
+    const sql = `SELECT COUNT(*) AS count FROM ${this.quoteIdentifier(
+      table
+    )}${this.#joinSQL(options.joins)}${where}`;
+
+    const [row] = this.rowsOf(await this.#read(options, sql, params));
+    return parseInt(row?.count ?? 0, 10);
   }
 
-  async exists(table, whereClause = {}) {
-    return (await this.count(table, whereClause)) > 0;
+  async exists(table, whereClause = {}, options = {}) {
+    const params = [];
+    const where = this.compileWhere(whereClause, params, options.params);
+    const sql = `SELECT 1 AS found FROM ${this.quoteIdentifier(
+      table
+    )}${this.#joinSQL(options.joins)}${where} LIMIT 1`;
+
+    return this.rowsOf(await this.#read(options, sql, params)).length > 0;
   }
 
-  async aggregate(table, pipeline = []) {
-    throw new Error(
-      "SQLDriver.aggregate() is not implemented (not applicable to SQL)."
+  /**
+   * Runs a portable aggregation (see normalizeAggregation()) as a GROUP BY
+   * query. HAVING conditions may name aggregate aliases.
+   * @returns {Promise<object[]>} One row per group.
+   */
+  async aggregate(table, spec, options = {}) {
+    if (Array.isArray(spec)) {
+      throw new Error(
+        "SQLDriver.aggregate() takes an aggregation object, not a pipeline."
+      );
+    }
+
+    const aggregation = normalizeAggregation(spec);
+    const params = [];
+
+    const expressions = new Map(
+      aggregation.aggregates.map(a => [a.alias, this.#aggregateSQL(a)])
+    );
+    const columns = [
+      ...aggregation.groupBy.map(field => this.quoteIdentifier(field)),
+      ...[...expressions].map(
+        ([alias, sql]) => `${sql} AS ${this.quoteIdentifier(alias)}`
+      ),
+    ];
+
+    const where = this.compileWhere(aggregation.where, params, options.params);
+    const group = aggregation.groupBy.length
+      ? ` GROUP BY ${aggregation.groupBy
+          .map(field => this.quoteIdentifier(field))
+          .join(", ")}`
+      : "";
+
+    // Not every dialect resolves select aliases in HAVING, so inline them
+    const havingSQL = this.#isEmptyWhere(aggregation.having)
+      ? ""
+      : this.#compileCondition(
+          aggregation.having,
+          params,
+          undefined,
+          column => expressions.get(column) ?? this.quoteIdentifier(column)
+        );
+    const having = havingSQL ? ` HAVING ${havingSQL}` : "";
+
+    const order = aggregation.orderBy.length
+      ? ` ORDER BY ${aggregation.orderBy
+          .map(
+            o =>
+              `${this.quoteIdentifier(o.field)} ${
+                o.direction === "desc" ? "DESC" : "ASC"
+              }`
+          )
+          .join(", ")}`
+      : "";
+
+    const sql =
+      `SELECT ${columns.join(", ")} FROM ${this.quoteIdentifier(table)}` +
+      `${where}${group}${having}${order}` +
+      this.limitClause(aggregation.limit, aggregation.offset);
+
+    const rows = this.rowsOf(await this.#read(options, sql, params));
+
+    // COUNT/SUM/AVG come back as strings from drivers that avoid precision
+    // loss on BIGINT and DECIMAL results
+    const numeric = aggregation.aggregates.filter(a =>
+      ["$count", "$sum", "$avg"].includes(a.fn)
+    );
+    for (const row of rows) {
+      for (const { alias } of numeric) {
+        if (typeof row[alias] === "string") row[alias] = Number(row[alias]);
+      }
+    }
+    return rows;
+  }
+
+  async ping() {
+    await this.execute("SELECT 1");
+  }
+
+  // Only reads are explained; EXPLAIN never runs the statement itself
+  async explain({ sql, params }) {
+    if (!/^\s*(SELECT|WITH)\b/i.test(sql)) return null;
+    return this.rowsOf(
+      await this.execute(`${this.explainPrefix()} ${sql}`, params)
     );
   }
 
   async query(rawQuery, options = {}) {
     const { bindings = [] } = options;
-    return this.db.raw(rawQuery, bindings);
+    return this.#exec(options, rawQuery, bindings);
   }
 
   // ---------------------------------------------------------------------------
-  // Transaction management
+  // Introspection
+  // ---------------------------------------------------------------------------
+
+  // Reads the catalog through the hooks below, one table at a time. The
+  // default hooks use SQLite's pragma functions; dialects with
+  // information_schema override them, aliasing columns the same way.
+  async introspect(options = {}) {
+    const names = options.tables ?? (await this.introspectTables());
+    const tables = [];
+
+    for (const name of names) {
+      const columns = (await this.introspectColumns(name)).map(catalogColumn);
+      const indexes = catalogIndexes(await this.introspectIndexes(name));
+      const foreignKeys = catalogForeignKeys(
+        await this.introspectForeignKeys(name)
+      );
+
+      const primary = indexes.find(index => index.primary);
+      for (const column of columns) {
+        column.primaryKey ??= primary?.columns.includes(column.name) ?? false;
+      }
+
+      tables.push({ name, columns, indexes, foreignKeys });
+    }
+
+    return { tables };
+  }
+
+  /**
+   * Names of the user tables, sorted.
+   * @returns {Promise<string[]>}
+   */
+  async introspectTables() {
+    const rows = this.rowsOf(
+      await this.execute(
+        "SELECT name FROM sqlite_master WHERE type = 'table' " +
+          "AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\' ORDER BY name"
+      )
+    );
+    return rows.map(row => row.name);
+  }
+
+  /**
+   * Catalog rows for the columns of `table`, in order: { name, type,
+   * max_length, nullable, default_value, is_primary?, auto_increment }.
+   * Without is_primary, the primary index decides.
+   * @param {string} table
+   * @returns {Promise<object[]>}
+   */
+  async introspectColumns(table) {
+    const rows = this.rowsOf(
+      await this.execute(
+        'SELECT name, type, "notnull", dflt_value, pk FROM pragma_table_info(?) ORDER BY cid',
+        [table]
+      )
+    );
+    const keyColumns = rows.filter(row => row.pk > 0).length;
+
+    return rows.map(row => {
+      // Declared types keep their length: "VARCHAR(255)"
+      const [, type, length = null] =
+        /^\s*([^(]*?)\s*(?:\((\d+)[^)]*\))?\s*$/.exec(row.type);
+      const isPrimary = row.pk > 0;
+      return {
+        name: row.name,
+        type,
+        max_length: length,
+        nullable: !row.notnull && !isPrimary,
+        default_value: row.dflt_value,
+        is_primary: isPrimary,
+        // A lone INTEGER PRIMARY KEY aliases the rowid
+        auto_increment:
+          isPrimary && keyColumns === 1 && /^integer$/i.test(type),
+      };
+    });
+  }
+
+  /**
+   * Catalog rows for the indexes of `table`, one per indexed column in
+   * order: { name, column_name, is_unique, is_primary }.
+   * @param {string} table
+   * @returns {Promise<object[]>}
+   */
+  async introspectIndexes(table) {
+    return this.rowsOf(
+      await this.execute(
+        `SELECT il.name AS name, ii.name AS column_name, il."unique" AS is_unique,
+           il.origin = 'pk' AS is_primary
+         FROM pragma_index_list(?) AS il, pragma_index_info(il.name) AS ii
+         ORDER BY il.name, ii.seqno`,
+        [table]
+      )
+    );
+  }
+
+  /**
+   * Catalog rows for the foreign keys of `table`, one per column pair in
+   * order: { name, column_name, ref_table, ref_column, on_update, on_delete }.
+   * @param {string} table
+   * @returns {Promise<object[]>}
+   */
+  async introspectForeignKeys(table) {
+    const rows = this.rowsOf(
+      await this.execute(
+        `SELECT id, "from" AS column_name, "table" AS ref_table, "to" AS ref_column,
+           on_update, on_delete
+         FROM pragma_foreign_key_list(?) ORDER BY id, seq`,
+        [table]
+      )
+    );
+
+    // SQLite keeps no constraint names
+    return rows.map(({ id, ...row }) => ({
+      name: `${table}_fk_${id}`,
+      ...row,
+    }));
+  }
+
   // ---------------------------------------------------------------------------
+  // Schema DDL
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Whether models create their missing tables and indexes, from
+   * `database_options.createTables`. Honored in development and testing
+   * only; production schemas change through migrations.
+   * @param {boolean} [createTables]
+   * @returns {boolean}
+   */
+  createTablesSetting(createTables = false) {
+    if (createTables && !(system.isDevelopment || system.isTesting)) {
+      system.log.warn(
+        `[${this.constructor.name}] database_options.createTables is ignored in ${system.envMode}.`
+      );
+      createTables = false;
+    }
+
+    this._createTables = !!createTables;
+    return this._createTables;
+  }
+
+  // With createTables on, the table is created (or completed with missing
+  // indexes) in the background; statements wait for it before running
+  ensureIndexes(table, schema) {
+    if (!this._createTables) return super.ensureIndexes(table, schema);
+    if (this._ensuredIndexes.has(table)) return this.#schemaChanges;
+    this._ensuredIndexes.add(table);
+
+    const pending = (this.#schemaChanges ?? Promise.resolve())
+      .then(() => this.ensureTable(table, schema))
+      .catch(err => {
+        this._ensuredIndexes.delete(table);
+        system.log.error(
+          `[${this.constructor.name}] Could not create table "${table}": ${err.message}`
+        );
+      })
+      .finally(() => {
+        if (this.#schemaChanges === pending) this.#schemaChanges = null;
+      });
+
+    this.#schemaChanges = pending;
+    return pending;
+  }
+
+  /**
+   * Creates `table` from `schema` when it does not exist, then any schema
+   * index the table lacks. Existing columns are left alone.
+   *
+   * @param {string} table
+   * @param {Schema} schema
+   * @returns {Promise<{ created: boolean, indexes: string[] }>} Whether the
+   *   table was created, and the names of the indexes created.
+   */
+  async ensureTable(table, schema) {
+    const created = !(await this.introspectTables()).includes(table);
+    if (created) {
+      await this.execute(this.createTableSQL(table, schema));
+      system.log.info(`[${this.constructor.name}] Created table "${table}".`);
+    }
+
+    const existing = catalogIndexes(await this.introspectIndexes(table)).map(
+      index => index.columns.join(",")
+    );
+    const indexes = [];
+
+    for (const index of schema.getDefinition().indexes) {
+      const columns = index.fields.map(f => f.name);
+      if (index.primary || existing.includes(columns.join(","))) continue;
+
+      const name = index.name ?? `${table}_${columns.join("_")}`;
+      await this.execute(this.createIndexSQL(table, name, index));
+      indexes.push(name);
+    }
+
+    if (indexes.length) {
+      system.log.info(
+        `[${
+          this.constructor.name
+        }] Created indexes on "${table}": ${indexes.join(", ")}.`
+      );
+    }
+    return { created, indexes };
+  }
+
+  /**
+   * CREATE TABLE statement for `schema`: one column per field, NOT NULL for
+   * required fields, literal defaults, and CHECK constraints for enum values
+   * and numeric bounds. Defaults computed by a function are left to the model.
+   *
+   * @param {string} table
+   * @param {Schema} schema
+   * @returns {string}
+   */
+  createTableSQL(table, schema) {
+    const definitions = [];
+    const checks = [];
+
+    for (const [name, field] of Object.entries(schema.getSchema())) {
+      const col = this.quoteIdentifier(name);
+      const type =
+        field.primary && field.generate === "increment"
+          ? this.autoIncrementType()
+          : this.columnType(field);
 
-  async transaction(callback) {
-    return await this.db.transaction(callback);
+      let definition = `${col} ${type}`;
+      if (field.required || field.primary) definition += " NOT NULL";
+      if (
+        field.defaultValue !== undefined &&
+        field.defaultValue !== null &&
+        typeof field.defaultValue !== "function"
+      ) {
+        definition += ` DEFAULT ${this.sqlLiteral(field.defaultValue)}`;
+      }
+      definitions.push(definition);
+
+      if (field.type === "enum" && field.values?.length) {
+        const values = field.values.map(v => this.sqlLiteral(v));
+        checks.push(`${col} IN (${values.join(", ")})`);
+      }
+      if (field.type === "integer" || field.type === "number") {
+        if (field.minValue !== undefined && field.minValue !== null) {
+          checks.push(`${col} >= ${this.sqlLiteral(field.minValue)}`);
+        }
+        if (field.maxValue !== undefined && field.maxValue !== null) {
+          checks.push(`${col} <= ${this.sqlLiteral(field.maxValue)}`);
+        }
+      }
+    }
+
+    const primary = schema.getPrimaryKeyField();
+    if (primary) {
+      definitions.push(`PRIMARY KEY (${this.quoteIdentifier(primary)})`);
+    }
+    for (const check of checks) definitions.push(`CHECK (${check})`);
+
+    return `CREATE TABLE IF NOT EXISTS ${this.quoteIdentifier(
+      table
+    )} (\n  ${definitions.join(",\n  ")}\n)`;
+  }
+
+  /**
+   * CREATE INDEX statement for a schema index ({ fields, unique }).
+   * @param {string} table
+   * @param {string} name
+   * @param {object} index
+   * @returns {string}
+   */
+  createIndexSQL(table, name, index) {
+    const columns = index.fields.map(
+      f => this.quoteIdentifier(f.name) + (f.order === "desc" ? " DESC" : "")
+    );
+    return `CREATE ${index.unique ? "UNIQUE " : ""}INDEX ${this.quoteIdentifier(
+      name
+    )} ON ${this.quoteIdentifier(table)} (${columns.join(", ")})`;
+  }
+
+  /**
+   * Column type for a schema field ({ type, maxLength, values, ... }).
+   * Unknown types are stored as text.
+   * @param {object} field
+   * @returns {string}
+   */
+  columnType(field) {
+    switch (field.type) {
+      case "string":
+        return field.maxLength ? `VARCHAR(${field.maxLength})` : "TEXT";
+      case "email":
+      case "password":
+        return `VARCHAR(${field.maxLength ?? 255})`;
+      case "enum":
+        return `VARCHAR(${Math.max(
+          1,
+          ...(field.values ?? []).map(v => String(v).length)
+        )})`;
+      case "integer":
+        return "INTEGER";
+      case "number":
+        return "DOUBLE PRECISION";
+      case "boolean":
+        return "BOOLEAN";
+      case "date":
+        return "DATE";
+      case "time":
+        return "TIME";
+      case "timestamp":
+        return "TIMESTAMP";
+      case "uuid":
+        return "CHAR(36)";
+      case "objectid":
+        return "CHAR(24)";
+      default:
+        return "TEXT";
+    }
   }
 
+  /**
+   * Column type of an integer primary key the database generates. In SQLite
+   * an INTEGER primary key is the rowid, which is generated already.
+   * @returns {string}
+   */
+  autoIncrementType() {
+    return "INTEGER";
+  }
+
+  /**
+   * Renders a value as a SQL literal, for DDL where parameters cannot be
+   * bound (defaults, CHECK constraints).
+   * @param {*} value
+   * @returns {string}
+   */
+  sqlLiteral(value) {
+    if (value instanceof Date) value = value.toISOString();
+
+    switch (typeof value) {
+      case "number":
+        if (!Number.isFinite(value)) break;
+        return String(value);
+      case "bigint":
+        return String(value);
+      case "boolean":
+        return value ? "TRUE" : "FALSE";
+      case "string":
+        return `'${value.replace(/'/g, "''")}'`;
+    }
+    throw new Error(`Cannot write ${String(value)} as a SQL literal.`);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Transaction management
+  // ---------------------------------------------------------------------------
+
+  // Dialects with a connection pool override these to give every transaction
+  // its own connection. The defaults suit single-connection databases
+  // (SQLite): transactions take turns, and each one owns the connection.
+
   async startTransaction() {
-    return await this.db.transaction();
+    const previous = this.#transactionQueue;
+    let release;
+    this.#transactionQueue = new Promise(resolve => (release = resolve));
+    await previous;
+
+    try {
+      await this.execute("BEGIN");
+    } catch (err) {
+      release();
+      throw err;
+    }
+    return { connection: null, savepoints: 0, release };
+  }
+
+  async commitTransaction(tx = this.currentTransaction()) {
+    this.requireTransaction(tx, "commitTransaction");
+    try {
+      await this.withTransaction(tx, () => this.execute("COMMIT"));
+    } finally {
+      tx.release?.();
+    }
+  }
+
+  async rollbackTransaction(tx = this.currentTransaction()) {
+    this.requireTransaction(tx, "rollbackTransaction");
+    try {
+      await this.withTransaction(tx, () => this.execute("ROLLBACK"));
+    } finally {
+      tx.release?.();
+    }
+  }
+
+  async createSavepoint(tx, name) {
+    await this.withTransaction(tx, () => this.execute(`SAVEPOINT ${name}`));
+  }
+
+  async releaseSavepoint(tx, name) {
+    await this.withTransaction(tx, () =>
+      this.execute(`RELEASE SAVEPOINT ${name}`)
+    );
+  }
+
+  async rollbackToSavepoint(tx, name) {
+    await this.withTransaction(tx, () =>
+      this.execute(`ROLLBACK TO SAVEPOINT ${name}`)
+    );
+  }
+
+  // Statements that may write run on the primary, and keep the rest of the
+  // request's reads there too so it reads its own writes
+  #exec(options, sql, params) {
+    requestContext()?.wrote.add(this);
+    return this.#primary(options, sql, params);
+  }
+
+  // Reads go to a replica unless `options.readFrom` is "primary", the call
+  // is part of a transaction, or this request has already written
+  #read(options, sql, params) {
+    if (this.#schemaChanges) {
+      return this.#schemaChanges.then(() => this.#read(options, sql, params));
+    }
+
+    return this.#onReplica(options)
+      ? this.executeOnReplica(sql, params)
+      : this.#primary(options, sql, params);
+  }
+
+  #onReplica(options) {
+    return (
+      this.hasReplicas() &&
+      options.readFrom !== "primary" &&
+      !this.currentTransaction(options) &&
+      (options.readFrom === "replica" || !requestContext()?.wrote.has(this))
+    );
+  }
+
+  // execute() inside options.transaction when a handle is passed explicitly.
+  // Outside any transaction, a single-connection database waits for open ones
+  // to finish so their uncommitted writes stay invisible.
+  async #primary(options, sql, params) {
+    if (this.#schemaChanges) await this.#schemaChanges;
+    if (!this.currentTransaction(options)) await this.#transactionQueue;
+    return options.transaction
+      ? this.withTransaction(options.transaction, () =>
+          this.execute(sql, params)
+        )
+      : this.execute(sql, params);
+  }
+
+  // ---------------------------------------------------------------------------
+  // SQL building helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Appends a value to `params` and returns its placeholder.
+   * @param {Array} params
+   * @param {*} value
+   * @returns {string}
+   */
+  bind(params, value) {
+    params.push(this.toDatabaseValue(value));
+    return this.placeholder(params.length);
+  }
+
+  /**
+   * Compiles a where clause into " WHERE ..." (or "" when empty).
+   *
+   * Accepts:
+   * - a plain object of column → value pairs (null → IS NULL, arrays → IN,
+   *   or an operator object using $eq, $ne, $gt, $gte, $lt, $lte, $in,
+   *   $nin, $like, $exists), with $and / $or / $not for grouping;
+   * - a raw SQL string, whose `?` or `:name` markers are bound from
+   *   `bindings` (array or object respectively);
+   * - a RawCondition, or an array of any of these (combined with AND).
+   *
+   * @param {object|string|Array|RawCondition} whereClause
+   * @param {Array} params - Parameter list to append to.
+   * @param {Array|object} [bindings] - Values for markers in a raw string.
+   * @returns {string}
+   */
+  compileWhere(whereClause, params, bindings) {
+    if (this.#isEmptyWhere(whereClause)) return "";
+
+    const sql = this.#compileCondition(whereClause, params, bindings);
+    return sql ? ` WHERE ${sql}` : "";
+  }
+
+  /**
+   * Normalizes an execute() result into an array of rows.
+   * @param {*} result
+   * @returns {Array<object>}
+   */
+  rowsOf(result) {
+    if (Array.isArray(result)) return result;
+    return result?.rows ?? [];
+  }
+
+  /**
+   * Normalizes an execute() result into a count of affected rows.
+   * @param {*} result
+   * @returns {number}
+   */
+  affectedRowsOf(result) {
+    return Number(
+      result?.affectedRows ??
+        result?.changes ??
+        result?.rowsAffected ??
+        result?.rowCount ??
+        0
+    );
+  }
+
+  /**
+   * Extracts the auto-generated key from an execute() result, if any.
+   * @param {*} result
+   * @returns {*}
+   */
+  insertIdOf(result) {
+    const id = result?.insertId ?? result?.lastInsertRowid ?? null;
+    return typeof id === "bigint" ? Number(id) : id;
+  }
+
+  #joinSQL(joins = []) {
+    return joins
+      .map(
+        j =>
+          ` ${j.type === "left" ? "LEFT" : "INNER"} JOIN` +
+          ` ${this.quoteIdentifier(j.table)}` +
+          ` ON ${this.quoteIdentifier(j.left)} = ${this.quoteIdentifier(
+            j.right
+          )}`
+      )
+      .join("");
+  }
+
+  #selectSQL(table, whereClause = {}, options = {}) {
+    const {
+      select = [],
+      joins = [],
+      limit = null,
+      offset = null,
+      params: bindings,
+    } = options;
+
+    const params = [];
+    const columns = select.length
+      ? select.map(c => this.quoteIdentifier(c)).join(", ")
+      : "*";
+
+    const joinSQL = this.#joinSQL(joins);
+    const where = this.compileWhere(whereClause, params, bindings);
+
+    const orderBy = normalizeOrderBy(options.orderBy);
+    const order = orderBy.length
+      ? ` ORDER BY ${orderBy
+          .map(
+            o =>
+              `${this.quoteIdentifier(o.field)} ${
+                o.direction === "desc" ? "DESC" : "ASC"
+              }`
+          )
+          .join(", ")}`
+      : "";
+
+    const sql =
+      `SELECT ${columns} FROM ${this.quoteIdentifier(table)}` +
+      `${joinSQL}${where}${order}${this.limitClause(limit, offset)}`;
+
+    return { sql, params };
+  }
+
+  async #insertRows(table, rows, returnFull, options = {}) {
+    const pk = this.formatPrimaryKey(options.primaryKey);
+
+    if (this.supportsReturning()) {
+      const { sql, params } = this.#insertSQL(table, rows);
+      const inserted = this.rowsOf(
+        await this.#exec(options, `${sql} RETURNING *`, params)
+      );
+      return returnFull ? inserted : inserted.map(r => ({ [pk]: r[pk] }));
+    }
+
+    // No RETURNING: explicit keys win, otherwise the driver reports the
+    // generated key of the statement. A multi-row insert reports only its
+    // first key and the others need not follow it (MySQL with
+    // innodb_autoinc_lock_mode=2), so rows without a key go in one at a time.
+    const hasKey = row => row[pk] !== undefined && row[pk] !== null;
+    const statements =
+      rows.length === 1 || rows.every(hasKey) ? [rows] : rows.map(r => [r]);
+
+    const ids = await this.#atomically(options, statements, async batch => {
+      const { sql, params } = this.#insertSQL(table, batch);
+      const result = await this.#exec(options, sql, params);
+      return batch.map(row =>
+        hasKey(row) ? row[pk] : this.insertIdOf(result)
+      );
+    });
+
+    if (!returnFull) return ids.map(id => ({ [pk]: id }));
+
+    const found = [];
+    for (const id of ids) {
+      found.push(
+        await this.findById(table, id, { ...options, readFrom: "primary" })
+      );
+    }
+    return found;
+  }
+
+  async #upsertRows(table, rows, options) {
+    const { returnFull = false } = this.normalizeOptions(options);
+    const pk = this.formatPrimaryKey(options.primaryKey);
+    const columns = Object.keys(rows[0]);
+    const conflict = this.#columnList(options.conflict) ?? [pk];
+    const merge =
+      this.#columnList(options.merge) ??
+      columns.filter(c => !conflict.includes(c));
+
+    const missing = merge.filter(c => !columns.includes(c));
+    if (missing.length) {
+      throw new Error(
+        `upsert() merge columns not present in the data: ${missing.join(", ")}`
+      );
+    }
+
+    const upsertSQL = batch => {
+      const { sql, params } = this.#insertSQL(table, batch, columns);
+      return { sql: sql + this.upsertClause(conflict, merge), params };
+    };
+
+    if (this.supportsReturning()) {
+      const { sql, params } = upsertSQL(rows);
+      const upserted = this.rowsOf(
+        await this.#exec(options, `${sql} RETURNING *`, params)
+      );
+      return returnFull ? upserted : upserted.map(r => ({ [pk]: r[pk] }));
+    }
+
+    const hasValue = column => row =>
+      row[column] !== undefined && row[column] !== null;
+    if (!returnFull && rows.every(hasValue(pk))) {
+      const { sql, params } = upsertSQL(rows);
+      await this.#exec(options, sql, params);
+      return rows.map(row => ({ [pk]: row[pk] }));
+    }
+
+    // No RETURNING: read each row back through its conflict target, or a
+    // freshly inserted row without one through its generated key. Only one
+    // key is reported per statement, so such rows are upserted one at a time.
+    const complete = row => conflict.every(c => hasValue(c)(row));
+    const statements =
+      rows.length === 1 || rows.every(complete) ? [rows] : rows.map(r => [r]);
+
+    return this.#atomically(options, statements, async batch => {
+      const { sql, params } = upsertSQL(batch);
+      const result = await this.#exec(options, sql, params);
+
+      const found = [];
+      for (const row of batch) {
+        const where = complete(row)
+          ? Object.fromEntries(conflict.map(c => [c, row[c]]))
+          : { [pk]: this.insertIdOf(result) };
+        const [record = null] = await this.findMany(table, where, {
+          transaction: options.transaction,
+          readFrom: "primary",
+        });
+        found.push(returnFull ? record : { [pk]: record?.[pk] ?? null });
+      }
+      return found;
+    });
+  }
+
+  // INSERT of `rows` over `columns` (default: every column any row sets)
+  #insertSQL(
+    table,
+    rows,
+    columns = [...new Set(rows.flatMap(row => Object.keys(row)))]
+  ) {
+    if (!columns.length) {
+      return {
+        sql: `INSERT INTO ${this.quoteIdentifier(table)} DEFAULT VALUES`,
+        params: [],
+      };
+    }
+
+    const params = [];
+    const values = rows
+      .map(
+        row =>
+          `(${columns
+            .map(column => this.bind(params, row[column]))
+            .join(", ")})`
+      )
+      .join(", ");
+
+    return {
+      sql:
+        `INSERT INTO ${this.quoteIdentifier(table)}` +
+        ` (${columns.map(c => this.quoteIdentifier(c)).join(", ")})` +
+        ` VALUES ${values}`,
+      params,
+    };
+  }
+
+  // Runs `run(batch)` for each batch of rows and concatenates the results.
+  // Several statements run all or nothing: in a transaction of their own, or
+  // under a savepoint of the caller's.
+  async #atomically(options, batches, run) {
+    const runAll = async () => {
+      const results = [];
+      for (const batch of batches) results.push(...(await run(batch)));
+      return results;
+    };
+    if (batches.length === 1) return runAll();
+
+    const inTransaction = () => this.transaction(runAll);
+    return options.transaction
+      ? this.withTransaction(options.transaction, inTransaction)
+      : inTransaction();
+  }
+
+  #aggregateSQL({ fn, field }) {
+    const column =
+      fn === "$count" && (field === "*" || field === true)
+        ? "*"
+        : this.quoteIdentifier(field);
+    return `${fn.slice(1).toUpperCase()}(${column})`;
+  }
+
+  #columnList(columns) {
+    if (columns === undefined || columns === null) return null;
+    return Array.isArray(columns) ? columns : [columns];
+  }
+
+  #setClause(data, params) {
+    return Object.entries(data)
+      .map(
+        ([column, value]) =>
+          `${this.quoteIdentifier(column)} = ${this.bind(params, value)}`
+      )
+      .join(", ");
+  }
+
+  #bindRaw(sql, params, bindings) {
+    if (bindings === undefined || bindings === null) return sql;
+
+    let position = 0;
+
+    // Skip quoted literals and "::" casts; replace ? and :name markers.
+    return sql.replace(
+      /('(?:[^']|'')*'|"(?:[^"]|"")*"|`[^`]*`|::)|\?|:([A-Za-z_]\w*)/g,
+      (match, literal, name) => {
+        if (literal) return literal;
+
+        if (name !== undefined) {
+          if (Array.isArray(bindings) || !(name in bindings)) {
+            throw new Error(`Missing value for named parameter ":${name}".`);
+          }
+          return this.bind(params, bindings[name]);
+        }
+
+        if (!Array.isArray(bindings) || position >= bindings.length) {
+          throw new Error("Not enough values for positional parameters.");
+        }
+        return this.bind(params, bindings[position++]);
+      }
+    );
+  }
+
+  // columnSQL renders a field name; HAVING uses it to inline aggregates
+  #compileCondition(
+    where,
+    params,
+    bindings,
+    columnSQL = column => this.quoteIdentifier(column)
+  ) {
+    if (typeof where === "string") {
+      return `(${this.#bindRaw(where, params, bindings)})`;
+    }
+
+    if (where instanceof RawCondition) {
+      return `(${this.#bindRaw(where.sql, params, where.params)})`;
+    }
+
+    if (Array.isArray(where)) {
+      return this.#joinConditions(
+        where.map(w => this.#compileCondition(w, params, bindings, columnSQL)),
+        "AND"
+      );
+    }
+
+    if (!where || typeof where !== "object") {
+      throw new Error("whereClause must be a string, object or array.");
+    }
+
+    const parts = Object.entries(where).map(([key, value]) => {
+      switch (key) {
+        case "$and":
+        case "$or":
+          return this.#joinConditions(
+            []
+              .concat(value)
+              .map(w => this.#compileCondition(w, params, bindings, columnSQL)),
+            key === "$and" ? "AND" : "OR"
+          );
+        case "$not":
+          return `NOT (${
+            this.#compileCondition(value, params, bindings, columnSQL) ||
+            "1 = 1"
+          })`;
+        default:
+          return this.#compileField(key, value, params, columnSQL(key));
+      }
+    });
+
+    return this.#joinConditions(parts, "AND");
+  }
+
+  #compileField(column, value, params, col = this.quoteIdentifier(column)) {
+    if (value === null || value === undefined) return `${col} IS NULL`;
+    if (Array.isArray(value)) return this.#compileIn(col, value, params, false);
+    if (!isPlainObject(value)) return `${col} = ${this.bind(params, value)}`;
+
+    const parts = Object.entries(value).map(([op, operand]) => {
+      switch (op) {
+        case "$in":
+          return this.#compileIn(col, operand, params, false);
+        case "$nin":
+          return this.#compileIn(col, operand, params, true);
+        case "$exists":
+          return `${col} IS ${operand ? "NOT NULL" : "NULL"}`;
+        case "$eq":
+        case "$ne":
+          if (operand === null) {
+            return `${col} IS ${op === "$ne" ? "NOT NULL" : "NULL"}`;
+          }
+        // falls through
+        default:
+          if (!COMPARISONS[op]) {
+            throw new Error(
+              `Unsupported where operator "${op}" on "${column}".`
+            );
+          }
+          return `${col} ${COMPARISONS[op]} ${this.bind(params, operand)}`;
+      }
+    });
+
+    return this.#joinConditions(parts, "AND");
+  }
+
+  #compileIn(col, values, params, negate) {
+    if (!Array.isArray(values)) {
+      throw new Error(`IN conditions on ${col} require an array.`);
+    }
+    if (!values.length) return negate ? "1 = 1" : "1 = 0";
+
+    const list = values.map(v => this.bind(params, v)).join(", ");
+    return `${col} ${negate ? "NOT IN" : "IN"} (${list})`;
   }
 
-  async commitTransaction(trx) {
-    await trx.commit();
+  #joinConditions(parts, glue) {
+    const present = parts.filter(Boolean);
+    if (!present.length) return glue === "OR" ? "1 = 0" : "";
+    if (present.length === 1) return present[0];
+    return `(${present.join(` ${glue} `)})`;
   }
 
-  async rollbackTransaction(trx) {
-    await trx.rollback();
+  #isEmptyWhere(whereClause) {
+    if (!whereClause) return true;
+    if (typeof whereClause === "string") return !whereClause.trim();
+    return typeof whereClause === "object" && !Object.keys(whereClause).length;
   }
 }
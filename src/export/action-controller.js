@@ -228,6 +228,84 @@ export default class ActionController extends Abstract {
     return this.request.body?.[name];
   }
 
+  // ============================================================================
+  // PAGINATION
+  // ============================================================================
+
+  /**
+   * Paginates a model or Query from the request's query string and emits an
+   * RFC 8288 Link header.
+   *
+   * - `?cursor=...` (or options.mode = "cursor") → keyset pagination
+   * - otherwise `?page=N` → offset pagination
+   * - `?per_page=N` sets the page size, capped at options.maxPerPage
+   *
+   * @param {ActiveRecord|TableDataGateway|Query} source
+   * @param {object} [options]
+   * @param {object|string} [options.where] - Conditions (models only).
+   * @param {string|Array|object} [options.orderBy]
+   * @param {number} [options.perPage=25]
+   * @param {number} [options.maxPerPage=100]
+   * @param {"page"|"cursor"} [options.mode]
+   * @returns {Promise<object>} The paginate() or cursorPaginate() result.
+   */
+  async paginate(source, options = {}) {
+    const { where = {}, orderBy, perPage = 25, maxPerPage = 100 } = options;
+
+    const requested = parseInt(this.query("per_page"), 10);
+    const size = Math.min(
+      Math.max(Number.isInteger(requested) ? requested : perPage, 1),
+      maxPerPage
+    );
+
+    const cursor = this.query("cursor");
+    const isQuery = typeof source.build === "function";
+
+    if (cursor !== undefined || options.mode === "cursor") {
+      const params = { after: cursor || null, limit: size, orderBy };
+      const result = isQuery
+        ? await source.cursorPaginate(params)
+        : await source.cursorPaginate(where, params);
+
+      this.#setLinkHeader({
+        next: result.nextCursor && { cursor: result.nextCursor },
+        prev: result.prevCursor && { cursor: result.prevCursor },
+      });
+      return result;
+    }
+
+    const page = Math.max(parseInt(this.query("page"), 10) || 1, 1);
+    const result = isQuery
+      ? await source.paginate({ page, perPage: size })
+      : await source.paginate(where, { page, perPage: size, orderBy });
+
+    this.#setLinkHeader({
+      first: { page: 1 },
+      prev: result.hasPrev && { page: page - 1 },
+      next: result.hasNext && { page: page + 1 },
+      last: result.pages > 0 && { page: result.pages },
+    });
+    return result;
+  }
+
+  #setLinkHeader(relations) {
+    const links = Object.entries(relations)
+      .filter(([, params]) => params)
+      .map(([rel, params]) => {
+        const url = new URL(this.request.originalUrl, "http://localhost");
+        url.searchParams.delete("page");
+        url.searchParams.delete("cursor");
+        for (const [key, value] of Object.entries(params)) {
+          url.searchParams.set(key, value);
+        }
+        return `<${url.pathname}${url.search}>; rel="${rel}"`;
+      });
+
+    if (links.length) {
+      this.response.set("Link", links.join(", "));
+    }
+  }
+
   // ============================================================================
   // INTERNAL 404
   // ============================================================================
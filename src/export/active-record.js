@@ -10,69 +10,197 @@ export default class ActiveRecord extends AbstractModel {
   // ------------------------------------------------------------
   // RECORD HELPERS
   // ------------------------------------------------------------
+  // Hooks run in order: beforeValidate, (validation), beforeSave,
+  // beforeCreate | beforeUpdate, (write), afterCreate | afterUpdate, afterSave.
+  // Updates write only the changed fields and are skipped when nothing changed.
   async save(options = {}) {
-    if (!this._data.id) {
-      return this.insertOne(this._data, options).then(result => {
-        this._setData(result);
-        return this;
-      });
-    }
+    const creating = !this.isPersisted();
+    const method = creating ? "insertOne" : "updateOne";
+    const stage = creating ? "Create" : "Update";
 
-    return this.updateOne(this._data, options).then(result => {
-      this._setData(result);
+    if (!creating && !this.isDirty()) {
       return this;
-    });
+    }
+
+    await this._runHook("beforeValidate", options);
+    if (creating) this._data = this._withGeneratedKey(this._data);
+
+    // Validation normalizes every field (coercion, defaults, dropped nulls),
+    // so the fields to write are the ones changed before it, plus any the
+    // hooks after it change
+    const assigned = Object.keys(this.changes());
+    this._data = this._validate(method, this._data, options);
+    const validated = { ...this._data };
+
+    await this._runHook("beforeSave", options);
+    await this._runHook(`before${stage}`, options);
+
+    const data = creating ? this._data : this.#changedData(assigned, validated);
+    const result = await this._driver[method](
+      this._tableName,
+      this._toDriver(data),
+      this._keyOptions(
+        creating ? options : this._versionOptions(this._original, options)
+      )
+    );
+    this._setData({ ...this._data, ...this._fromDriver(result) });
+
+    await this._runHook(`after${stage}`, options);
+    await this._runHook("afterSave", options);
+    return this;
+  }
+
+  // True once the record has been loaded from or written to the database
+  isPersisted() {
+    const id = this._original[this.primaryKey];
+    return id !== undefined && id !== null;
+  }
+
+  // A field cleared before validation is written as null
+  #changedData(assigned, validated) {
+    const data = { [this.primaryKey]: this._original[this.primaryKey] };
+    for (const field of assigned) {
+      data[field] = this._data[field] ?? null;
+    }
+    for (const [field, value] of Object.entries(this._data)) {
+      if (value !== validated[field]) data[field] = value;
+    }
+    return data;
   }
 
+  // With soft deletes enabled this only sets the deletedAt timestamp;
+  // forceDelete() removes the row.
   async delete(options = {}) {
-    if (!this._data.id) {
+    if (!this.isPersisted()) {
       throw new Error("Cannot delete record without an ID.");
     }
 
-    return this._driver.deleteOne(
-      this._tableName,
-      { id: this._data.id },
+    await this._runHook("beforeDelete", options);
+
+    let result;
+    if (this.softDeleteField && !options.force) {
+      result = { deletedCount: await this.#writeTrashed(new Date(), options) };
+    } else {
+      result = await this.deleteOne(this._original[this.primaryKey], {
+        ...options,
+        force: true,
+      });
+    }
+
+    await this._runHook("afterDelete", options);
+    return result;
+  }
+
+  async forceDelete(options = {}) {
+    return this.delete({ ...options, force: true });
+  }
+
+  async restore(options = {}) {
+    if (!this.softDeleteField) {
+      throw new Error(`${this.name} does not use soft deletes.`);
+    }
+    await this.#writeTrashed(null, options);
+    return this;
+  }
+
+  isTrashed() {
+    const field = this.softDeleteField;
+    return !!field && this._original[field] != null;
+  }
+
+  // Soft-deletes (a Date) or restores (null) this record's row; returns 0
+  // when the row was already in that state or is gone
+  async #writeTrashed(value, options) {
+    const field = this.softDeleteField;
+    const count = await this._setTrashed(
+      { [this.primaryKey]: this._original[this.primaryKey] },
+      value,
       options
     );
+
+    if (count) {
+      // Other unsaved changes stay dirty
+      this._data[field] = value;
+      this._original = { ...this._original, [field]: value };
+    }
+    return count;
   }
 
   // ------------------------------------------------------------
   // CRUD OPERATIONS (correct driver API)
   // ------------------------------------------------------------
   async insertOne(record, options = {}) {
-    return this._handleValidationAndExecute("insertOne", record, valid =>
-      this._driver.insertOne(this._tableName, valid, options)
+    return this._handleValidationAndExecute(
+      "insertOne",
+      this._withGeneratedKey(record),
+      valid =>
+        this._driver
+          .insertOne(
+            this._tableName,
+            this._toDriver(valid),
+            this._keyOptions(options)
+          )
+          .then(result => this._fromDriver(result))
     );
   }
 
   async insertMany(records = [], options = {}) {
     const validated = [];
     for (const r of records) {
-      const res = this._schema.validate(this._tableName, r, options);
+      const res = this._schema.validate(
+        this._tableName,
+        this._withGeneratedKey(r),
+        options
+      );
       if (!res.valid)
         throw new ValidationError(this.name, "insertMany", res.errors);
-      validated.push(res.value);
+      validated.push(this._toDriver(res.value));
     }
-    return this._driver.insertMany(this._tableName, validated, options);
+    return this._fromDriver(
+      await this._driver.insertMany(
+        this._tableName,
+        validated,
+        this._keyOptions(options)
+      )
+    );
   }
 
   async updateOne(record, options = {}) {
-    if (!record?.id) throw new Error("updateOne requires data with an ID.");
+    if (record?.[this.primaryKey] == null) {
+      throw new Error("updateOne requires data with an ID.");
+    }
 
     return this._handleValidationAndExecute("updateOne", record, valid =>
-      this._driver.updateOne(this._tableName, valid, options)
+      this._driver
+        .updateOne(
+          this._tableName,
+          this._toDriver(valid),
+          this._keyOptions(this._versionOptions(record, options))
+        )
+        .then(result => this._fromDriver(result))
     );
   }
 
   async updateMany(where, record, options = {}) {
     return this._handleValidationAndExecute("updateMany", record, valid =>
-      this._driver.updateMany(this._tableName, valid, where)
+      this._driver.updateMany(
+        this._tableName,
+        this._toDriver(valid),
+        this._driverWhere(where, options),
+        this._keyOptions(options)
+      )
     );
   }
 
   async upsert(record, options = {}) {
     return this._handleValidationAndExecute("upsert", record, valid =>
-      this._driver.upsert(this._tableName, valid, options)
+      this._driver
+        .upsert(
+          this._tableName,
+          this._toDriver(valid),
+          this._keyOptions(this._upsertOptions(valid, options))
+        )
+        .then(result => this._fromDriver(result))
     );
   }
 
@@ -84,36 +212,82 @@ export default class ActiveRecord extends AbstractModel {
         throw new ValidationError(this.name, "upsertMany", res.errors);
       validated.push(res.value);
     }
-    return this._driver.upsertMany(this._tableName, validated, options);
+    return this._fromDriver(await this._upsertRecords(validated, options));
   }
 
+  // Soft-deletes when the schema enables it (see forceDelete())
   async deleteOne(idOrWhere, options = {}) {
-    const where = typeof idOrWhere === "object" ? idOrWhere : { id: idOrWhere };
-    return this._driver.deleteOne(this._tableName, where, options);
+    return this._delete(this._whereFor(idOrWhere), false, options);
   }
 
   async deleteMany(where, options = {}) {
-    return this._driver.deleteMany(this._tableName, where, options);
+    return this._delete(where, true, options);
   }
 
+  // A lookup by key is scoped like any other read: default scopes (unless
+  // options.withoutDefaultScopes), options.scopes and soft deletes apply
   async findById(id, options = {}) {
-    return this._driver.findById(this._tableName, id, options);
+    const [record = null] = await this.findMany(this._whereFor(id), {
+      ...options,
+      limit: 1,
+    });
+    return record;
   }
 
   async findMany(where = {}, options = {}) {
-    return this._driver.findMany(this._tableName, where, options);
+    return this._fromDriver(
+      await this._driver.findMany(
+        this._tableName,
+        this._driverWhere(where, options),
+        this._keyOptions(options)
+      )
+    );
+  }
+
+  async paginate(where = {}, options = {}) {
+    const result = await this._driver.paginate(
+      this._tableName,
+      this._driverWhere(where, options),
+      this._keyOptions(options)
+    );
+    return { ...result, items: this._fromDriver(result.items) };
+  }
+
+  async cursorPaginate(where = {}, options = {}) {
+    const result = await this._driver.cursorPaginate(
+      this._tableName,
+      this._driverWhere(where, options),
+      this._keyOptions(options)
+    );
+    return { ...result, items: this._fromDriver(result.items) };
   }
 
   async count(where = {}, options = {}) {
-    return this._driver.count(this._tableName, where, options);
+    return this._driver.count(
+      this._tableName,
+      this._driverWhere(where, options),
+      options
+    );
   }
 
   async exists(where = {}, options = {}) {
-    return this._driver.exists(this._tableName, where, options);
+    return this._driver.exists(
+      this._tableName,
+      this._driverWhere(where, options),
+      options
+    );
   }
 
-  async aggregate(pipeline = [], options = {}) {
-    return this._driver.aggregate(this._tableName, pipeline, options);
+  // Scopes and soft deletes narrow the aggregated rows like any other read.
+  // A raw array pipeline (MongoDB only) is passed through as is.
+  async aggregate(spec = {}, options = {}) {
+    return this._driver.aggregate(
+      this._tableName,
+      Array.isArray(spec)
+        ? spec
+        : { ...spec, where: this._driverWhere(spec.where ?? {}, options) },
+      options
+    );
   }
 
   async query(rawQuery, options = {}) {
@@ -127,15 +301,17 @@ export default class ActiveRecord extends AbstractModel {
     return this._driver.transaction(callback);
   }
 
+  // Manual transactions: pass the returned handle as `options.transaction`
+  // to the calls that should join it, then to commit or roll back
   async startTransaction() {
     return this._driver.startTransaction();
   }
 
-  async commitTransaction() {
-    return this._driver.commitTransaction();
+  async commitTransaction(tx) {
+    return this._driver.commitTransaction(tx);
   }
 
-  async rollbackTransaction() {
-    return this._driver.rollbackTransaction();
+  async rollbackTransaction(tx) {
+    return this._driver.rollbackTransaction(tx);
   }
 }
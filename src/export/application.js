@@ -3,16 +3,20 @@
 import System from "./system.js";
 import initExpress from "../utility/init-express.js";
 import ConfigLoader from "../loader/config-loader.js";
+import ConnectionManager from "../database/connection-manager.js";
 import ControllerLoader from "../loader/controller-loader.js";
 import DriverLoader from "../loader/driver-loader.js";
 import MiddlewareLoader from "../loader/middleware-loader.js";
 import ModelLoader from "../loader/model-loader.js";
+import tenantMiddleware from "../middlewares/000-tenant-middleware.js";
+import tenantDatabaseMiddleware from "../middlewares/004-tenant-database-middleware.js";
 import system from "./system.js";
 
 export default class Application {
   constructor() {
     this.config = null; // Loaded from config.toml.secret
     this.tenants = []; // Tenant definitions from config
+    this.connections = null; // One database driver per tenant, opened on demand
     this.controllers = []; // Loaded controllers (path + router)
     this.app = null; // Final Express instance
     this.models = []; // Loaded model classes, shared for all tenants
@@ -34,6 +38,7 @@ export default class Application {
     // 1️⃣ Load project config
     this.config = await this.#loadConfig();
     this.tenants = this.config.tenants || [];
+    this.connections = new ConnectionManager(this.tenants);
 
     // 2️⃣ Auto-discover database drivers (framework → app)
     await this.#loadDatabaseDrivers();
@@ -48,8 +53,9 @@ export default class Application {
     // 4️⃣ Auto-discover middlewares (framework → app)
     const autoMiddlewares = await this.#loadMiddlewares();
 
-    // 5️⃣ Merge config middlewares
+    // 5️⃣ Merge config middlewares, after the tenant ones
     const allMiddlewares = [
+      ...this.#tenantMiddlewares(),
       ...autoMiddlewares,
       ...(this.config.middlewares || []),
     ];
@@ -65,6 +71,19 @@ export default class Application {
     }
   }
 
+  /**
+   * Resolves req.tenant from the host name, then binds req.db and req.models
+   * to that tenant's database. Both take arguments, so they are mounted here
+   * rather than auto-discovered; without tenants there is nothing to mount.
+   */
+  #tenantMiddlewares() {
+    if (!this.tenants.length) return [];
+    return [
+      tenantMiddleware(this.tenants),
+      tenantDatabaseMiddleware(this.connections),
+    ];
+  }
+
   /**
    * Auto-discovers DB drivers via DriverLoader
    */
@@ -89,6 +108,13 @@ export default class Application {
     return loader.load();
   }
 
+  /**
+   * Closes every tenant's database connection.
+   */
+  async stop() {
+    await this.connections?.closeAll();
+  }
+
   start() {
     const port = System.config.server.getInteger("http_port", 3000);
     this.app.listen(port, () => {
@@ -91,43 +91,42 @@ export default class DomainService {
 
   /**
    * Begins a database transaction using the underlying DAO.
-   * @returns {Promise<void>}
+   * Pass the returned handle to commitTransaction()/rollbackTransaction(),
+   * and as `options.transaction` to the model calls that should join it.
+   * @returns {Promise<object>} The transaction handle.
    */
   async startTransaction() {
-    await this.driver.startTransaction();
+    return this.driver.startTransaction();
   }
 
   /**
-   * Commits the current database transaction.
+   * Commits a transaction started with startTransaction().
+   * @param {object} tx - The transaction handle.
    * @returns {Promise<void>}
    */
-  async commitTransaction() {
-    await this.driver.commitTransaction();
+  async commitTransaction(tx) {
+    await this.driver.commitTransaction(tx);
   }
 
   /**
-   * Rolls back the current database transaction.
+   * Rolls back a transaction started with startTransaction().
+   * @param {object} tx - The transaction handle.
    * @returns {Promise<void>}
    */
-  async rollbackTransaction() {
-    await this.driver.rollbackTransaction();
+  async rollbackTransaction(tx) {
+    await this.driver.rollbackTransaction(tx);
   }
 
   /**
    * Executes a function within a managed transaction.
-   * Automatically commits or rolls back on success/failure.
-   * @param {Function} callback - Async operation to execute within a transaction.
+   * Automatically commits or rolls back on success/failure. Model calls made
+   * from the callback join the transaction without passing it around, even
+   * when other requests run their own transactions concurrently. Nested
+   * calls run under a savepoint.
+   * @param {Function} callback - Async operation, receives the transaction handle.
    * @returns {Promise<*>} The return value of the callback.
    */
   async transaction(callback) {
-    await this.driver.startTransaction();
-    try {
-      const result = await callback();
-      await this.driver.commitTransaction();
-      return result;
-    } catch (err) {
-      await this.driver.rollbackTransaction();
-      throw err;
-    }
+    return this.driver.transaction(callback);
   }
 }
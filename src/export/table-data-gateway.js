@@ -10,24 +10,70 @@ export default class TableDataGateway extends AbstractModel {
   // ------------------------------------------------------------
   // QUERIES
   // ------------------------------------------------------------
+  // A lookup by key is scoped like any other read: default scopes (unless
+  // options.withoutDefaultScopes), options.scopes and soft deletes apply
   async findById(id, options = {}) {
-    return this._driver.findById(this._tableName, id, options);
+    const [record = null] = await this.findMany(this._whereFor(id), {
+      ...options,
+      limit: 1,
+    });
+    return record;
   }
 
   async findMany(where = {}, options = {}) {
-    return this._driver.findMany(this._tableName, where, options);
+    return this._fromDriver(
+      await this._driver.findMany(
+        this._tableName,
+        this._driverWhere(where, options),
+        this._keyOptions(options)
+      )
+    );
+  }
+
+  async paginate(where = {}, options = {}) {
+    const result = await this._driver.paginate(
+      this._tableName,
+      this._driverWhere(where, options),
+      this._keyOptions(options)
+    );
+    return { ...result, items: this._fromDriver(result.items) };
+  }
+
+  async cursorPaginate(where = {}, options = {}) {
+    const result = await this._driver.cursorPaginate(
+      this._tableName,
+      this._driverWhere(where, options),
+      this._keyOptions(options)
+    );
+    return { ...result, items: this._fromDriver(result.items) };
   }
 
   async count(where = {}, options = {}) {
-    return this._driver.count(this._tableName, where, options);
+    return this._driver.count(
+      this._tableName,
+      this._driverWhere(where, options),
+      options
+    );
   }
 
   async exists(where = {}, options = {}) {
-    return this._driver.exists(this._tableName, where, options);
+    return this._driver.exists(
+      this._tableName,
+      this._driverWhere(where, options),
+      options
+    );
   }
 
-  async aggregate(pipeline = [], options = {}) {
-    return this._driver.aggregate(this._tableName, pipeline, options);
+  // Scopes and soft deletes narrow the aggregated rows like any other read.
+  // A raw array pipeline (MongoDB only) is passed through as is.
+  async aggregate(spec = {}, options = {}) {
+    return this._driver.aggregate(
+      this._tableName,
+      Array.isArray(spec)
+        ? spec
+        : { ...spec, where: this._driverWhere(spec.where ?? {}, options) },
+      options
+    );
   }
 
   async query(rawQuery, options = {}) {
@@ -38,25 +84,50 @@ export default class TableDataGateway extends AbstractModel {
   // INSERT / UPSERT
   // ------------------------------------------------------------
   async insertOne(record, options = {}) {
-    return this._handleValidationAndExecute("insertOne", record, valid =>
-      this._driver.insertOne(this._tableName, valid, options)
+    return this._handleValidationAndExecute(
+      "insertOne",
+      this._withGeneratedKey(record),
+      valid =>
+        this._driver
+          .insertOne(
+            this._tableName,
+            this._toDriver(valid),
+            this._keyOptions(options)
+          )
+          .then(result => this._fromDriver(result))
     );
   }
 
   async insertMany(records = [], options = {}) {
     const validated = [];
     for (const r of records) {
-      const res = this._schema.validate(this._tableName, r, options);
+      const res = this._schema.validate(
+        this._tableName,
+        this._withGeneratedKey(r),
+        options
+      );
       if (!res.valid)
         throw new ValidationError(this.name, "insertMany", res.errors);
-      validated.push(res.value);
+      validated.push(this._toDriver(res.value));
     }
-    return this._driver.insertMany(this._tableName, validated, options);
+    return this._fromDriver(
+      await this._driver.insertMany(
+        this._tableName,
+        validated,
+        this._keyOptions(options)
+      )
+    );
   }
 
   async upsert(record, options = {}) {
     return this._handleValidationAndExecute("upsert", record, valid =>
-      this._driver.upsert(this._tableName, valid, options)
+      this._driver
+        .upsert(
+          this._tableName,
+          this._toDriver(valid),
+          this._keyOptions(this._upsertOptions(valid, options))
+        )
+        .then(result => this._fromDriver(result))
     );
   }
 
@@ -68,37 +139,78 @@ export default class TableDataGateway extends AbstractModel {
         throw new ValidationError(this.name, "upsertMany", res.errors);
       validated.push(res.value);
     }
-    return this._driver.upsertMany(this._tableName, validated, options);
+    return this._fromDriver(await this._upsertRecords(validated, options));
   }
 
   // ------------------------------------------------------------
   // UPDATE
   // ------------------------------------------------------------
   async updateOne(record, options = {}) {
-    if (!record?.id) throw new Error("updateOne requires data with an ID.");
+    if (record?.[this.primaryKey] == null) {
+      throw new Error("updateOne requires data with an ID.");
+    }
 
     return this._handleValidationAndExecute("updateOne", record, valid =>
-      this._driver.updateOne(this._tableName, valid, options)
+      this._driver
+        .updateOne(
+          this._tableName,
+          this._toDriver(valid),
+          this._keyOptions(this._versionOptions(record, options))
+        )
+        .then(result => this._fromDriver(result))
     );
   }
 
   async updateMany(where, record, options = {}) {
     return this._handleValidationAndExecute("updateMany", record, valid =>
-      this._driver.updateMany(this._tableName, valid, where)
+      this._driver.updateMany(
+        this._tableName,
+        this._toDriver(valid),
+        this._driverWhere(where, options),
+        this._keyOptions(options)
+      )
     );
   }
 
   // ------------------------------------------------------------
   // DELETE
   // ------------------------------------------------------------
+  // Soft-deletes when the schema enables it (see forceDelete())
   async deleteOne(idOrWhere, options = {}) {
-    const where = typeof idOrWhere === "object" ? idOrWhere : { id: idOrWhere };
-
-    return this._driver.deleteOne(this._tableName, where, options);
+    return this._delete(this._whereFor(idOrWhere), false, options);
   }
 
   async deleteMany(where, options = {}) {
-    return this._driver.deleteMany(this._tableName, where, options);
+    return this._delete(where, true, options);
+  }
+
+  /**
+   * Permanently removes a row by key, or every row matching a where clause,
+   * including soft-deleted ones.
+   */
+  async forceDelete(idOrWhere, options = {}) {
+    return this._delete(
+      this._whereFor(idOrWhere),
+      typeof idOrWhere === "object",
+      { ...options, force: true }
+    );
+  }
+
+  /**
+   * Clears the soft-delete timestamp on a row by key or on matching rows.
+   * @returns {Promise<{ restoredCount: number }>}
+   */
+  async restore(idOrWhere, options = {}) {
+    if (!this.softDeleteField) {
+      throw new Error(`${this.name} does not use soft deletes.`);
+    }
+    return {
+      restoredCount: await this._setTrashed(
+        this._whereFor(idOrWhere),
+        null,
+        options
+      ),
+    };
   }
 
   // ------------------------------------------------------------
@@ -108,15 +220,17 @@ export default class TableDataGateway extends AbstractModel {
     return this._driver.transaction(callback);
   }
 
+  // Manual transactions: pass the returned handle as `options.transaction`
+  // to the calls that should join it, then to commit or roll back
   async startTransaction() {
     return this._driver.startTransaction();
   }
 
-  async commitTransaction() {
-    return this._driver.commitTransaction();
+  async commitTransaction(tx) {
+    return this._driver.commitTransaction(tx);
   }
 
-  async rollbackTransaction() {
-    return this._driver.rollbackTransaction();
+  async rollbackTransaction(tx) {
+    return this._driver.rollbackTransaction(tx);
   }
 }
@@ -23,6 +23,10 @@ const appRoot = process.cwd();
  *
  * Middleware filenames can use 3-digit prefixes to enforce order:
  *  e.g., 001-auth-middleware.js, 010-logger-middleware.js
+ *
+ * A module whose default export builds the middleware from arguments
+ * (a factory) opts out with `export const autoload = false` and is mounted
+ * by hand instead.
  */
 export default class MiddlewareLoader {
   constructor() {
@@ -90,6 +94,7 @@ export default class MiddlewareLoader {
         );
         return;
       }
+      if (mod.autoload === false) return;
 
       // Extract optional 3-digit prefix for ordering
       const match = path.basename(fullPath).match(/^(\d{3})-/);
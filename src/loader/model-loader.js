@@ -5,6 +5,7 @@
 import fs from "fs";
 import path from "path";
 import { fileURLToPath, pathToFileURL as nodePathToFileURL } from "url";
+import ModelRegistry from "../database/model-registry.js";
 
 /**
  * Resolve framework root (root of the MVC package)
@@ -115,6 +116,9 @@ export default class ModelLoader {
         origin: isFramework ? "framework" : "app",
       });
 
+      // Lets associations refer to models by name
+      ModelRegistry.add(name, ModelClass);
+
       this.loadedModels.push({
         name,
         file: fullPath,
@@ -1,5 +1,8 @@
 // tenant-middleware.js
 
+// A factory, mounted by Application rather than the MiddlewareLoader
+export const autoload = false;
+
 export default function tenantMiddleware(tenants = []) {
   return (req, res, next) => {
     const host = req.hostname.toLowerCase();
@@ -0,0 +1,23 @@
+// request-context-middleware.js
+
+import {
+  runInRequestContext,
+  requestContext,
+} from "../database/request-context.js";
+
+// Gives each request its own database request context (see request-context.js)
+// and logs how many queries it made
+export default function requestContextMiddleware(req, res, next) {
+  runInRequestContext(
+    () => {
+      const context = requestContext();
+      res.on("finish", () => {
+        system.log.debug(
+          `${req.method} ${req.originalUrl}: ${context.queries} queries`
+        );
+      });
+      next();
+    },
+    { tenant: req.tenant?.name ?? null }
+  );
+}
@@ -0,0 +1,39 @@
+// tenant-database-middleware.js
+
+import ModelRegistry from "../database/model-registry.js";
+
+// A factory, mounted by Application after the tenant middleware
+export const autoload = false;
+
+// Binds each request to its tenant's database (see ConnectionManager):
+// req.db is the tenant's driver and req.models.<ModelName> a model on it
+export default function tenantDatabaseMiddleware(connections) {
+  return async (req, res, next) => {
+    if (!req.tenant) return next();
+
+    try {
+      req.db = await connections.driverFor(req.tenant);
+      req.models = modelsOn(req.db);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+// Models are created on first access, so a request pays only for those it
+// uses. Models without a schema cannot be created, so they are left out.
+function modelsOn(driver) {
+  const models = {};
+  for (const name of ModelRegistry.list()) {
+    const Model = ModelRegistry.get(name);
+    if (!Model.schema()) continue;
+
+    let model = null;
+    Object.defineProperty(models, name, {
+      enumerable: true,
+      get: () => (model ??= Model.create(driver)),
+    });
+  }
+  return models;
+}
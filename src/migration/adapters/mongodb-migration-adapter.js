@@ -2,7 +2,7 @@
 
 "use strict";
 
-import BaseMigrationAdapter from "../../core/base/base-migration-adapter.js";
+import BaseMigrationAdapter from "../base-migration-adapter.js";
 import { MongoClient } from "mongodb";
 
 export default class MigrationAdapterMongoDB extends BaseMigrationAdapter {
@@ -56,48 +56,57 @@ export default class MigrationAdapterMongoDB extends BaseMigrationAdapter {
     await this.migrationsCollection.deleteOne({ id });
   }
 
-  async executeOperation(operation) {
+  async createTable(table, columns, indexes) {
     await this._connect();
-    const { tableName, columns, indexes } = operation.params;
 
     // Create collection if not exists
     const collections = await this.db
-      .listCollections({ name: tableName })
+      .listCollections({ name: table })
       .toArray();
     if (collections.length === 0) {
-      await this.db.createCollection(tableName);
+      await this.db.createCollection(table);
     }
 
-    // Create indexes
-    for (const idx of indexes) {
-      const indexSpec = {};
-      for (const col of idx.columns) {
-        indexSpec[col.name] = col.order === "DESC" ? -1 : 1;
-      }
-      await this.db
-        .collection(tableName)
-        .createIndex(indexSpec, { unique: idx.unique || false });
-    }
+    for (const index of indexes) await this.createIndex(table, index);
+  }
 
-    // MongoDB is schemaless; columns do not need to be created
+  async dropTable(table) {
+    await this._connect();
+    const collections = await this.db
+      .listCollections({ name: table })
+      .toArray();
+    if (collections.length > 0) await this.db.collection(table).drop();
   }
 
-  async revertOperation(operation) {
+  async createIndex(table, index) {
     await this._connect();
-    const { tableName, indexes } = operation.params;
-
-    // Drop indexes created by this operation
-    for (const idx of indexes) {
-      try {
-        await this.db.collection(tableName).dropIndex(idx.name);
-      } catch (err) {
-        // Index might not exist; ignore
-      }
+    const indexSpec = {};
+    for (const col of index.columns) {
+      indexSpec[col.name] = col.order === "DESC" ? -1 : 1;
     }
+    await this.db
+      .collection(table)
+      .createIndex(indexSpec, { name: index.name, unique: index.unique });
+  }
 
-    // MongoDB is schemaless; columns do not need to be dropped
+  async dropIndex(table, index) {
+    await this._connect();
+    try {
+      await this.db.collection(table).dropIndex(index.name);
+    } catch (err) {
+      // Index might not exist; ignore
+      if (err.codeName !== "IndexNotFound" && err.code !== 27) throw err;
+    }
   }
 
+  // MongoDB is schemaless; columns do not need to be created, dropped or
+  // altered
+  async addColumn(table, column) {}
+
+  async dropColumn(table, name) {}
+
+  async alterColumn(table, column) {}
+
   async close() {
     if (this.client) {
       await this.client.close();
@@ -1,10 +1,10 @@
 // migrationAdapterMySQL.js
 "use strict";
 
-import BaseMigrationAdapter from "../../core/base/base-migration-adapter.js";
+import SQLMigrationAdapter from "../sql-migration-adapter.js";
 import mysql from "mysql2/promise";
 
-export default class MySQLMigrationAdapter extends BaseMigrationAdapter {
+export default class MySQLMigrationAdapter extends SQLMigrationAdapter {
   /**
    * @param {Object} config - MySQL connection config (host, user, password, database)
    */
@@ -50,55 +50,53 @@ export default class MySQLMigrationAdapter extends BaseMigrationAdapter {
     await this.connection.execute("DELETE FROM _migrations WHERE id = ?", [id]);
   }
 
-  async executeOperation(operation) {
+  async run(sql) {
     await this._connect();
-    const { tableName, columns, indexes } = operation.params;
+    await this.connection.query(sql);
+  }
 
-    // Build CREATE TABLE
-    const columnDefs = columns.map(col => {
-      let sql = `\`${col.name}\` ${col.type.toUpperCase()}`;
-      if (col.length) sql += `(${col.length})`;
-      if (col.required || col.primary) sql += " NOT NULL"; // primary implies required
-      if (col.primary) sql += " PRIMARY KEY";
-      if (col.autoIncrement) sql += " AUTO_INCREMENT";
-      if (col.unique && !col.primary) sql += " UNIQUE";
-      if (col.default != null) sql += ` DEFAULT '${col.default}'`;
-      return sql;
-    });
+  // MySQL has no CREATE INDEX IF NOT EXISTS, and names the table to drop
+  // an index from
+  async createIndex(table, index) {
+    const columns = index.columns.map(
+      c => `${this.quote(c.name)}${c.order === "DESC" ? " DESC" : ""}`
+    );
+    await this.run(
+      `CREATE ${index.unique ? "UNIQUE " : ""}INDEX ${this.quote(
+        index.name
+      )} ON ${this.quote(table)} (${columns.join(", ")})`
+    );
+  }
 
-    const createTableSQL = `CREATE TABLE IF NOT EXISTS \`${tableName}\` (${columnDefs.join(
-      ", "
-    )}) ENGINE=InnoDB`;
-    await this.connection.execute(createTableSQL);
+  async dropIndex(table, index) {
+    await this.run(
+      `DROP INDEX ${this.quote(index.name)} ON ${this.quote(table)}`
+    );
+  }
 
-    // Create indexes
-    for (const idx of indexes) {
-      if (idx.primary) continue; // primary handled in table
-      const cols = idx.columns
-        .map(c => `\`${c.name}${c.order === "DESC" ? " DESC" : ""}\``)
-        .join(", ");
-      const unique = idx.unique ? "UNIQUE" : "";
-      const sql = `CREATE ${unique} INDEX \`${idx.name}\` ON \`${tableName}\` (${cols})`;
-      await this.connection.execute(sql);
-    }
+  // The key stays as it is; MODIFY only redefines the column
+  async alterColumn(table, column) {
+    await this.run(
+      `ALTER TABLE ${this.quote(table)} MODIFY COLUMN ${this.columnSQL(
+        column,
+        false
+      )}`
+    );
   }
 
-  async revertOperation(operation) {
-    await this._connect();
-    const { tableName, indexes } = operation.params;
+  autoIncrementSuffix() {
+    return " AUTO_INCREMENT";
+  }
 
-    // Drop indexes created by this operation
-    for (const idx of indexes) {
-      if (idx.primary) continue; // primary handled in table
-      const sql = `DROP INDEX \`${idx.name}\` ON \`${tableName}\``;
-      try {
-        await this.connection.execute(sql);
-      } catch (err) {
-        // Ignore if index does not exist
-      }
-    }
+  quote(identifier) {
+    return `\`${String(identifier).replace(/`/g, "``")}\``;
+  }
 
-    // Dropping columns or tables is not handled automatically here
+  // Backslashes escape in MySQL string literals
+  literal(value) {
+    return typeof value === "string"
+      ? `'${value.replace(/\\/g, "\\\\").replace(/'/g, "''")}'`
+      : super.literal(value);
   }
 
   async close() {
@@ -2,12 +2,12 @@
 
 "use strict";
 
-import BaseMigrationAdapter from "../../core/base/base-migration-adapter.js";
+import SQLMigrationAdapter from "../sql-migration-adapter.js";
 import pkg from "pg";
 
 const { Client } = pkg;
 
-export default class PostgresMigrationAdapter extends BaseMigrationAdapter {
+export default class PostgresMigrationAdapter extends SQLMigrationAdapter {
   /**
    * @param {Object} config - PostgreSQL connection config (host, user, password, database, port)
    */
@@ -55,55 +55,27 @@ export default class PostgresMigrationAdapter extends BaseMigrationAdapter {
     await this.client.query("DELETE FROM _migrations WHERE id = $1", [id]);
   }
 
-  async executeOperation(operation) {
+  async run(sql) {
     await this._connect();
-    const { tableName, columns, indexes } = operation.params;
-
-    const columnDefs = columns.map(col => {
-      let sql = `"${col.name}" ${col.type.toUpperCase()}`;
-      if (col.length) sql += `(${col.length})`;
-      if (col.primary) {
-        sql += col.autoIncrement ? " SERIAL PRIMARY KEY" : " PRIMARY KEY";
-      } else {
-        if (col.required) sql += " NOT NULL";
-        if (col.unique) sql += " UNIQUE";
-        if (col.default != null) sql += ` DEFAULT '${col.default}'`;
-      }
-      return sql;
-    });
-
-    const createTableSQL = `CREATE TABLE IF NOT EXISTS "${tableName}" (${columnDefs.join(
-      ", "
-    )})`;
-    await this.client.query(createTableSQL);
-
-    // Create indexes
-    for (const idx of indexes) {
-      if (idx.primary) continue; // primary handled in table
-      const cols = idx.columns
-        .map(c => `"${c.name}"${c.order === "DESC" ? " DESC" : ""}`)
-        .join(", ");
-      const unique = idx.unique ? "UNIQUE" : "";
-      const sql = `CREATE ${unique} INDEX IF NOT EXISTS "${idx.name}" ON "${tableName}" (${cols})`;
-      await this.client.query(sql);
-    }
+    await this.client.query(sql);
   }
 
-  async revertOperation(operation) {
-    await this._connect();
-    const { tableName, indexes } = operation.params;
-
-    for (const idx of indexes) {
-      if (idx.primary) continue;
-      const sql = `DROP INDEX IF EXISTS "${idx.name}"`;
-      try {
-        await this.client.query(sql);
-      } catch (err) {
-        // ignore missing index
-      }
-    }
+  autoIncrementSuffix() {
+    return " GENERATED BY DEFAULT AS IDENTITY";
+  }
 
-    // Dropping columns or tables is not handled automatically
+  // Type, nullability and default change separately; USING converts the
+  // rows Postgres cannot cast implicitly (TEXT → INTEGER)
+  async alterColumn(table, column) {
+    const name = this.quote(column.name);
+    const actions = [
+      `ALTER COLUMN ${name} TYPE ${column.type} USING ${name}::${column.type}`,
+      `ALTER COLUMN ${name} ${column.nullable ? "DROP" : "SET"} NOT NULL`,
+      column.default
+        ? `ALTER COLUMN ${name} SET DEFAULT ${this.defaultSQL(column.default)}`
+        : `ALTER COLUMN ${name} DROP DEFAULT`,
+    ];
+    await this.run(`ALTER TABLE ${this.quote(table)} ${actions.join(", ")}`);
   }
 
   async close() {
@@ -1,23 +1,26 @@
 "use strict";
 
-import BaseMigrationAdapter from "../../core/base/base-migration-adapter.js";
-import pkg from "libsql"; // CommonJS interop
-const { createClient } = pkg;
+import SQLMigrationAdapter from "../sql-migration-adapter.js";
+import Database from "libsql";
 
-export default class MigrationAdapterSQLite extends BaseMigrationAdapter {
+// Table constraints in a CREATE TABLE body, as opposed to column definitions
+const TABLE_CONSTRAINT =
+  /^(CONSTRAINT|PRIMARY\s+KEY|UNIQUE|CHECK|FOREIGN\s+KEY)\b/i;
+
+export default class MigrationAdapterSQLite extends SQLMigrationAdapter {
   /**
-   * @param {string} url - SQLite connection string for libsql
+   * @param {string} url - SQLite database file ("file:" prefix optional)
    */
   constructor(url) {
     super();
-    this.client = createClient({ url });
+    this.db = new Database(url.replace(/^file:/, ""));
   }
 
   /**
    * Ensure the migrations tracking table exists.
    */
   async ensureMigrationTable() {
-    await this.client.execute(`
+    await this.run(`
       CREATE TABLE IF NOT EXISTS _migrations (
         id TEXT PRIMARY KEY,
         applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -29,82 +32,185 @@ export default class MigrationAdapterSQLite extends BaseMigrationAdapter {
    * Fetch applied migration IDs.
    */
   async fetchAppliedIds() {
-    const res = await this.client.execute("SELECT id FROM _migrations");
-    return res.rows.map(row => row.id);
+    const rows = await this.query("SELECT id FROM _migrations");
+    return rows.map(row => row.id);
   }
 
   /**
    * Record that a migration was applied.
    */
   async recordAppliedMigration(id) {
-    await this.client.execute(
-      "INSERT INTO _migrations (id, applied_at) VALUES (?, CURRENT_TIMESTAMP)",
-      [id]
-    );
+    this.db
+      .prepare(
+        "INSERT INTO _migrations (id, applied_at) VALUES (?, CURRENT_TIMESTAMP)"
+      )
+      .run([id]);
   }
 
   /**
    * Record that a migration was rolled back.
    */
   async recordRolledBackMigration(id) {
-    await this.client.execute("DELETE FROM _migrations WHERE id = ?", [id]);
+    this.db.prepare("DELETE FROM _migrations WHERE id = ?").run([id]);
+  }
+
+  async run(sql) {
+    this.db.exec(sql);
+  }
+
+  async query(sql, params = []) {
+    return this.db.prepare(sql).all(params);
   }
 
   /**
-   * Execute an “up” operation.
+   * ADD COLUMN cannot add a key, a UNIQUE column, or a NOT NULL column
+   * without a default; those columns are added by rebuilding the table.
    */
-  async executeOperation(operation) {
-    const { tableName, columns, indexes } = operation.params;
-
-    // Construct CREATE TABLE statement
-    const columnDefs = columns.map(col => {
-      let sql = `"${col.name}" ${col.type}`;
-      if (col.length) sql += `(${col.length})`;
-      if (col.required) sql += " NOT NULL";
-      if (col.primary) sql += " PRIMARY KEY";
-      if (col.autoIncrement) sql += " AUTOINCREMENT";
-      if (col.unique && !col.primary) sql += " UNIQUE";
-      if (col.default != null) sql += ` DEFAULT ${col.default}`;
-      return sql;
-    });
-
-    const createTableSQL = `
-      CREATE TABLE IF NOT EXISTS "${tableName}" (${columnDefs.join(", ")})
-    `;
-    await this.client.execute(createTableSQL);
-
-    // Create indexes
-    for (const idx of indexes) {
-      if (idx.primary) continue; // primary handled in table
-      const cols = idx.columns
-        .map(c => `"${c.name}" ${c.order === "DESC" ? "DESC" : "ASC"}`)
-        .join(", ");
-      const unique = idx.unique ? "UNIQUE" : "";
-      const sql = `CREATE ${unique} INDEX IF NOT EXISTS "${idx.name}" ON "${tableName}" (${cols})`;
-      await this.client.execute(sql);
+  async addColumn(table, column) {
+    if (
+      column.primary ||
+      column.unique ||
+      (!column.nullable && !column.default)
+    ) {
+      return this.#rebuild(table, column);
     }
+    return super.addColumn(table, column);
   }
 
   /**
-   * Revert a “down” operation.
+   * SQLite cannot alter a column, so the table is rebuilt with the new
+   * definition.
    */
-  async revertOperation(operation) {
-    const { tableName, indexes } = operation.params;
-
-    // Drop indexes created by this operation
-    for (const idx of indexes) {
-      if (idx.primary) continue; // can't drop primary via index
-      const sql = `DROP INDEX IF EXISTS "${idx.name}"`;
-      await this.client.execute(sql);
+  async alterColumn(table, column) {
+    return this.#rebuild(table, column);
+  }
+
+  // An INTEGER PRIMARY KEY is the rowid, which SQLite generates already
+  autoIncrementType() {
+    return "INTEGER";
+  }
+
+  /**
+   * Rebuilds `table` with `column` replacing its definition, or appended:
+   * creates the new table, copies the rows, swaps it in, and recreates the
+   * indexes, in one transaction. Foreign keys are off meanwhile, so that
+   * dropping the old table does not touch the rows referring to it.
+   */
+  async #rebuild(table, column) {
+    const [created] = await this.query(
+      "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?",
+      [table]
+    );
+    if (!created) throw new Error(`Table "${table}" does not exist`);
+
+    const indexes = await this.query(
+      "SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL",
+      [table]
+    );
+    const copied = (
+      await this.query(`PRAGMA table_info(${this.quote(table)})`)
+    ).map(row => row.name);
+
+    const body = created.sql.slice(
+      created.sql.indexOf("(") + 1,
+      created.sql.lastIndexOf(")")
+    );
+    const definitions = splitDefinitions(body);
+    const definition = this.columnSQL(column);
+    const at = definitions.findIndex(
+      d => columnName(d)?.toLowerCase() === column.name.toLowerCase()
+    );
+    if (at >= 0) {
+      definitions[at] = definition;
+    } else {
+      const constraints = definitions.findIndex(d => TABLE_CONSTRAINT.test(d));
+      definitions.splice(
+        constraints >= 0 ? constraints : definitions.length,
+        0,
+        definition
+      );
     }
 
-    // Note: dropping columns in SQLite requires table recreation, so not handled here
+    const temporary = this.quote(`${table}__new`);
+    const columns = copied.map(name => this.quote(name)).join(", ");
+    const [{ foreign_keys: foreignKeys }] = await this.query(
+      "PRAGMA foreign_keys"
+    );
+
+    await this.run("PRAGMA foreign_keys = OFF");
+    try {
+      await this.run("BEGIN");
+      try {
+        await this.run(`CREATE TABLE ${temporary} (${definitions.join(", ")})`);
+        await this.run(
+          `INSERT INTO ${temporary} (${columns}) SELECT ${columns} FROM ${this.quote(
+            table
+          )}`
+        );
+        await this.run(`DROP TABLE ${this.quote(table)}`);
+        await this.run(
+          `ALTER TABLE ${temporary} RENAME TO ${this.quote(table)}`
+        );
+        for (const index of indexes) await this.run(index.sql);
+        await this.run("COMMIT");
+      } catch (err) {
+        await this.run("ROLLBACK");
+        throw err;
+      }
+    } finally {
+      await this.run(`PRAGMA foreign_keys = ${foreignKeys ? "ON" : "OFF"}`);
+    }
   }
 
   /**
    * Close the database connection.
    */
   async close() {
-    if (this.client?.close) await this.client.close();
+    this.db?.close();
   }
 }
+
+// Splits a CREATE TABLE body at its top-level commas, leaving the commas
+// inside parentheses ("DECIMAL(10, 2)", "CHECK (x IN (1, 2))") and quotes
+function splitDefinitions(body) {
+  const definitions = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"' || char === "`") {
+      quote = char;
+    } else if (char === "[") {
+      quote = "]";
+    } else if (char === "(") {
+      depth++;
+    } else if (char === ")") {
+      depth--;
+    } else if (char === "," && depth === 0) {
+      definitions.push(body.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  definitions.push(body.slice(start).trim());
+  return definitions.filter(Boolean);
+}
+
+// Name a column definition starts with, unquoted; null for a constraint
+function columnName(definition) {
+  if (TABLE_CONSTRAINT.test(definition)) return null;
+  const match =
+    /^(?:"((?:[^"]|"")*)"|`((?:[^`]|``)*)`|\[([^\]]*)\]|(\S+))/.exec(
+      definition
+    );
+  if (!match) return null;
+  return (
+    match[1]?.replace(/""/g, '"') ??
+    match[2]?.replace(/``/g, "`") ??
+    match[3] ??
+    match[4]
+  );
+}
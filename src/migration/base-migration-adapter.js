@@ -2,6 +2,27 @@
 
 "use strict";
 
+// Operation types an adapter runs, each through its method of the same name
+const OPERATION_TYPES = new Set([
+  "createTable",
+  "dropTable",
+  "addColumn",
+  "dropColumn",
+  "alterColumn",
+  "createIndex",
+  "dropIndex",
+]);
+
+// Up operations revertOperation() can undo without being told more
+const INVERSES = {
+  createTable: ({ table }) => ["dropTable", { table }],
+  addColumn: ({ table, column }) => ["dropColumn", { table, column }],
+  createIndex: ({ table, name, columns }) => [
+    "dropIndex",
+    { table, name, columns },
+  ],
+};
+
 export default class MigrationAdapter {
   /**
    * Ensure the migration tracking table exists.
@@ -12,20 +33,165 @@ export default class MigrationAdapter {
   }
 
   /**
-   * Execute a single operation (for “up” migration).
+   * Execute a single operation: runs the adapter method named by
+   * `operation.type` (createTable, dropTable, addColumn, dropColumn,
+   * alterColumn, createIndex or dropIndex) with its params normalized.
+   *
+   * Params come in two shapes, both accepted: the Operations API's
+   * ({ table, columns: { name: definition }, ... }, literal defaults) and
+   * the Operation builder's ({ tableName, columns: [{ name, type, length,
+   * required, ... }], indexes }, SQL defaults).
+   *
    * @param {Operation} operation
    * @returns {Promise<void>}
    */
   async executeOperation(operation) {
-    throw new Error("executeOperation must be implemented by subclass");
+    const { type, params } = operation;
+    if (!OPERATION_TYPES.has(type)) {
+      throw new Error(`Unknown migration operation "${type}"`);
+    }
+
+    const table = params.table ?? params.tableName;
+    switch (type) {
+      case "createTable":
+        return this.createTable(
+          table,
+          tableColumns(params.columns),
+          (params.indexes ?? [])
+            .filter(index => !index.primary)
+            .map(index => normalizeIndex(table, index))
+        );
+      case "dropTable":
+        return this.dropTable(table);
+      case "addColumn":
+        return this.addColumn(
+          table,
+          normalizeColumn(params.column, params.definition)
+        );
+      case "dropColumn":
+        return this.dropColumn(table, params.column);
+      case "alterColumn":
+        return this.alterColumn(
+          table,
+          normalizeColumn(params.column, params.definition)
+        );
+      case "createIndex":
+        return this.createIndex(table, normalizeIndex(table, params));
+      case "dropIndex":
+        return this.dropIndex(table, normalizeIndex(table, params));
+    }
   }
 
   /**
-   * Revert a single operation (for “down” migration).
+   * Revert a single operation (for “down” migration) by running its
+   * inverse. Only createTable, addColumn and createIndex can be inverted
+   * from the operation alone; the Operations API records the inverse of
+   * every operation in the migration's `down` list instead.
    * @param {Operation} operation
    * @returns {Promise<void>}
    */
   async revertOperation(operation) {
-    throw new Error("revertOperation must be implemented by subclass");
+    const inverse = INVERSES[operation.type];
+    if (!inverse) {
+      throw new Error(
+        `Cannot revert a "${operation.type}" operation; list its inverse in the migration's down operations`
+      );
+    }
+
+    const params = operation.params;
+    const [type, inverseParams] = inverse({
+      ...params,
+      table: params.table ?? params.tableName,
+    });
+    await this.executeOperation({ type, params: inverseParams });
+  }
+
+  /**
+   * @param {string} table
+   * @param {object[]} columns - { name, type, nullable, primary,
+   *   autoIncrement, unique, default, values, minValue, maxValue }; a
+   *   default is { sql } or { value }.
+   * @param {object[]} indexes - { name, columns: [{ name, order }], unique }
+   */
+  async createTable(table, columns, indexes) {
+    throw new Error("createTable must be implemented by subclass");
   }
+
+  async dropTable(table) {
+    throw new Error("dropTable must be implemented by subclass");
+  }
+
+  async addColumn(table, column) {
+    throw new Error("addColumn must be implemented by subclass");
+  }
+
+  async dropColumn(table, name) {
+    throw new Error("dropColumn must be implemented by subclass");
+  }
+
+  async alterColumn(table, column) {
+    throw new Error("alterColumn must be implemented by subclass");
+  }
+
+  async createIndex(table, index) {
+    throw new Error("createIndex must be implemented by subclass");
+  }
+
+  async dropIndex(table, index) {
+    throw new Error("dropIndex must be implemented by subclass");
+  }
+}
+
+// Builder columns are an array; Operations columns map names to definitions
+function tableColumns(columns = []) {
+  return Array.isArray(columns)
+    ? columns.map(column => normalizeColumn(column.name, column, true))
+    : Object.entries(columns).map(([name, definition]) =>
+        normalizeColumn(name, definition)
+      );
+}
+
+function normalizeColumn(name, definition = {}, builder = false) {
+  const column = {
+    name,
+    type: definition.length
+      ? `${definition.type}(${definition.length})`
+      : definition.type,
+    nullable: builder
+      ? !(definition.required || definition.primary)
+      : definition.nullable !== false && !definition.primary,
+    primary: !!definition.primary,
+    autoIncrement: !!definition.autoIncrement,
+    unique: !!definition.unique && !definition.primary,
+    values: definition.values,
+    minValue: definition.minValue,
+    maxValue: definition.maxValue,
+  };
+
+  // The builder's defaults are SQL ("NOW()"); the generator's are values
+  if (definition.default !== undefined && definition.default !== null) {
+    column.default = builder
+      ? { sql: String(definition.default) }
+      : { value: definition.default };
+  }
+  return column;
+}
+
+// Index columns are names ("created_at DESC") or { name, order }; an index
+// without a name gets the one the generator would give it
+function normalizeIndex(table, index) {
+  const columns = (index.columns ?? []).map(column => {
+    if (typeof column !== "string") return column;
+    const desc = /\s+DESC$/i.test(column);
+    return {
+      name: column.replace(/\s+(ASC|DESC)$/i, ""),
+      order: desc ? "DESC" : "ASC",
+    };
+  });
+
+  return {
+    name: index.name ?? `${table}_${columns.map(c => c.name).join("_")}`,
+    columns,
+    unique: !!index.unique,
+  };
 }
@@ -0,0 +1,407 @@
+// migration-generator.js
+
+"use strict";
+
+import fs from "fs";
+import path from "path";
+import ModelRegistry from "../database/model-registry.js";
+
+// Spellings of one column type across dialects and catalogs, so a schema's
+// "DOUBLE PRECISION" matches Postgres "double precision" and MySQL "double"
+const TYPE_ALIASES = {
+  "character varying": "varchar",
+  character: "char",
+  bpchar: "char",
+  int: "integer",
+  int4: "integer",
+  "double precision": "double",
+  float8: "double",
+  bool: "boolean",
+  tinyint: "boolean", // MySQL stores BOOLEAN as TINYINT(1)
+  "time without time zone": "time",
+  "timestamp without time zone": "timestamp",
+  "timestamp with time zone": "timestamptz",
+  datetime: "timestamp",
+};
+
+// Types whose length is part of the type
+const SIZED_TYPES = new Set(["varchar", "char"]);
+
+// Operations method arguments for each planned change
+const ARGUMENTS = {
+  createTable: c => [c.table, { columns: c.columns, indexes: c.indexes }],
+  addColumn: c => [c.table, c.column, c.definition],
+  dropColumn: c => [c.table, c.column, c.previous],
+  alterColumn: c => [c.table, c.column, c.definition, c.previous],
+  createIndex: c => [c.table, c.index.columns, indexOptions(c.index)],
+  dropIndex: c => [
+    c.table,
+    c.index.name,
+    { columns: c.index.columns, unique: c.index.unique },
+  ],
+};
+
+/**
+ * MigrationGenerator
+ *
+ * Compares the models' Schemas with the live database (driver.introspect())
+ * and writes a migration that brings the database in line, built with the
+ * Operations API:
+ *
+ *   const generator = new MigrationGenerator(driver);
+ *   await generator.generate("add user roles", { preview: true }); // prints
+ *   await generator.generate("add user roles"); // writes migrations/<id>.js
+ *
+ * Missing tables are created; columns are added, dropped, or altered when
+ * their type or nullability differ; indexes are created and dropped.
+ * Tables without a model are left alone. Column types are the driver's
+ * (see SQLDriver.columnType()); on MongoDB only collections and indexes
+ * are compared.
+ */
+export default class MigrationGenerator {
+  /**
+   * @param {AbstractDriver} driver - Connected driver for the database.
+   * @param {object} [options]
+   * @param {Array} [options.models] - Model classes, or ModelLoader entries
+   *   ({ name, file, class }); defaults to every registered model.
+   * @param {string} [options.directory] - Where migrations are written.
+   * @param {string} [options.importPath] - Module path the generated file
+   *   imports Migration and Operations from.
+   */
+  constructor(driver, options = {}) {
+    this.driver = driver;
+    this.models = (
+      options.models ?? ModelRegistry.list().map(n => ModelRegistry.get(n))
+    ).map(model => model.class ?? model);
+    this.directory =
+      options.directory ?? path.join(process.cwd(), "migrations");
+    this.importPath = options.importPath ?? "daytona-mvc/src/migration";
+  }
+
+  /**
+   * Changes that would bring the database in line with the schemas, in the
+   * order the migration applies them.
+   * @returns {Promise<object[]>}
+   */
+  async plan() {
+    const { tables } = await this.driver.introspect();
+    const live = new Map(tables.map(table => [table.name, table]));
+    const changes = [];
+
+    for (const model of this.models) {
+      const schema = model.schema();
+      if (!schema) continue;
+
+      const table = model.tableName();
+      changes.push(
+        ...(live.has(table)
+          ? this.#alterTable(table, schema, live.get(table))
+          : [this.#createTable(table, schema)])
+      );
+    }
+
+    return changes;
+  }
+
+  /**
+   * Plans the changes and writes them as a new migration file, or with
+   * `preview` only prints them. Nothing is written when there is nothing
+   * to change.
+   *
+   * @param {string} [description]
+   * @param {{ preview?: boolean }} [options]
+   * @returns {Promise<{ id: string, file: ?string, changes: object[], source: ?string }>}
+   */
+  async generate(description = "update schema", { preview = false } = {}) {
+    const changes = await this.plan();
+    const id = `${timestamp()}_${slug(description)}`;
+
+    if (!changes.length) {
+      console.log("Database matches the model schemas; nothing to generate.");
+      return { id, file: null, changes, source: null };
+    }
+
+    const file = path.join(this.directory, `${id}.js`);
+    const source = this.#source(id, description, changes);
+
+    console.log(
+      `${preview ? "Would write" : "Writing"} ${file} (${
+        changes.length
+      } change${changes.length === 1 ? "" : "s"}):`
+    );
+    for (const change of changes) console.log(`  ${describe(change)}`);
+
+    if (!preview) {
+      fs.mkdirSync(this.directory, { recursive: true });
+      fs.writeFileSync(file, source, { flag: "wx" });
+    }
+    return { id, file, changes, source };
+  }
+
+  #createTable(table, schema) {
+    const columns = {};
+    if (this.#hasColumnTypes()) {
+      for (const [name, field] of Object.entries(schema.getSchema())) {
+        columns[name] = this.#columnDefinition(field);
+      }
+    }
+
+    return {
+      action: "createTable",
+      table,
+      columns,
+      indexes: schemaIndexes(table, schema),
+    };
+  }
+
+  #alterTable(table, schema, live) {
+    const changes = [];
+
+    // Indexes match on their columns and uniqueness, not their names. Drops
+    // come first, as a column cannot be dropped while indexed
+    const wanted = schemaIndexes(table, schema);
+    const existing = live.indexes.filter(
+      index =>
+        !index.primary &&
+        !index.name.startsWith("sqlite_autoindex_") && // UNIQUE constraints
+        !live.foreignKeys.some(key => key.name === index.name) // MySQL
+    );
+
+    for (const index of existing) {
+      if (!wanted.some(w => indexKey(w) === indexKey(index))) {
+        changes.push({ action: "dropIndex", table, index });
+      }
+    }
+
+    if (this.#hasColumnTypes()) {
+      const fields = schema.getSchema();
+      const columns = new Map(live.columns.map(c => [c.name, c]));
+
+      for (const [name, field] of Object.entries(fields)) {
+        const definition = this.#columnDefinition(field);
+        const column = columns.get(name);
+
+        if (!column) {
+          changes.push({
+            action: "addColumn",
+            table,
+            column: name,
+            definition,
+          });
+        } else if (!sameColumn(definition, column)) {
+          changes.push({
+            action: "alterColumn",
+            table,
+            column: name,
+            definition,
+            previous: liveDefinition(column),
+          });
+        }
+      }
+
+      for (const column of live.columns) {
+        if (column.name in fields) continue;
+        changes.push({
+          action: "dropColumn",
+          table,
+          column: column.name,
+          previous: liveDefinition(column),
+        });
+      }
+    }
+
+    for (const index of wanted) {
+      if (!existing.some(e => indexKey(e) === indexKey(index))) {
+        changes.push({ action: "createIndex", table, index });
+      }
+    }
+
+    return changes;
+  }
+
+  // Whether the driver declares column types; MongoDB collections have none
+  #hasColumnTypes() {
+    return typeof this.driver.columnType === "function";
+  }
+
+  #columnDefinition(field) {
+    const definition = {
+      type: this.driver.columnType(field),
+      nullable: !(field.required || field.primary),
+    };
+    if (field.primary) definition.primary = true;
+    if (field.primary && field.generate === "increment") {
+      definition.autoIncrement = true;
+    }
+    if (
+      field.defaultValue !== undefined &&
+      field.defaultValue !== null &&
+      typeof field.defaultValue !== "function"
+    ) {
+      definition.default = field.defaultValue;
+    }
+    if (field.type === "enum") definition.values = field.values;
+    if (field.type === "integer" || field.type === "number") {
+      if (field.minValue !== undefined) definition.minValue = field.minValue;
+      if (field.maxValue !== undefined) definition.maxValue = field.maxValue;
+    }
+    return definition;
+  }
+
+  #source(id, description, changes) {
+    const calls = changes.map(
+      change =>
+        `  .${change.action}(${ARGUMENTS[change.action](change)
+          .map(arg => literal(arg, "  "))
+          .join(", ")})`
+    );
+
+    return [
+      `// ${id}.js`,
+      "// Generated from the model schemas; review before running.",
+      "",
+      `import Migration from "${this.importPath}/migration.js";`,
+      `import Operations from "${this.importPath}/operations.js";`,
+      "",
+      `const migration = new Migration(${literal(id)}, ${literal(
+        description
+      )});`,
+      "",
+      "new Operations(migration)",
+      `${calls.join("\n")};`,
+      "",
+      "export default migration;",
+      "",
+    ].join("\n");
+  }
+}
+
+/**
+ * One line describing a planned change, as preview mode prints it.
+ * @param {object} change
+ * @returns {string}
+ */
+export function describe(change) {
+  const { table, column } = change;
+  switch (change.action) {
+    case "createTable":
+      return `+ create table ${table} (${
+        Object.keys(change.columns).length
+      } columns, ${change.indexes.length} indexes)`;
+    case "addColumn":
+      return `+ add column ${table}.${column} ${columnText(change.definition)}`;
+    case "dropColumn":
+      return `- drop column ${table}.${column}`;
+    case "alterColumn":
+      return `~ alter column ${table}.${column}: ${columnText(
+        change.previous
+      )} → ${columnText(change.definition)}`;
+    case "createIndex":
+      return `+ create ${change.index.unique ? "unique " : ""}index ${
+        change.index.name
+      } on ${table} (${change.index.columns.join(", ")})`;
+    case "dropIndex":
+      return `- drop index ${change.index.name} on ${table}`;
+  }
+}
+
+function schemaIndexes(table, schema) {
+  return schema
+    .getDefinition()
+    .indexes.filter(index => !index.primary)
+    .map(index => {
+      const columns = index.fields.map(f => f.name);
+      return {
+        name: index.name ?? `${table}_${columns.join("_")}`,
+        columns,
+        unique: !!index.unique,
+      };
+    });
+}
+
+function indexKey(index) {
+  return `${index.columns.join(",")}${index.unique ? " unique" : ""}`;
+}
+
+function indexOptions(index) {
+  return { unique: index.unique, name: index.name };
+}
+
+function liveDefinition(column) {
+  const definition = {
+    type: (column.maxLength
+      ? `${column.type}(${column.maxLength})`
+      : column.type
+    ).toUpperCase(),
+    nullable: column.nullable,
+  };
+  if (column.primaryKey) definition.primary = true;
+  if (column.autoIncrement) definition.autoIncrement = true;
+  return definition;
+}
+
+function sameColumn(definition, column) {
+  const wanted = parseType(definition.type);
+  const actual = parseType(column.type);
+  actual.length = column.maxLength ?? actual.length;
+
+  return (
+    wanted.base === actual.base &&
+    (!SIZED_TYPES.has(wanted.base) || wanted.length === actual.length) &&
+    definition.nullable === column.nullable
+  );
+}
+
+// "VARCHAR(80)" → { base: "varchar", length: 80 }
+function parseType(type) {
+  const [, base, length] = /^\s*([^(]*?)\s*(?:\((\d+)[^)]*\))?\s*$/.exec(
+    String(type).toLowerCase()
+  );
+  return {
+    base: TYPE_ALIASES[base] ?? base,
+    length: length === undefined ? null : Number(length),
+  };
+}
+
+function columnText({ type, nullable }) {
+  return `${type} ${nullable ? "NULL" : "NOT NULL"}`;
+}
+
+// JavaScript source for a JSON-like value: bare keys, and each object or
+// array on one line when it fits
+function literal(value, indent = "") {
+  if (value === null || typeof value !== "object") return JSON.stringify(value);
+
+  const inner = indent + "  ";
+  const isArray = Array.isArray(value);
+  const items = isArray
+    ? value.map(item => literal(item, inner))
+    : Object.entries(value).map(
+        ([key, item]) =>
+          `${
+            /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)
+          }: ${literal(item, inner)}`
+      );
+
+  if (!items.length) return isArray ? "[]" : "{}";
+  const line = isArray ? `[${items.join(", ")}]` : `{ ${items.join(", ")} }`;
+  if (line.length + indent.length <= 72 && !line.includes("\n")) return line;
+
+  const [open, close] = isArray ? ["[", "]"] : ["{", "}"];
+  return `${open}\n${items
+    .map(item => `${inner}${item},`)
+    .join("\n")}\n${indent}${close}`;
+}
+
+function timestamp(date = new Date()) {
+  return date.toISOString().replace(/\D/g, "").slice(0, 14);
+}
+
+function slug(text) {
+  return (
+    String(text)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "") || "migration"
+  );
+}
@@ -69,8 +69,16 @@ export default class MigrationManager {
     }
     const last = appliedList[appliedList.length - 1];
     console.log(`Rolling back migration ${last.id}: ${last.description}`);
-    for (const op of last.down) {
-      await this.adapter.revertOperation(op);
+    // The down operations are the inverses already (see Operations); a
+    // migration without them has its up operations reverted, last first
+    if (last.down.length) {
+      for (const op of last.down) {
+        await this.adapter.executeOperation(op);
+      }
+    } else {
+      for (const op of last.up.slice().reverse()) {
+        await this.adapter.revertOperation(op);
+      }
     }
     await this.adapter.recordRolledBackMigration(last.id);
     console.log("Rollback complete.");
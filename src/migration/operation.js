@@ -19,12 +19,16 @@ export const UNDERSCORE_SPACES = "underscore";
 export const DASH_SPACES = "dash";
 
 export default class Operation {
-  constructor() {
-    this.params = {
-      tableName: null,
-      columns: [],
-      indexes: [],
-    };
+  /**
+   * @param {string} type - "createTable", "addColumn", ... (see Operations)
+   * @param {object} params - The operation's arguments.
+   */
+  constructor(
+    type = "createTable",
+    params = { tableName: null, columns: [], indexes: [] }
+  ) {
+    this.type = type;
+    this.params = params;
   }
 
   static createTable(name) {
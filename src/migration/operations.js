@@ -60,5 +60,65 @@ export default class Operations {
     return this;
   }
 
-  // ... define other methods (dropTable, renameTable, dropColumn, alterColumn, dropIndex, executeSql) similarly, each returning this
+  // `definition` is the column as it was, so the migration can be reverted
+  dropColumn(tableName, columnName, definition) {
+    this.migration.up.push(
+      new Operation("dropColumn", {
+        table: tableName,
+        column: columnName,
+      })
+    );
+    this.migration.down.unshift(
+      new Operation("addColumn", {
+        table: tableName,
+        column: columnName,
+        definition,
+      })
+    );
+    return this;
+  }
+
+  alterColumn(tableName, columnName, definition, previous) {
+    this.migration.up.push(
+      new Operation("alterColumn", {
+        table: tableName,
+        column: columnName,
+        definition,
+      })
+    );
+    this.migration.down.unshift(
+      new Operation("alterColumn", {
+        table: tableName,
+        column: columnName,
+        definition: previous,
+      })
+    );
+    return this;
+  }
+
+  dropIndex(
+    tableName,
+    name,
+    { columns = [], unique = false, options = {} } = {}
+  ) {
+    this.migration.up.push(
+      new Operation("dropIndex", {
+        table: tableName,
+        name,
+        columns,
+      })
+    );
+    this.migration.down.unshift(
+      new Operation("createIndex", {
+        table: tableName,
+        columns,
+        unique,
+        name,
+        options,
+      })
+    );
+    return this;
+  }
+
+  // ... define other methods (dropTable, renameTable, executeSql) similarly, each returning this
 }
@@ -0,0 +1,147 @@
+// sql-migration-adapter.js
+
+"use strict";
+
+import MigrationAdapter from "./base-migration-adapter.js";
+
+/**
+ * SQLMigrationAdapter
+ *
+ * Runs migration operations as standard DDL. Each dialect supplies run()
+ * and overrides the statements it spells differently.
+ */
+export default class SQLMigrationAdapter extends MigrationAdapter {
+  /**
+   * Runs one statement.
+   * @param {string} sql
+   * @returns {Promise<void>}
+   */
+  async run(sql) {
+    throw new Error("run must be implemented by subclass");
+  }
+
+  async createTable(table, columns, indexes) {
+    // A single key column declares PRIMARY KEY itself (SQLite only makes an
+    // INTEGER PRIMARY KEY column the rowid that way); a compound key is a
+    // table constraint
+    const primary = columns.filter(column => column.primary);
+    const definitions = columns.map(column =>
+      this.columnSQL(column, column.primary && primary.length === 1)
+    );
+    if (primary.length > 1) {
+      definitions.push(
+        `PRIMARY KEY (${primary.map(c => this.quote(c.name)).join(", ")})`
+      );
+    }
+
+    await this.run(
+      `CREATE TABLE IF NOT EXISTS ${this.quote(table)} (${definitions.join(
+        ", "
+      )})`
+    );
+    for (const index of indexes) await this.createIndex(table, index);
+  }
+
+  async dropTable(table) {
+    await this.run(`DROP TABLE IF EXISTS ${this.quote(table)}`);
+  }
+
+  async addColumn(table, column) {
+    await this.run(
+      `ALTER TABLE ${this.quote(table)} ADD COLUMN ${this.columnSQL(column)}`
+    );
+  }
+
+  async dropColumn(table, name) {
+    await this.run(
+      `ALTER TABLE ${this.quote(table)} DROP COLUMN ${this.quote(name)}`
+    );
+  }
+
+  async createIndex(table, index) {
+    const columns = index.columns.map(
+      c => `${this.quote(c.name)}${c.order === "DESC" ? " DESC" : ""}`
+    );
+    await this.run(
+      `CREATE ${index.unique ? "UNIQUE " : ""}INDEX IF NOT EXISTS ${this.quote(
+        index.name
+      )} ON ${this.quote(table)} (${columns.join(", ")})`
+    );
+  }
+
+  async dropIndex(table, index) {
+    await this.run(`DROP INDEX IF EXISTS ${this.quote(index.name)}`);
+  }
+
+  /**
+   * Column definition: name, type, key, NOT NULL, UNIQUE, DEFAULT, and
+   * CHECK constraints for enum values and numeric bounds.
+   * @param {object} column - As normalized by executeOperation().
+   * @param {boolean} [primaryKey] - Whether to declare PRIMARY KEY inline.
+   * @returns {string}
+   */
+  columnSQL(column, primaryKey = column.primary) {
+    const name = this.quote(column.name);
+    let sql = `${name} ${
+      column.autoIncrement ? this.autoIncrementType(column) : column.type
+    }`;
+
+    if (primaryKey) sql += " PRIMARY KEY";
+    if (column.autoIncrement) sql += this.autoIncrementSuffix();
+    if (!column.nullable && !primaryKey) sql += " NOT NULL";
+    if (column.unique) sql += " UNIQUE";
+    if (column.default) sql += ` DEFAULT ${this.defaultSQL(column.default)}`;
+
+    if (column.values?.length) {
+      const values = column.values.map(value => this.literal(value));
+      sql += ` CHECK (${name} IN (${values.join(", ")}))`;
+    }
+    if (column.minValue !== undefined && column.minValue !== null) {
+      sql += ` CHECK (${name} >= ${this.literal(column.minValue)})`;
+    }
+    if (column.maxValue !== undefined && column.maxValue !== null) {
+      sql += ` CHECK (${name} <= ${this.literal(column.maxValue)})`;
+    }
+    return sql;
+  }
+
+  /**
+   * Type of a generated integer key column.
+   * @param {object} column
+   * @returns {string}
+   */
+  autoIncrementType(column) {
+    return column.type ?? "INTEGER";
+  }
+
+  /**
+   * Clause after PRIMARY KEY that makes the database generate the key.
+   * @returns {string}
+   */
+  autoIncrementSuffix() {
+    return "";
+  }
+
+  defaultSQL(value) {
+    return "sql" in value ? value.sql : this.literal(value.value);
+  }
+
+  quote(identifier) {
+    return `"${String(identifier).replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * SQL literal for a default or CHECK value.
+   * @param {*} value
+   * @returns {string}
+   */
+  literal(value) {
+    if (value === null || value === undefined) return "NULL";
+    if (typeof value === "number" || typeof value === "bigint") {
+      return String(value);
+    }
+    if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+    if (value instanceof Date) return this.literal(value.toISOString());
+    return `'${String(value).replace(/'/g, "''")}'`;
+  }
+}
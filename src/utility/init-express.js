@@ -12,7 +12,7 @@ import cookieParser from "cookie-parser";
 import session from "express-session";
 import fileupload from "express-fileupload";
 
-export default function initExpress() {
+export default function initExpress({ middlewares = [], routers = [] } = {}) {
   // initialize empty express app
   const app = express();
 
@@ -68,5 +68,9 @@ export default function initExpress() {
 
   app.use(limiter);
 
+  // application middlewares, then the controllers' routers
+  for (const middleware of middlewares) app.use(middleware);
+  for (const { path, router } of routers) app.use(path, router);
+
   return app;
 }
@@ -88,3 +88,20 @@ export default function parseDatabaseURI(uri) {
     raw: url,
   };
 }
+
+//
+// splitDatabaseURIs(uri)
+//
+// A SQL database_uri may name read replicas after the primary, separated by
+// commas (encode commas inside credentials as %2C):
+//   postgres://app@primary/db,postgres://app@replica-1/db,postgres://app@replica-2/db
+//
+// Returns { primary, replicas } with replicas possibly empty.
+//
+export function splitDatabaseURIs(uri) {
+  const [primary, ...replicas] = String(uri)
+    .split(",")
+    .map(part => part.trim())
+    .filter(Boolean);
+  return { primary, replicas };
+}
@@ -0,0 +1,406 @@
+// parse-sql-where.js
+
+//
+// parseSQLWhere(sql, params)
+//
+// Parses the WHERE portion of a SQL statement into a small, driver-neutral
+// AST. Bound parameters are resolved while parsing, so the AST only holds
+// plain values.
+//
+// Supports:
+// - comparisons:   =, !=, <>, <, <=, >, >=   (column vs value or column)
+// - lists:         col [NOT] IN (a, b, ...)   / col IN ? with an array param
+// - patterns:      col [NOT] LIKE 'A!%%' [ESCAPE '!']
+// - ranges:        col [NOT] BETWEEN a AND b
+// - nulls:         col IS [NOT] NULL
+// - logic:         AND, OR, NOT and parenthesized groups
+// - parameters:    ? (positional array) and :name (named object)
+// - literals:      'single' or "double" quoted strings, numbers, TRUE,
+//                  FALSE, NULL; `backtick` quoted identifiers
+//
+// Returns nodes of the form:
+//   { type: "and" | "or", conditions: [node, ...] }
+//   { type: "not", condition: node }
+//   { type: "compare", column, op, value }     value: { value } | { column }
+//   { type: "in", column, values: [...], negated }
+//   { type: "like", column, pattern, escape, negated }   escape: char | null
+//   { type: "between", column, low, high, negated }
+//   { type: "null", column, negated }
+
+const KEYWORDS = new Set([
+  "AND",
+  "OR",
+  "NOT",
+  "IN",
+  "LIKE",
+  "BETWEEN",
+  "IS",
+  "NULL",
+  "TRUE",
+  "FALSE",
+]);
+
+const COMPARISON_OPS = ["=", "!=", "<>", "<", "<=", ">", ">="];
+
+// Operator to use when the column is on the right-hand side (5 < age)
+const FLIPPED_OPS = {
+  "=": "=",
+  "!=": "!=",
+  "<>": "<>",
+  "<": ">",
+  "<=": ">=",
+  ">": "<",
+  ">=": "<=",
+};
+
+export default function parseSQLWhere(sql, params) {
+  if (typeof sql !== "string") {
+    throw new Error("parseSQLWhere: where clause must be a string.");
+  }
+
+  const parser = new WhereParser(tokenize(sql), params, sql);
+  const ast = parser.parseExpression();
+  parser.expectEnd();
+  return ast;
+}
+
+// -----------------------------------------------------------------------------
+// Tokenizer
+// -----------------------------------------------------------------------------
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Quoted strings ('' / "" escape) and `identifiers`
+    if (ch === "'" || ch === '"' || ch === "`") {
+      let value = "";
+      let j = i + 1;
+      for (;;) {
+        if (j >= sql.length) {
+          throw new Error(`parseSQLWhere: unterminated ${ch} quote.`);
+        }
+        if (sql[j] === ch) {
+          if (ch !== "`" && sql[j + 1] === ch) {
+            value += ch;
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        value += sql[j++];
+      }
+      tokens.push({
+        type: ch === "`" ? "identifier" : "string",
+        value,
+        quoted: ch,
+      });
+      i = j + 1;
+      continue;
+    }
+
+    const number = /^\d+(\.\d+)?([eE][+-]?\d+)?/.exec(sql.slice(i));
+    if (number) {
+      tokens.push({ type: "number", value: Number(number[0]) });
+      i += number[0].length;
+      continue;
+    }
+
+    const op = /^(<=|>=|<>|!=|=|<|>|\(|\)|,|-)/.exec(sql.slice(i));
+    if (op) {
+      tokens.push({ type: "op", value: op[0] });
+      i += op[0].length;
+      continue;
+    }
+
+    if (ch === "?") {
+      tokens.push({ type: "param" });
+      i++;
+      continue;
+    }
+
+    const named = /^:([A-Za-z_]\w*)/.exec(sql.slice(i));
+    if (named) {
+      tokens.push({ type: "param", name: named[1] });
+      i += named[0].length;
+      continue;
+    }
+
+    const word = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*/.exec(sql.slice(i));
+    if (word) {
+      const upper = word[0].toUpperCase();
+      tokens.push(
+        KEYWORDS.has(upper)
+          ? { type: "keyword", value: upper }
+          : { type: "identifier", value: word[0] }
+      );
+      i += word[0].length;
+      continue;
+    }
+
+    throw new Error(`parseSQLWhere: unexpected character "${ch}" at ${i}.`);
+  }
+
+  return tokens;
+}
+
+// -----------------------------------------------------------------------------
+// Recursive-descent parser
+// -----------------------------------------------------------------------------
+class WhereParser {
+  #tokens;
+  #pos = 0;
+  #params;
+  #position = 0; // next positional parameter
+  #sql;
+
+  constructor(tokens, params, sql) {
+    this.#tokens = tokens;
+    this.#params = params;
+    this.#sql = sql;
+  }
+
+  parseExpression() {
+    return this.#parseOr();
+  }
+
+  expectEnd() {
+    if (this.#peek()) {
+      this.#fail(`unexpected "${this.#describe(this.#peek())}"`);
+    }
+  }
+
+  #parseOr() {
+    const conditions = [this.#parseAnd()];
+    while (this.#acceptKeyword("OR")) conditions.push(this.#parseAnd());
+    return conditions.length === 1 ? conditions[0] : { type: "or", conditions };
+  }
+
+  #parseAnd() {
+    const conditions = [this.#parseNot()];
+    while (this.#acceptKeyword("AND")) conditions.push(this.#parseNot());
+    return conditions.length === 1
+      ? conditions[0]
+      : { type: "and", conditions };
+  }
+
+  #parseNot() {
+    if (this.#acceptKeyword("NOT")) {
+      return { type: "not", condition: this.#parseNot() };
+    }
+    return this.#parsePredicate();
+  }
+
+  #parsePredicate() {
+    if (this.#acceptOp("(")) {
+      const inner = this.parseExpression();
+      this.#expectOp(")");
+      return inner;
+    }
+
+    const left = this.#parseOperand(true);
+
+    // Comparison
+    const token = this.#peek();
+    if (token?.type === "op" && COMPARISON_OPS.includes(token.value)) {
+      this.#pos++;
+      const right = this.#parseOperand(false);
+      return this.#comparison(left, token.value, right);
+    }
+
+    const column = this.#requireColumn(left);
+
+    if (this.#acceptKeyword("IS")) {
+      const negated = this.#acceptKeyword("NOT");
+      this.#expectKeyword("NULL");
+      return { type: "null", column, negated };
+    }
+
+    const negated = this.#acceptKeyword("NOT");
+
+    if (this.#acceptKeyword("IN")) {
+      return { type: "in", column, values: this.#parseList(), negated };
+    }
+
+    if (this.#acceptKeyword("LIKE")) {
+      const pattern = this.#requireValue(this.#parseOperand(false));
+      return {
+        type: "like",
+        column,
+        pattern,
+        escape: this.#parseEscape(),
+        negated,
+      };
+    }
+
+    if (this.#acceptKeyword("BETWEEN")) {
+      const low = this.#requireValue(this.#parseOperand(false));
+      this.#expectKeyword("AND");
+      const high = this.#requireValue(this.#parseOperand(false));
+      return { type: "between", column, low, high, negated };
+    }
+
+    this.#fail(`expected an operator after "${column}"`);
+  }
+
+  // ESCAPE is not reserved elsewhere, so it is matched as a word here
+  #parseEscape() {
+    const token = this.#peek();
+    if (token?.type !== "identifier" || token.quoted) return null;
+    if (token.value.toUpperCase() !== "ESCAPE") return null;
+
+    this.#pos++;
+    const escape = this.#requireValue(this.#parseOperand(false));
+    if (typeof escape !== "string" || escape.length !== 1) {
+      this.#fail("ESCAPE needs a single character");
+    }
+    return escape;
+  }
+
+  #comparison(left, op, right) {
+    if ("column" in left) {
+      return { type: "compare", column: left.column, op, value: right };
+    }
+    if ("column" in right) {
+      return {
+        type: "compare",
+        column: right.column,
+        op: FLIPPED_OPS[op],
+        value: left,
+      };
+    }
+    this.#fail("a comparison needs at least one column");
+  }
+
+  #parseList() {
+    // IN ? / IN :name with an array parameter
+    if (this.#peek()?.type === "param") {
+      const value = this.#requireValue(this.#parseOperand(false));
+      if (!Array.isArray(value)) this.#fail("IN parameter must be an array");
+      return value;
+    }
+
+    this.#expectOp("(");
+    const values = [];
+    do {
+      const value = this.#requireValue(this.#parseOperand(false));
+      // A single array parameter inside the parentheses expands in place
+      if (Array.isArray(value)) values.push(...value);
+      else values.push(value);
+    } while (this.#acceptOp(","));
+    this.#expectOp(")");
+    return values;
+  }
+
+  // Returns { column } or { value }. On the left of a predicate a quoted
+  // string names a column; on the right it is a string literal.
+  #parseOperand(isLeft) {
+    const token = this.#next();
+    if (!token) this.#fail("unexpected end of expression");
+
+    switch (token.type) {
+      case "identifier":
+        return { column: token.value };
+      case "string":
+        return isLeft && token.quoted === '"'
+          ? { column: token.value }
+          : { value: token.value };
+      case "number":
+        return { value: token.value };
+      case "param":
+        return { value: this.#paramValue(token) };
+      case "keyword":
+        if (token.value === "NULL") return { value: null };
+        if (token.value === "TRUE") return { value: true };
+        if (token.value === "FALSE") return { value: false };
+        break;
+      case "op":
+        if (token.value === "-") {
+          const operand = this.#parseOperand(isLeft);
+          if (typeof operand.value !== "number") {
+            this.#fail("unary minus requires a number");
+          }
+          return { value: -operand.value };
+        }
+        break;
+    }
+
+    this.#fail(`unexpected "${this.#describe(token)}"`);
+  }
+
+  #paramValue(token) {
+    const params = this.#params;
+
+    if (token.name !== undefined) {
+      if (!params || Array.isArray(params) || !(token.name in params)) {
+        this.#fail(`missing value for named parameter ":${token.name}"`);
+      }
+      return params[token.name];
+    }
+
+    if (!Array.isArray(params) || this.#position >= params.length) {
+      this.#fail("not enough values for positional parameters");
+    }
+    return params[this.#position++];
+  }
+
+  #requireColumn(operand) {
+    if (!("column" in operand)) this.#fail("expected a column name");
+    return operand.column;
+  }
+
+  #requireValue(operand) {
+    if (!("value" in operand)) this.#fail("expected a value");
+    return operand.value;
+  }
+
+  #peek() {
+    return this.#tokens[this.#pos];
+  }
+
+  #next() {
+    return this.#tokens[this.#pos++];
+  }
+
+  #acceptKeyword(keyword) {
+    const token = this.#peek();
+    if (token?.type === "keyword" && token.value === keyword) {
+      this.#pos++;
+      return true;
+    }
+    return false;
+  }
+
+  #expectKeyword(keyword) {
+    if (!this.#acceptKeyword(keyword)) this.#fail(`expected ${keyword}`);
+  }
+
+  #acceptOp(op) {
+    const token = this.#peek();
+    if (token?.type === "op" && token.value === op) {
+      this.#pos++;
+      return true;
+    }
+    return false;
+  }
+
+  #expectOp(op) {
+    if (!this.#acceptOp(op)) this.#fail(`expected "${op}"`);
+  }
+
+  #describe(token) {
+    if (token.type === "param") return token.name ? `:${token.name}` : "?";
+    return String(token.value);
+  }
+
+  #fail(message) {
+    throw new Error(`parseSQLWhere: ${message} in "${this.#sql}".`);
+  }
+}
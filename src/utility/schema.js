@@ -1,3 +1,10 @@
+// How a primary key of each type is generated when a record omits it
+const KEY_GENERATION = {
+  integer: "increment", // database auto-increment / serial
+  uuid: "uuid", // generated by the model (crypto.randomUUID)
+  objectid: "objectid", // generated by MongoDB
+};
+
 /**
  * Schema
  *
@@ -10,6 +17,8 @@ export default class Schema {
       fields: {}, // Field name → config
       indexes: [], // Index definitions
       primaryField: null, // Primary key field name
+      softDeleteField: null, // Timestamp marking soft-deleted rows
+      versionField: null, // Integer used for optimistic locking
     };
   }
 
@@ -22,8 +31,20 @@ export default class Schema {
     return this;
   }
 
+  /**
+   * Declares the primary key. Keys of type "integer", "uuid" and "objectid"
+   * are generated when omitted (see KEY_GENERATION); pass
+   * `{ generate: null }` to require callers to supply them.
+   */
   addPrimary(name = "id", type = "string", options = {}) {
-    this.addField(name, type, { primary: true, required: true, ...options });
+    const generate =
+      "generate" in options ? options.generate : KEY_GENERATION[type] ?? null;
+    this.addField(name, type, {
+      primary: true,
+      required: !generate,
+      ...options,
+      generate,
+    });
     this.definition.primaryField = name;
     this.addIndex(name, { unique: true, primary: true });
     return this;
@@ -102,9 +123,33 @@ export default class Schema {
     });
   }
 
-  addTimestamps() {
+  /**
+   * Adds createdAt/updatedAt, and deletedAt with `{ softDelete: true }`.
+   */
+  addTimestamps({ softDelete = false } = {}) {
     this.addTimestamp("createdAt", false);
     this.addTimestamp("updatedAt", false);
+    if (softDelete) this.addSoftDeletes();
+    return this;
+  }
+
+  /**
+   * Enables soft deletes: deleting sets this timestamp instead of removing
+   * the row, and queries skip rows where it is set.
+   */
+  addSoftDeletes(name = "deletedAt") {
+    this.addTimestamp(name, false);
+    this.definition.softDeleteField = name;
+    return this;
+  }
+
+  /**
+   * Enables optimistic locking: updates made through a model require the
+   * version they read and increment it (see StaleRecordError).
+   */
+  addVersion(name = "version") {
+    this.addInteger(name, false, 0, undefined, 0);
+    this.definition.versionField = name;
     return this;
   }
 
@@ -258,6 +303,24 @@ export default class Schema {
     return this.definition.primaryField;
   }
 
+  getSoftDeleteField() {
+    return this.definition.softDeleteField ?? null;
+  }
+
+  getVersionField() {
+    return this.definition.versionField ?? null;
+  }
+
+  /**
+   * @returns {{ name: string, type: string, generate: string|null }|null}
+   */
+  getPrimaryKey() {
+    const name = this.definition.primaryField;
+    if (!name) return null;
+    const { type, generate = null } = this.definition.fields[name];
+    return { name, type, generate };
+  }
+
   getIndexes() {
     return this.definition.indexes.map(idx => {
       const fields = {};
@@ -270,6 +333,18 @@ export default class Schema {
     });
   }
 
+  /**
+   * Returns the field lists of the primary key and every unique index,
+   * primary key first. Used to pick an upsert conflict target.
+   * @returns {string[][]}
+   */
+  getUniqueKeys() {
+    return this.definition.indexes
+      .filter(idx => idx.unique || idx.primary)
+      .sort((a, b) => Number(!!b.primary) - Number(!!a.primary))
+      .map(idx => idx.fields.map(f => f.name));
+  }
+
   // ---------------------------------------------------------------------------
   // Internal Helpers
   // ---------------------------------------------------------------------------
@@ -282,6 +357,15 @@ export default class Schema {
         return typeof value === "string";
       case "boolean":
         return typeof value === "boolean";
+      case "uuid":
+        return (
+          typeof value === "string" &&
+          /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
+            value
+          )
+        );
+      case "objectid":
+        return /^[0-9a-f]{24}$/i.test(String(value));
       case "integer":
         return Number.isInteger(value);
       case "number":
@@ -4,10 +4,10 @@
  * SQL to MongoDB Filter Converter
  *
  * Converts a SQL WHERE clause string or plain object into a MongoDB query object.
- * Relies on `sql-where-parser` for parsing the SQL expression.
+ * The SQL expression is parsed by parseSQLWhere().
  */
 
-import parser from "sql-where-parser";
+import parseSQLWhere from "./parse-sql-where.js";
 
 /**
  * Lightweight replacement for Lodash’s `isPlainObject`.
@@ -19,20 +19,60 @@ function isPlainObject(value) {
   return proto === null || proto === Object.prototype;
 }
 
+/**
+ * Converts a SQL LIKE pattern into an anchored regular expression
+ * (`%` → any run of characters, `_` → any single character). With an
+ * ESCAPE character, the character after it matches itself.
+ * Matching is case-insensitive, as with the default MySQL/SQLite collations.
+ * @param {string} pattern
+ * @param {?string} [escape] - The ESCAPE character, if any.
+ * @returns {RegExp}
+ */
+export function likeToRegex(pattern, escape = null) {
+  const literal = ch => ch.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const chars = String(pattern).split("");
+  let source = "";
+
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+    if (escape !== null && ch === escape) {
+      if (i + 1 >= chars.length) {
+        throw new Error(
+          `[sql-to-mongodb] LIKE pattern "${pattern}" ends with its ESCAPE character`
+        );
+      }
+      source += literal(chars[++i]);
+    } else if (ch === "%") {
+      source += ".*";
+    } else if (ch === "_") {
+      source += ".";
+    } else {
+      source += literal(ch);
+    }
+  }
+  return new RegExp(`^${source}$`, "i");
+}
+
 /**
  * Converts a SQL WHERE clause string or plain object into a MongoDB query object.
+ *
+ * Bound parameters use `?` (with an array) or `:name` (with an object):
+ *   sqlToMongoDB("age >= ? AND status IN (?)", [18, ["a", "b"]])
+ *
  * @param {string|object} where - SQL WHERE clause string or plain object
+ * @param {Array|object} [params] - Values for `?` / `:name` markers
  * @returns {object} MongoDB query
  */
-export default function sqlToMongoDB(where) {
+export default function sqlToMongoDB(where, params) {
   if (!where) return {};
   if (isPlainObject(where)) return where; // Already a MongoDB-ready object
   if (typeof where !== "string") {
     throw new Error("[sql-to-mongodb] whereClause must be a string or object");
   }
+  if (!where.trim()) return {};
 
   try {
-    const ast = parser(where);
+    const ast = parseSQLWhere(where, params);
     return astToMongo(ast);
   } catch (err) {
     console.error("[sql-to-mongodb] Failed to parse SQL WHERE:", err.message);
@@ -40,48 +80,73 @@ export default function sqlToMongoDB(where) {
   }
 }
 
+// SQL comparison operator → MongoDB operator
+const COMPARISONS = {
+  "=": "$eq",
+  "!=": "$ne",
+  "<>": "$ne",
+  ">": "$gt",
+  ">=": "$gte",
+  "<": "$lt",
+  "<=": "$lte",
+};
+
 /**
- * Recursively convert SQL AST nodes to MongoDB query objects.
+ * Recursively convert parseSQLWhere() nodes to MongoDB query objects.
  * @param {object} node - SQL AST node
  * @returns {object} MongoDB query
  */
 function astToMongo(node) {
-  if (!node) return {};
-
   switch (node.type) {
-    case "binary_expr": {
-      const left = astToMongo(node.left);
-      const right = astToMongo(node.right);
-
-      switch (node.operator) {
-        case "=":
-          return { [node.left.column]: right };
-        case "!=":
-        case "<>":
-          return { [node.left.column]: { $ne: right } };
-        case ">":
-          return { [node.left.column]: { $gt: right } };
-        case ">=":
-          return { [node.left.column]: { $gte: right } };
-        case "<":
-          return { [node.left.column]: { $lt: right } };
-        case "<=":
-          return { [node.left.column]: { $lte: right } };
-        case "AND":
-          return { $and: [left, right] };
-        case "OR":
-          return { $or: [left, right] };
-        default:
-          throw new Error(`Unsupported operator: ${node.operator}`);
+    case "and":
+      return { $and: node.conditions.map(astToMongo) };
+
+    case "or":
+      return { $or: node.conditions.map(astToMongo) };
+
+    case "not":
+      return { $nor: [astToMongo(node.condition)] };
+
+    case "compare": {
+      const op = COMPARISONS[node.op];
+
+      // Column-to-column comparisons need an aggregation expression
+      if ("column" in node.value) {
+        return {
+          $expr: { [op]: [`$${node.column}`, `$${node.value.column}`] },
+        };
+      }
+
+      // NULL compares as unknown, so no document could match; a filter
+      // for null would match documents missing the field instead
+      if (node.value.value === null || node.value.value === undefined) {
+        throw new Error(
+          `[sql-to-mongodb] "${node.column} ${node.op} NULL" is never true; use IS NULL or IS NOT NULL`
+        );
       }
+
+      return op === "$eq"
+        ? { [node.column]: node.value.value }
+        : { [node.column]: { [op]: node.value.value } };
     }
 
-    case "column_ref":
-      return node.column;
+    case "in":
+      return {
+        [node.column]: { [node.negated ? "$nin" : "$in"]: node.values },
+      };
+
+    case "like": {
+      const regex = likeToRegex(node.pattern, node.escape);
+      return { [node.column]: node.negated ? { $not: regex } : regex };
+    }
+
+    case "between": {
+      const range = { $gte: node.low, $lte: node.high };
+      return { [node.column]: node.negated ? { $not: range } : range };
+    }
 
-    case "number":
-    case "string":
-      return node.value;
+    case "null":
+      return { [node.column]: node.negated ? { $ne: null } : null };
 
     default:
       throw new Error(`Unsupported AST node type: ${node.type}`);
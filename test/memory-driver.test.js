@@ -0,0 +1,194 @@
+// memory-driver.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+const noop = () => {};
+globalThis.system = {
+  envMode: "testing",
+  log: { debug: noop, info: noop, warn: noop, error: noop },
+  server: {
+    getString: (key, fallback) => fallback,
+    getObject: (key, fallback) => fallback,
+    getInteger: (key, fallback) => fallback,
+  },
+};
+
+const { default: MemoryDriver } = await import(
+  "../src/database/memory-driver.js"
+);
+
+function driver() {
+  return new MemoryDriver({ uri: "memory://test", options: {} });
+}
+
+async function seed(db) {
+  await db.insertMany("users", [
+    { name: "Ada", age: 36, email: "ada@example.com" },
+    { name: "Bob", age: 17, email: null },
+    { name: "Cy", age: 52, email: "cy@example.com" },
+  ]);
+  return db;
+}
+
+async function names(db, where = {}, options = {}) {
+  return (await db.findMany("users", where, options)).map(u => u.name);
+}
+
+test("inserts rows with generated keys and finds them", async () => {
+  const db = driver();
+  const ids = await db.insertMany("users", [{ name: "Ada" }, { name: "Bob" }]);
+  assert.deepEqual(ids, [{ id: 1 }, { id: 2 }]);
+
+  assert.deepEqual(
+    await db.insertOne("users", { name: "Cy" }, { returnFull: true }),
+    { id: 3, name: "Cy" }
+  );
+  assert.deepEqual(await db.findById("users", 2), { id: 2, name: "Bob" });
+  assert.equal(await db.findById("users", 9), null);
+  await assert.rejects(
+    db.insertOne("users", { id: 1, name: "Dup" }),
+    /Duplicate key/
+  );
+});
+
+test("filters, orders and limits like the SQL drivers", async () => {
+  const db = await seed(driver());
+
+  assert.deepEqual(
+    await names(db, "age >= ? AND name <> ?", { params: [18, "Cy"] }),
+    ["Ada"]
+  );
+  assert.deepEqual(await names(db, { age: { $gt: 20 } }), ["Ada", "Cy"]);
+  assert.deepEqual(
+    await names(
+      db,
+      {},
+      { orderBy: [{ field: "age", direction: "desc" }], limit: 2 }
+    ),
+    ["Cy", "Ada"]
+  );
+  assert.deepEqual(await names(db, {}, { offset: 1, limit: 1 }), ["Bob"]);
+  assert.deepEqual(await names(db, "name LIKE 'a%'"), ["Ada"]);
+  assert.equal(await db.count("users", "age BETWEEN 18 AND 60"), 2);
+  assert.equal(await db.exists("users", { name: "Zed" }), false);
+});
+
+test("compares NULL the way SQL does", async () => {
+  const db = await seed(driver());
+
+  assert.deepEqual(await names(db, "email = NULL"), []);
+  assert.deepEqual(await names(db, "NOT email = NULL"), []);
+  assert.deepEqual(await names(db, "email IS NULL"), ["Bob"]);
+  assert.deepEqual(await names(db, "email <> 'ada@example.com'"), ["Cy"]);
+});
+
+test("updates and deletes matching rows", async () => {
+  const db = await seed(driver());
+
+  await db.updateOne("users", { id: 2, age: 18 });
+  assert.equal((await db.findById("users", 2)).age, 18);
+
+  assert.deepEqual(
+    await db.updateMany("users", { email: "x@example.com" }, "email IS NULL"),
+    { affectedRows: 1 }
+  );
+  assert.deepEqual(await db.deleteOne("users", { name: "Cy" }), {
+    deletedCount: 1,
+  });
+  assert.deepEqual(await db.deleteMany("users", "age < 40"), {
+    deletedCount: 2,
+  });
+  assert.equal(await db.count("users"), 0);
+  await assert.rejects(db.deleteMany("users", {}), /whereClause/);
+});
+
+test("a bulk insert that fails part way inserts nothing", async () => {
+  const db = await seed(driver());
+
+  await assert.rejects(
+    db.insertMany("users", [{ name: "Dee" }, { id: 1, name: "Dup" }]),
+    /Duplicate key/
+  );
+  assert.deepEqual(await names(db), ["Ada", "Bob", "Cy"]);
+
+  // The key Dee would have had is not used up
+  assert.deepEqual(await db.insertOne("users", { name: "Dee" }), { id: 4 });
+});
+
+test("a bulk upsert that fails part way changes nothing", async () => {
+  const db = await seed(driver());
+
+  await assert.rejects(
+    db.upsertMany(
+      "users",
+      [
+        { id: 1, name: "Ada Lovelace", age: 37 },
+        { id: 9, name: "New", age: 1 },
+        { id: 2, name: "Bob Jr." },
+      ],
+      { merge: ["name", "age"] }
+    ),
+    /merge columns/
+  );
+
+  assert.deepEqual(await db.findById("users", 1), {
+    id: 1,
+    name: "Ada",
+    age: 36,
+    email: "ada@example.com",
+  });
+  assert.equal(await db.findById("users", 9), null);
+  assert.equal(await db.count("users"), 3);
+
+  await db.upsertMany("users", [
+    { id: 1, name: "Ada Lovelace" },
+    { id: 9, name: "New" },
+  ]);
+  assert.deepEqual(await names(db), ["Ada Lovelace", "Bob", "Cy", "New"]);
+});
+
+test("a failed transaction rolls back to its snapshot", async () => {
+  const db = await seed(driver());
+
+  await assert.rejects(
+    db.transaction(async () => {
+      await db.insertOne("users", { name: "Dee" });
+      await db.updateMany("users", { age: 0 }, {});
+      assert.equal(await db.count("users"), 4);
+      throw new Error("abort");
+    }),
+    /abort/
+  );
+  assert.deepEqual(await names(db), ["Ada", "Bob", "Cy"]);
+  assert.equal((await db.findById("users", 1)).age, 36);
+  assert.deepEqual(await db.insertOne("users", { name: "Dee" }), { id: 4 });
+});
+
+test("a nested transaction rolls back to its savepoint only", async () => {
+  const db = await seed(driver());
+
+  await db.transaction(async () => {
+    await db.insertOne("users", { name: "Dee" });
+    await assert.rejects(
+      db.transaction(async () => {
+        await db.deleteMany("users", "age > 0");
+        throw new Error("inner");
+      }),
+      /inner/
+    );
+  });
+  assert.deepEqual(await names(db), ["Ada", "Bob", "Cy", "Dee"]);
+});
+
+test("a manual transaction needs its handle to roll back", async () => {
+  const db = await seed(driver());
+
+  const tx = await db.startTransaction();
+  await db.deleteMany("users", "age > 0", { transaction: tx });
+  assert.equal(await db.count("users", {}, { transaction: tx }), 0);
+  await assert.rejects(db.rollbackTransaction(null), /startTransaction/);
+  await db.rollbackTransaction(tx);
+
+  assert.equal(await db.count("users"), 3);
+});
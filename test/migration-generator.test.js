@@ -0,0 +1,194 @@
+// migration-generator.test.js
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const noop = () => {};
+globalThis.system = {
+  envMode: "testing",
+  log: { debug: noop, info: noop, warn: noop, error: noop },
+  server: {
+    getString: (key, fallback) => fallback,
+    getObject: (key, fallback) => fallback,
+    getInteger: (key, fallback) => fallback,
+  },
+};
+
+const { default: BetterSqliteDriver } = await import(
+  "../src/database/better-sqlite-driver.js"
+);
+const { default: Schema } = await import("../src/utility/schema.js");
+const { default: MigrationGenerator } = await import(
+  "../src/migration/migration-generator.js"
+);
+const { default: MigrationManager } = await import(
+  "../src/migration/migration-manager.js"
+);
+const { default: SqliteMigrationAdapter } = await import(
+  "../src/migration/adapters/sqlite-migration-adapter.js"
+);
+
+const importPath = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../src/migration"
+);
+
+const cwd = process.cwd();
+let directory;
+let driver;
+
+// The driver opens a sqlite:// database path relative to the working
+// directory
+before(async () => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "daytona-migrations-"));
+  process.chdir(directory);
+  driver = new BetterSqliteDriver({ uri: "sqlite:///test.db", options: {} });
+  await driver.connect();
+});
+
+after(async () => {
+  await driver.disconnect();
+  process.chdir(cwd);
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+// Generates a migration for `models`, then applies it (or with `down`
+// applies it and rolls it back) on the driver's database file
+async function migrate(models, description, { down = false } = {}) {
+  const generator = new MigrationGenerator(driver, {
+    models,
+    directory,
+    importPath,
+  });
+  const { file } = await generator.generate(description);
+  assert.ok(file, "a migration was generated");
+
+  const migration = (await import(file)).default;
+  const adapter = new SqliteMigrationAdapter(
+    `file:${path.join(directory, "test.db")}`
+  );
+  try {
+    const manager = new MigrationManager(adapter, [migration]);
+    await manager.migrateUp();
+    if (down) await manager.migrateDown();
+  } finally {
+    await adapter.close();
+  }
+  return generator;
+}
+
+async function table(name) {
+  const { tables } = await driver.introspect();
+  return tables.find(t => t.name === name);
+}
+
+function model(table, schema) {
+  return { tableName: () => table, schema: () => schema };
+}
+
+test("applies a generated migration that creates a table", async () => {
+  const users = new Schema()
+    .addPrimary("id", "integer")
+    .addString("name", true, 1, 80)
+    .addEnum("role", true, ["admin", "member"], "member")
+    .addString("nickname")
+    .addIndex("name")
+    .addIndex("role", { unique: false });
+
+  const generator = await migrate([model("users", users)], "create users");
+
+  const live = await table("users");
+  assert.deepEqual(
+    live.columns.map(c => c.name),
+    ["id", "name", "role", "nickname"]
+  );
+  assert.deepEqual(
+    live.indexes
+      .filter(i => !i.primary)
+      .map(i => i.name)
+      .sort(),
+    ["users_name", "users_role"]
+  );
+  assert.deepEqual(await generator.plan(), []);
+
+  await driver.execute("INSERT INTO users (name) VALUES (?)", ["Ada"]);
+  const [row] = await driver.execute("SELECT * FROM users");
+  assert.equal(row.id, 1);
+  assert.equal(row.role, "member");
+  await assert.rejects(
+    driver.execute("INSERT INTO users (name, role) VALUES (?, ?)", [
+      "Bob",
+      "owner",
+    ])
+  );
+});
+
+test("applies a generated migration that alters, adds and drops", async () => {
+  const users = new Schema()
+    .addPrimary("id", "integer")
+    .addString("name", true, 1, 120)
+    .addEnum("role", true, ["admin", "member"], "member")
+    .addEmail("email")
+    .addIndex("role");
+
+  const generator = await migrate([model("users", users)], "users v2");
+
+  const live = await table("users");
+  assert.deepEqual(
+    live.columns.map(c => [c.name, c.type, c.maxLength]),
+    [
+      ["id", "integer", null],
+      ["name", "varchar", 120],
+      ["role", "varchar", 6],
+      ["email", "varchar", 255],
+    ]
+  );
+  assert.deepEqual(
+    live.indexes.filter(i => !i.primary).map(i => i.name),
+    ["users_role"]
+  );
+  assert.deepEqual(await generator.plan(), []);
+
+  // The rebuilt table keeps its rows, generated key and CHECK constraint
+  await driver.execute("INSERT INTO users (name) VALUES (?)", ["Bob"]);
+  const rows = await driver.execute("SELECT id, name FROM users ORDER BY id");
+  assert.deepEqual(
+    rows.map(row => [row.id, row.name]),
+    [
+      [1, "Ada"],
+      [2, "Bob"],
+    ]
+  );
+  await assert.rejects(
+    driver.execute("UPDATE users SET role = ? WHERE id = 2", ["owner"])
+  );
+});
+
+test("rolls a generated migration back", async () => {
+  const users = new Schema()
+    .addPrimary("id", "integer")
+    .addString("name", true, 1, 120)
+    .addEnum("role", true, ["admin", "member"], "member")
+    .addIndex("role");
+  const posts = new Schema()
+    .addPrimary("id", "integer")
+    .addString("title", true)
+    .addIndex("title", { unique: true });
+
+  await migrate(
+    [model("users", users), model("posts", posts)],
+    "posts, drop email",
+    { down: true }
+  );
+
+  assert.equal(await table("posts"), undefined);
+  const live = await table("users");
+  assert.deepEqual(
+    live.columns.map(c => c.name),
+    ["id", "name", "role", "email"]
+  );
+});
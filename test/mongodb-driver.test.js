@@ -0,0 +1,114 @@
+// mongodb-driver.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+
+const noop = () => {};
+globalThis.system = {
+  envMode: "testing",
+  log: { debug: noop, info: noop, warn: noop, error: noop },
+  server: {
+    getString: (key, fallback) => fallback,
+    getObject: (key, fallback) => fallback,
+    getInteger: (key, fallback) => fallback,
+  },
+};
+
+const { default: MongoDBDriver } = await import(
+  "../src/database/mongodb-driver.js"
+);
+const { default: ActiveRecord } = await import(
+  "../src/export/active-record.js"
+);
+const { default: Schema } = await import("../src/utility/schema.js");
+
+// Index options the server accepts; anything else fails the createIndex
+const INDEX_OPTIONS = new Set(["background", "unique", "name", "sparse"]);
+
+// Stands in for a server's collection: validates index specs and enforces
+// unique indexes, with a missing field indexed as null
+class FakeCollection {
+  documents = [];
+  indexes = [];
+
+  async createIndex(fields, options = {}) {
+    for (const option of Object.keys(options)) {
+      if (!INDEX_OPTIONS.has(option)) {
+        throw new Error(
+          `The field '${option}' is not valid for an index specification`
+        );
+      }
+    }
+    this.indexes.push({ fields, options });
+  }
+
+  async insertOne(document) {
+    const stored = { _id: new ObjectId(), ...document };
+    for (const { fields, options } of this.indexes) {
+      if (!options.unique) continue;
+      const key = doc =>
+        JSON.stringify(Object.keys(fields).map(f => doc[f] ?? null));
+      if (this.documents.some(doc => key(doc) === key(stored))) {
+        throw new Error("E11000 duplicate key error");
+      }
+    }
+    this.documents.push(stored);
+    return { insertedId: stored._id };
+  }
+}
+
+function fakeDriver() {
+  const driver = new MongoDBDriver({
+    uri: "mongodb://localhost/test",
+    options: {},
+  });
+  const collections = new Map();
+  driver._db = {
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, new FakeCollection());
+      return collections.get(name);
+    },
+  };
+  return driver;
+}
+
+class User extends ActiveRecord {
+  static modelName() {
+    return "User";
+  }
+
+  static schema() {
+    return new Schema()
+      .addPrimary("id", "objectid")
+      .addString("name", true)
+      .addEmail("email")
+      .addIndex("email", { unique: true })
+      .addIndex(["id", "name"]);
+  }
+}
+
+test("indexes the primary key as _id and leaves its index to the server", async () => {
+  const driver = fakeDriver();
+  await driver.ensureIndexes("users", User.schema());
+
+  assert.deepEqual(driver._db.collection("users").indexes, [
+    { fields: { email: 1 }, options: { background: true, unique: true } },
+    {
+      fields: { _id: 1, name: 1 },
+      options: { background: true, unique: false },
+    },
+  ]);
+});
+
+test("inserts two records through one model", async () => {
+  const driver = fakeDriver();
+  const users = User.create(driver);
+  await new Promise(setImmediate); // index creation the constructor started
+
+  const ada = await users.insertOne({ name: "Ada", email: "ada@example.com" });
+  const bob = await users.insertOne({ name: "Bob", email: "bob@example.com" });
+
+  assert.notEqual(String(ada.id), String(bob.id));
+  assert.equal(driver._db.collection("users").documents.length, 2);
+});
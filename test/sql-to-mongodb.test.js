@@ -0,0 +1,91 @@
+// sql-to-mongodb.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import sqlToMongoDB, { likeToRegex } from "../src/utility/sql-to-mongodb.js";
+
+test("AND binds tighter than OR, and parentheses override it", () => {
+  assert.deepEqual(sqlToMongoDB("a = 1 OR b = 2 AND c = 3"), {
+    $or: [{ a: 1 }, { $and: [{ b: 2 }, { c: 3 }] }],
+  });
+  assert.deepEqual(sqlToMongoDB("(a = 1 OR b = 2) AND c = 3"), {
+    $and: [{ $or: [{ a: 1 }, { b: 2 }] }, { c: 3 }],
+  });
+  assert.deepEqual(sqlToMongoDB("NOT a = 1 AND b = 2"), {
+    $and: [{ $nor: [{ a: 1 }] }, { b: 2 }],
+  });
+});
+
+test("comparisons map to operators, with the column on either side", () => {
+  assert.deepEqual(sqlToMongoDB("age >= 18 AND age <> -1"), {
+    $and: [{ age: { $gte: 18 } }, { age: { $ne: -1 } }],
+  });
+  assert.deepEqual(sqlToMongoDB("18 < age"), { age: { $gt: 18 } });
+  assert.deepEqual(sqlToMongoDB("a = b"), { $expr: { $eq: ["$a", "$b"] } });
+});
+
+test("comparing with NULL is rejected in favour of IS NULL", () => {
+  assert.throws(() => sqlToMongoDB("a = NULL"), /never true/);
+  assert.throws(() => sqlToMongoDB("a <> NULL"), /never true/);
+  assert.throws(() => sqlToMongoDB("a = ?", [null]), /never true/);
+  assert.deepEqual(sqlToMongoDB("a IS NULL"), { a: null });
+  assert.deepEqual(sqlToMongoDB("a IS NOT NULL"), { a: { $ne: null } });
+});
+
+test("IN and BETWEEN, negated or not", () => {
+  assert.deepEqual(sqlToMongoDB("status IN ('a', 'b')"), {
+    status: { $in: ["a", "b"] },
+  });
+  assert.deepEqual(sqlToMongoDB("status NOT IN (1, 2)"), {
+    status: { $nin: [1, 2] },
+  });
+  assert.deepEqual(sqlToMongoDB("age BETWEEN 18 AND 65 AND x = 1"), {
+    $and: [{ age: { $gte: 18, $lte: 65 } }, { x: 1 }],
+  });
+  assert.deepEqual(sqlToMongoDB("age NOT BETWEEN 1 AND 2"), {
+    age: { $not: { $gte: 1, $lte: 2 } },
+  });
+});
+
+test("LIKE patterns, with and without an ESCAPE character", () => {
+  assert.deepEqual(sqlToMongoDB("name LIKE 'A_c%'"), { name: /^A.c.*$/i });
+  assert.deepEqual(sqlToMongoDB("name NOT LIKE 'x.y'"), {
+    name: { $not: /^x\.y$/i },
+  });
+
+  const { code } = sqlToMongoDB("code LIKE '50!%!_%' ESCAPE '!'");
+  assert.equal(code.source, "^50%_.*$");
+  assert.ok(code.test("50%_off"));
+  assert.ok(!code.test("50xyoff"));
+
+  assert.ok(likeToRegex("a\\%", "\\").test("a%"));
+  assert.ok(!likeToRegex("a\\%", "\\").test("ab"));
+  assert.throws(() => likeToRegex("a!", "!"), /ESCAPE/);
+  assert.throws(() => sqlToMongoDB("a LIKE 'x' ESCAPE 'ab'"), /single/);
+});
+
+test("bound parameters, positional and named", () => {
+  assert.deepEqual(
+    sqlToMongoDB("age >= ? AND status IN (?) AND name LIKE ?", [
+      18,
+      ["a", "b"],
+      "J%",
+    ]),
+    {
+      $and: [
+        { age: { $gte: 18 } },
+        { status: { $in: ["a", "b"] } },
+        { name: /^J.*$/i },
+      ],
+    }
+  );
+  assert.deepEqual(
+    sqlToMongoDB("age BETWEEN :low AND :high", { low: 1, high: 9 }),
+    { age: { $gte: 1, $lte: 9 } }
+  );
+  assert.deepEqual(sqlToMongoDB("name = 'O''Brien' AND note = '?'"), {
+    $and: [{ name: "O'Brien" }, { note: "?" }],
+  });
+  assert.throws(() => sqlToMongoDB("a = ? AND b = ?", [1]), /not enough/);
+  assert.throws(() => sqlToMongoDB("a = :x", {}), /:x/);
+});